@@ -4,13 +4,78 @@ import dotenv from 'dotenv';
 
 dotenv.config();
 
-const db = await mysql.createConnection({
+// Pool koneksi: query biasa memakai koneksi bebas mana pun, transaksi memegang
+// satu koneksi sendiri sampai commit/rollback (lihat withTransaction).
+// Koneksi yang putus (mis. MySQL restart) dibuang dari pool dan diganti koneksi
+// baru pada query berikutnya, jadi API pulih sendiri tanpa restart Node.
+//
+// Konfigurasi (.env):
+//   DB_PORT                → default 3306
+//   DB_POOL_SIZE           → maksimal koneksi terbuka (default 10)
+//   DB_QUEUE_LIMIT         → maksimal request yang antre menunggu koneksi (default 0 = tanpa batas)
+//   DB_CONNECT_TIMEOUT_MS  → batas waktu membuka koneksi (default 10000)
+//   DB_IDLE_TIMEOUT_MS     → koneksi idle ditutup setelah ini (default 60000)
+const POOL_SIZE = Math.max(Number(process.env.DB_POOL_SIZE) || 10, 1);
+
+const db = mysql.createPool({
   host: process.env.DB_HOST,
+  port: Number(process.env.DB_PORT) || 3306,
   user: process.env.DB_USER,
   password: process.env.DB_PASS,
   database: process.env.DB_NAME,
+  waitForConnections: true,
+  connectionLimit: POOL_SIZE,
+  maxIdle: POOL_SIZE,
+  idleTimeout: Number(process.env.DB_IDLE_TIMEOUT_MS) || 60 * 1000,
+  queueLimit: Number(process.env.DB_QUEUE_LIMIT) || 0,
+  connectTimeout: Number(process.env.DB_CONNECT_TIMEOUT_MS) || 10 * 1000,
+  enableKeepAlive: true, // deteksi koneksi mati lebih cepat
+  keepAliveInitialDelay: 10 * 1000,
 });
 
-console.log("Connected to MySQL database");
+// Cek DB bisa dipakai (health check / startup) → { ok, latency_ms } atau { ok: false, error }
+export const pingDatabase = async (timeoutMs = 2000) => {
+  const started = Date.now();
+  let timeout;
+  try {
+    await Promise.race([
+      db.query('SELECT 1'),
+      new Promise((_, reject) => {
+        timeout = setTimeout(() => reject(new Error(`Timeout ${timeoutMs}ms`)), timeoutMs);
+      }),
+    ]);
+    return { ok: true, latency_ms: Date.now() - started };
+  } catch (err) {
+    return { ok: false, error: err.code ?? err.message };
+  } finally {
+    clearTimeout(timeout);
+  }
+};
+
+// Deadlock / lock wait timeout antar transaksi yang berebut baris yang sama
+// aman diulang dari awal.
+const RETRYABLE_ERRORS = ['ER_LOCK_DEADLOCK', 'ER_LOCK_WAIT_TIMEOUT'];
+const MAX_TX_ATTEMPTS = 3;
+
+// Jalankan fn(conn) dalam satu transaksi pada koneksi khusus; rollback otomatis
+// jika fn melempar error. Di dalam fn, SELECT ... FOR UPDATE mengunci baris
+// sampai transaksi selesai. fn bisa dijalankan ulang saat deadlock, jadi efek
+// samping di luar DB (notifikasi, dsb.) lakukan setelah withTransaction selesai.
+export const withTransaction = async (fn) => {
+  for (let attempt = 1; ; attempt++) {
+    const conn = await db.getConnection();
+    try {
+      await conn.beginTransaction();
+      const result = await fn(conn);
+      await conn.commit();
+      return result;
+    } catch (err) {
+      await conn.rollback().catch(() => {});
+      if (!RETRYABLE_ERRORS.includes(err.code) || attempt >= MAX_TX_ATTEMPTS) throw err;
+    } finally {
+      conn.release();
+    }
+  }
+};
 
 export default db;
@@ -0,0 +1,52 @@
+// src/config/roles.js
+// -----------------------------------------------------------------------------
+// Matriks akses per resource API admin.
+//   read      → GET / HEAD
+//   write     → POST / PUT / PATCH / DELETE
+//   overrides → pengecualian per endpoint ('METHOD /path/:param' relatif ke mount)
+//
+// Role:
+//   admin    → kelola akun (users) + akses penuh ke semua acara
+//   user     → tim Rayarayu, akses penuh ke semua acara
+//   operator → petugas pintu: lihat tamu & check-in saja
+//              (jika users.event_id diisi, dikunci ke acara itu)
+//   client   → tuan rumah, hanya acaranya sendiri (dikunci di resolveEvent)
+//   device   → perangkat scan terdaftar (token perangkat, bukan akun login):
+//              hanya endpoint check-in acaranya (lihat services/gateService.js)
+//
+// Endpoint untuk tamu (tanpa login) ada di /api/public (routes/public.js).
+// -----------------------------------------------------------------------------
+export const ROLES = ['admin', 'user', 'operator', 'client'];
+export const STAFF_ROLES = ['admin', 'user', 'operator']; // login dengan cookie token_user
+export const DEVICE_ROLE = 'device'; // tidak termasuk ROLES: hanya lewat overrides
+
+const MANAGERS = ['admin', 'user'];
+const HOSTS = [...MANAGERS, 'client'];
+
+export const ROLE_MATRIX = {
+  users: { read: ['admin'], write: ['admin'] },
+  events: { read: ROLES, write: MANAGERS },
+  summary: { read: ROLES, write: [] },
+  invitations: {
+    read: ROLES,
+    write: MANAGERS,
+    overrides: {
+      'GET /checkin/roster': [...ROLES, DEVICE_ROLE],
+      'PATCH /checkin/:slug': [...MANAGERS, 'operator', DEVICE_ROLE],
+      'POST /checkin/sync': [...MANAGERS, 'operator', DEVICE_ROLE],
+      'POST /:slug/checkin/undo': [...MANAGERS, 'operator'],
+    },
+  },
+  messages: { read: HOSTS, write: HOSTS },  // tuan rumah memoderasi buku tamu
+  categories: { read: ROLES, write: MANAGERS },
+  guest: { read: ROLES, write: MANAGERS },
+  captions: { read: HOSTS, write: HOSTS },  // tuan rumah boleh menulis caption
+  stream: { read: ROLES, write: [] },
+  deliveries: { read: HOSTS, write: MANAGERS },
+  gates: { read: ROLES, write: MANAGERS },  // gerbang, perangkat scan & statistik per gerbang
+  seating: { read: ROLES, write: HOSTS },   // tuan rumah ikut mengatur meja
+};
+
+// Role yang selalu dikunci ke users.event_id (operator hanya bila event_id diisi)
+export const isEventLocked = user =>
+  user?.role === 'client' || user?.role === DEVICE_ROLE || (user?.role === 'operator' && user.event_id != null);
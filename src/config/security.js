@@ -0,0 +1,56 @@
+// src/config/security.js
+// -----------------------------------------------------------------------------
+// Pengaturan keamanan HTTP dari .env:
+//   CORS_ORIGINS     → daftar origin frontend yang boleh memanggil API (dipisah koma),
+//                      mis. "https://admin.rayarayu.id,https://rayarayu.id".
+//                      Kosong → semua origin di development, tidak ada di production.
+//   COOKIE_SECURE    → "true"/"false" (default true bila NODE_ENV=production)
+//   COOKIE_SAMESITE  → Lax | Strict | None (default Lax; None memaksa Secure)
+//   COOKIE_DOMAIN    → domain cookie (kosong = host API)
+//   TRUST_PROXY      → nilai "trust proxy" Express bila API di belakang reverse proxy
+//                      (mis. "1"), agar req.ip & throttle login memakai IP asli
+//   JSON_BODY_LIMIT  → batas body JSON / form (default "1mb")
+//   UPLOAD_MAX_MB    → batas file upload Excel (default 5)
+// -----------------------------------------------------------------------------
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+export const IS_PRODUCTION = process.env.NODE_ENV === 'production';
+
+const list = v => String(v ?? '').split(',').map(s => s.trim().replace(/\/+$/, '')).filter(Boolean);
+
+export const CORS_ORIGINS = list(process.env.CORS_ORIGINS);
+
+// Origin yang boleh (cors & cek Origin CSRF)
+export const isAllowedOrigin = origin => {
+  if (!origin) return true; // same-origin / curl / aplikasi non-browser
+  if (!CORS_ORIGINS.length) return !IS_PRODUCTION;
+  return CORS_ORIGINS.includes(origin.replace(/\/+$/, ''));
+};
+
+const SAME_SITE_VALUES = { lax: 'Lax', strict: 'Strict', none: 'None' };
+const sameSite = SAME_SITE_VALUES[String(process.env.COOKIE_SAMESITE ?? '').toLowerCase()] ?? 'Lax';
+const secure = sameSite === 'None' || (process.env.COOKIE_SECURE ? process.env.COOKIE_SECURE === 'true' : IS_PRODUCTION);
+
+// Opsi dasar semua cookie auth (httpOnly bisa ditimpa, mis. untuk cookie CSRF)
+export const cookieOptions = (overrides = {}) => ({
+  httpOnly: true,
+  path: '/',
+  sameSite,
+  secure,
+  ...(process.env.COOKIE_DOMAIN ? { domain: process.env.COOKIE_DOMAIN } : {}),
+  ...overrides,
+});
+
+export const JSON_BODY_LIMIT = process.env.JSON_BODY_LIMIT || '1mb';
+export const UPLOAD_MAX_BYTES = (Number(process.env.UPLOAD_MAX_MB) || 5) * 1024 * 1024;
+
+// "1" / "2" → jumlah hop, "true"/"false" → boolean, selain itu daftar IP/subnet
+export const TRUST_PROXY = (() => {
+  const v = process.env.TRUST_PROXY;
+  if (!v) return false;
+  if (/^\d+$/.test(v)) return Number(v);
+  if (v === 'true' || v === 'false') return v === 'true';
+  return v;
+})();
@@ -1,6 +1,39 @@
 import db from '../config/db.js';
 import bcrypt from 'bcryptjs';
-import jwt from 'jsonwebtoken';
+import { cookieFor, refreshCookieFor } from '../middleware/authMiddleware.js';
+import {
+  ACCESS_TOKEN_TTL_MS,
+  REFRESH_TOKEN_TTL_MS,
+  createSession,
+  listSessions,
+  revokeByRefreshToken,
+  revokeSession,
+  revokeUserSessions,
+  rotateSession,
+  signAccessToken,
+} from '../services/sessionService.js';
+import { checkLogin, recordAttempt } from '../services/loginGuard.js';
+import { issueCsrfToken } from '../middleware/csrfMiddleware.js';
+import { cookieOptions } from '../config/security.js';
+
+// Hash bcrypt acak untuk username yang tidak ada
+const DUMMY_HASH = bcrypt.hashSync('rayarayu-dummy-password', 10);
+
+const sessionMeta = req => ({ userAgent: req.get('User-Agent') ?? null, ip: req.ip ?? null });
+
+// Access token (pendek) + refresh token (rotasi) sesuai role
+const setSessionCookies = (res, user, sessionId, refreshToken) => {
+  res.cookie(cookieFor(user.role), signAccessToken(user, sessionId), cookieOptions({ maxAge: ACCESS_TOKEN_TTL_MS }));
+  res.cookie(refreshCookieFor(user.role), refreshToken, cookieOptions({ path: '/api', maxAge: REFRESH_TOKEN_TTL_MS }));
+};
+
+const clearSessionCookies = (res, role) => {
+  const roles = role ? [role] : ['client', 'user'];
+  for (const r of roles) {
+    res.clearCookie(cookieFor(r), cookieOptions());
+    res.clearCookie(refreshCookieFor(r), cookieOptions({ path: '/api' }));
+  }
+};
 
 export const login = async (req, res) => {
   const { username, password } = req.body;
@@ -9,44 +42,51 @@ export const login = async (req, res) => {
     return res.status(400).json({ message: 'Username dan password wajib diisi' });
   }
 
-  try {
-    const [users] = await db.query('SELECT * FROM users WHERE username = ?', [username]);
+  const attempt = { username, ip: req.ip ?? null, userAgent: req.get('User-Agent') ?? null };
 
-    if (users.length === 0) {
-      return res.status(401).json({ message: 'Username tidak ditemukan' });
+  try {
+    const blocked = await checkLogin(username, attempt.ip);
+    if (blocked) {
+      await recordAttempt({ ...attempt, reason: 'throttled' });
+      res.set('Retry-After', String(blocked.retryAfter));
+      return res.status(429).json({
+        message: `Terlalu banyak percobaan login. Coba lagi dalam ${blocked.retryAfter} detik`,
+        retry_after: blocked.retryAfter,
+      });
     }
 
+    const [users] = await db.query('SELECT * FROM users WHERE username = ?', [username]);
     const user = users[0];
-    const isMatch = await bcrypt.compare(password, user.password);
 
-    if (!isMatch) {
-      return res.status(401).json({ message: 'Password salah' });
+    // Username tidak ada tetap menjalankan bcrypt agar waktu respons sama
+    const isMatch = await bcrypt.compare(password, user?.password ?? DUMMY_HASH);
+
+    if (!user || !isMatch) {
+      await recordAttempt({ ...attempt, reason: 'bad_credentials' });
+      return res.status(401).json({ message: 'Username atau password salah' });
     }
 
-    const token = jwt.sign(
-      { id: user.id, username: user.username, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: '1d' }
-    );
+    if (Number(user.is_active) === 0) {
+      await recordAttempt({ ...attempt, reason: 'disabled' });
+      return res.status(403).json({ message: 'Akun dinonaktifkan' });
+    }
 
-    // Buat cookie sesuai role
-    const cookieName = user.role === 'client' ? 'token_client' : 'token_user';
+    await recordAttempt({ ...attempt, reason: 'ok' });
 
-    res.cookie(cookieName, token, {
-      httpOnly: true,
-      path: '/', // Bisa diakses semua route
-      maxAge: 24 * 60 * 60 * 1000,
-      sameSite: 'Lax',
-      secure: false // Ubah ke true jika pakai HTTPS
-    });
+    // Buat sesi + cookie sesuai role
+    const { sessionId, refreshToken } = await createSession(user, sessionMeta(req));
+    setSessionCookies(res, user, sessionId, refreshToken);
+    const csrfToken = issueCsrfToken(req, res, { rotate: true });
 
     return res.json({
       message: 'Login berhasil',
+      csrf_token: csrfToken,
       role: user.role,
       user: {
         id: user.id,
         username: user.username,
-        role: user.role
+        role: user.role,
+        event_id: user.event_id ?? null
       }
     });
   } catch (err) {
@@ -55,16 +95,81 @@ export const login = async (req, res) => {
   }
 };
 
-export const logout = (req, res) => {
-  res.clearCookie('token_client', { path: '/' });
-  res.clearCookie('token_user', { path: '/' });
+export const logout = async (req, res) => {
+  try {
+    await revokeByRefreshToken(req.cookies?.refresh_client);
+    await revokeByRefreshToken(req.cookies?.refresh_user);
+  } catch (err) {
+    console.error('❌ Logout error:', err);
+  }
+  clearSessionCookies(res);
   return res.json({ message: 'Logout berhasil' });
 };
 
+// Tukar refresh token → access token baru (refresh token ikut dirotasi)
+// scope: 'client' | 'user' (cookie mana yang dipakai)
+export const refresh = scope => async (req, res) => {
+  try {
+    const outcome = await rotateSession(req.cookies?.[refreshCookieFor(scope)], sessionMeta(req));
+
+    if (outcome.status === 'stale') {
+      return res.status(409).json({ message: 'Sesi baru saja diperbarui, ulangi request' });
+    }
+    if (outcome.status !== 'ok' || refreshCookieFor(outcome.user.role) !== refreshCookieFor(scope)) {
+      clearSessionCookies(res, scope);
+      return res.status(401).json({ message: 'Sesi sudah berakhir, silakan login ulang' });
+    }
+
+    setSessionCookies(res, outcome.user, outcome.sessionId, outcome.refreshToken);
+    return res.json({ message: 'Sesi diperbarui', user: outcome.user, csrf_token: issueCsrfToken(req, res) });
+  } catch (err) {
+    console.error('❌ Refresh error:', err);
+    return res.status(500).json({ message: 'Terjadi kesalahan di server' });
+  }
+};
+
+// Token CSRF untuk frontend (header X-CSRF-Token)
+export const getCsrfToken = (req, res) => res.json({ csrf_token: issueCsrfToken(req, res) });
+
+// Logout dari semua perangkat (termasuk sesi ini)
+export const logoutAll = async (req, res) => {
+  try {
+    const revoked = await revokeUserSessions(req.user.id);
+    clearSessionCookies(res);
+    return res.json({ message: 'Logout dari semua perangkat berhasil', revoked });
+  } catch (err) {
+    console.error('❌ Logout all error:', err);
+    return res.status(500).json({ message: 'Terjadi kesalahan di server' });
+  }
+};
+
+// Daftar sesi aktif milik user yang login
+export const getMySessions = async (req, res) => {
+  try {
+    const sessions = await listSessions(req.user.id);
+    return res.json(sessions.map(s => ({ ...s, current: s.id === req.user.sid })));
+  } catch (err) {
+    console.error('❌ Get sessions error:', err);
+    return res.status(500).json({ message: 'Terjadi kesalahan di server' });
+  }
+};
+
+export const revokeMySession = async (req, res) => {
+  try {
+    const revoked = await revokeSession(req.params.id, req.user.id);
+    if (!revoked) return res.status(404).json({ message: 'Sesi tidak ditemukan' });
+    if (Number(req.params.id) === req.user.sid) clearSessionCookies(res, req.user.role);
+    return res.json({ message: 'Sesi dicabut' });
+  } catch (err) {
+    console.error('❌ Revoke session error:', err);
+    return res.status(500).json({ message: 'Terjadi kesalahan di server' });
+  }
+};
+
 export const getMe = async (req, res) => {
   try {
     const [users] = await db.query(
-      'SELECT id, username, role FROM users WHERE id = ?',
+      'SELECT id, username, role, event_id FROM users WHERE id = ?',
       [req.user.id]
     );
 
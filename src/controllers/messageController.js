@@ -58,7 +58,7 @@ export const getAllMessages = async (req, res) => {
       include_inv = '0',
     } = req.query;
 
-    const where = [];
+    const where = ["m.status = 'approved'"]; // buku tamu publik hanya pesan yang disetujui
     const params = [];
 
     if (required(invitation_id)) {
@@ -103,7 +103,7 @@ export const getAllMessages = async (req, res) => {
          FROM messages m
          JOIN invitations i ON m.invitation_id = i.id
          ${whereSql}
-         ORDER BY m.created_at DESC
+         ORDER BY m.pinned DESC, m.created_at DESC
          LIMIT ? OFFSET ?`,
       [...params, limitNum, offset]
     );
@@ -0,0 +1,373 @@
+// userController.js
+// -----------------------------------------------------------------------------
+// Kelola akun: admin membuat / menonaktifkan / menghapus user dan mengatur role,
+// user mengganti password sendiri, dan operator diundang lewat link setup
+// sekali pakai (tanpa perlu akses DB).
+//
+// Catatan Skema DB:
+//   users(id PK AI, username VARCHAR(100) UNIQUE, password VARCHAR(255) bcrypt,
+//         role ENUM('admin','user','operator','client'), event_id INT NULL,
+//         is_active TINYINT(1) NOT NULL DEFAULT 1, password_changed_at DATETIME NULL,
+//         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP)
+//   user_invites(id PK AI, token_hash CHAR(64) UNIQUE, role ENUM(...), event_id INT NULL,
+//                username VARCHAR(100) NULL, created_by INT NULL,
+//                expires_at DATETIME NOT NULL, used_at DATETIME NULL, user_id INT NULL,
+//                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP)
+//   → hanya hash SHA-256 token yang disimpan; token asli cukup ada di link.
+// -----------------------------------------------------------------------------
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import db, { withTransaction } from '../config/db.js';
+import { ROLES } from '../config/roles.js';
+import { buildSetupLink } from '../utils/links.js';
+import { listSessions, revokeUserSessions } from '../services/sessionService.js';
+import { listAttempts, unlockUsername } from '../services/loginGuard.js';
+
+const BCRYPT_ROUNDS = 10;
+const MIN_PASSWORD_LENGTH = 8;
+const DEFAULT_INVITE_HOURS = 72;
+const MAX_INVITE_HOURS = 24 * 30;
+
+const USER_COLUMNS = 'id, username, role, event_id, is_active, created_at';
+
+// -----------------------------------------------------------------------------
+// Utils
+// -----------------------------------------------------------------------------
+const hashToken = token => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const isValidUsername = v => typeof v === 'string' && /^[a-zA-Z0-9._-]{3,50}$/.test(v);
+
+const passwordError = v =>
+  typeof v !== 'string' || v.length < MIN_PASSWORD_LENGTH
+    ? `Password minimal ${MIN_PASSWORD_LENGTH} karakter`
+    : null;
+
+// role + event_id → { event_id } atau { error }
+async function resolveRoleEvent(role, eventId) {
+  if (!ROLES.includes(role)) return { error: `Role tidak valid. Gunakan: ${ROLES.join(', ')}` };
+
+  if (role === 'admin' || role === 'user') return { event_id: null };
+  if (eventId == null || eventId === '') {
+    return role === 'client' ? { error: 'event_id wajib diisi untuk role client' } : { event_id: null };
+  }
+
+  const [rows] = await db.query('SELECT id FROM events WHERE id = ?', [eventId]);
+  if (!rows.length) return { error: 'Acara tidak ditemukan' };
+  return { event_id: rows[0].id };
+}
+
+// Jangan sampai tidak ada admin aktif yang tersisa
+async function isLastActiveAdmin(userId) {
+  const [rows] = await db.query("SELECT id FROM users WHERE role = 'admin' AND is_active = 1");
+  return rows.length === 1 && rows[0].id === Number(userId);
+}
+
+const isDuplicate = err => err?.code === 'ER_DUP_ENTRY';
+
+// -----------------------------------------------------------------------------
+// Admin: kelola user
+// -----------------------------------------------------------------------------
+export const listUsers = async (req, res) => {
+  try {
+    const { role } = req.query;
+    const [rows] = role
+      ? await db.query(`SELECT ${USER_COLUMNS} FROM users WHERE role = ? ORDER BY username`, [role])
+      : await db.query(`SELECT ${USER_COLUMNS} FROM users ORDER BY role, username`);
+    return res.json(rows);
+  } catch (err) {
+    console.error('❌ listUsers error:', err);
+    return res.status(500).json({ message: 'Terjadi kesalahan di server' });
+  }
+};
+
+export const createUser = async (req, res) => {
+  const { username, password, role = 'operator', event_id } = req.body;
+
+  if (!isValidUsername(username)) {
+    return res.status(400).json({ message: 'Username 3-50 karakter (huruf, angka, titik, strip, garis bawah)' });
+  }
+  const pwError = passwordError(password);
+  if (pwError) return res.status(400).json({ message: pwError });
+
+  try {
+    const scope = await resolveRoleEvent(role, event_id);
+    if (scope.error) return res.status(400).json({ message: scope.error });
+
+    const hash = await bcrypt.hash(password, BCRYPT_ROUNDS);
+    const [result] = await db.query(
+      'INSERT INTO users (username, password, role, event_id, is_active) VALUES (?, ?, ?, ?, 1)',
+      [username, hash, role, scope.event_id]
+    );
+    return res.status(201).json({ message: 'User berhasil dibuat', id: result.insertId, username, role, event_id: scope.event_id });
+  } catch (err) {
+    if (isDuplicate(err)) return res.status(409).json({ message: 'Username sudah dipakai' });
+    console.error('❌ createUser error:', err);
+    return res.status(500).json({ message: 'Terjadi kesalahan di server' });
+  }
+};
+
+// changes: { role?, event_id?, is_active? }
+async function applyUserUpdate(req, res, changes) {
+  const { id } = req.params;
+
+  try {
+    const [[user]] = await db.query(`SELECT ${USER_COLUMNS} FROM users WHERE id = ?`, [id]);
+    if (!user) return res.status(404).json({ message: 'User tidak ditemukan' });
+
+    const role = changes.role ?? user.role;
+    const scope = await resolveRoleEvent(role, 'event_id' in changes ? changes.event_id : user.event_id);
+    if (scope.error) return res.status(400).json({ message: scope.error });
+
+    const isActive = changes.is_active == null ? user.is_active : (changes.is_active ? 1 : 0);
+
+    const losesAdmin = user.role === 'admin' && (role !== 'admin' || !isActive);
+    if (losesAdmin && Number(id) === req.user.id) {
+      return res.status(400).json({ message: 'Tidak bisa menurunkan role / menonaktifkan akun sendiri' });
+    }
+    if (losesAdmin && await isLastActiveAdmin(id)) {
+      return res.status(400).json({ message: 'Harus ada minimal satu admin aktif' });
+    }
+
+    await db.query('UPDATE users SET role = ?, event_id = ?, is_active = ? WHERE id = ?', [role, scope.event_id, isActive, id]);
+
+    // Role & event_id ikut tertanam di access token → paksa login ulang
+    const changed = role !== user.role || scope.event_id !== user.event_id || !isActive;
+    const revoked = changed ? await revokeUserSessions(user.id) : 0;
+
+    return res.json({
+      message: 'User berhasil diperbarui',
+      id: Number(id), role, event_id: scope.event_id, is_active: isActive, sessions_revoked: revoked,
+    });
+  } catch (err) {
+    console.error('❌ updateUser error:', err);
+    return res.status(500).json({ message: 'Terjadi kesalahan di server' });
+  }
+}
+
+// body: { role?, event_id?, is_active? }
+export const updateUser = (req, res) => applyUserUpdate(req, res, req.body ?? {});
+
+export const disableUser = (req, res) => applyUserUpdate(req, res, { is_active: false });
+export const enableUser = (req, res) => applyUserUpdate(req, res, { is_active: true });
+
+export const deleteUser = async (req, res) => {
+  const { id } = req.params;
+  if (Number(id) === req.user.id) return res.status(400).json({ message: 'Tidak bisa menghapus akun sendiri' });
+
+  try {
+    if (await isLastActiveAdmin(id)) return res.status(400).json({ message: 'Harus ada minimal satu admin aktif' });
+
+    // Sesi dicabut sebelum DELETE: setelahnya baris sesi ikut terhapus (cascade)
+    // dan cache sesi aktif tidak bisa dibersihkan lagi
+    const deleted = await withTransaction(async conn => {
+      await revokeUserSessions(Number(id), null, conn);
+      const [result] = await conn.query('DELETE FROM users WHERE id = ?', [id]);
+      return result.affectedRows;
+    });
+    if (!deleted) return res.status(404).json({ message: 'User tidak ditemukan' });
+    return res.json({ message: 'User dihapus' });
+  } catch (err) {
+    console.error('❌ deleteUser error:', err);
+    return res.status(500).json({ message: 'Terjadi kesalahan di server' });
+  }
+};
+
+// Sesi login aktif milik user
+export const listUserSessions = async (req, res) => {
+  try {
+    return res.json(await listSessions(req.params.id));
+  } catch (err) {
+    console.error('❌ listUserSessions error:', err);
+    return res.status(500).json({ message: 'Terjadi kesalahan di server' });
+  }
+};
+
+// Paksa logout user dari semua perangkat
+export const revokeAllUserSessions = async (req, res) => {
+  try {
+    const revoked = await revokeUserSessions(req.params.id);
+    return res.json({ message: 'Semua sesi user dicabut', revoked });
+  } catch (err) {
+    console.error('❌ revokeAllUserSessions error:', err);
+    return res.status(500).json({ message: 'Terjadi kesalahan di server' });
+  }
+};
+
+// Catatan percobaan login (?username=&ip=&success=0|1&limit=)
+export const getLoginAttempts = async (req, res) => {
+  try {
+    return res.json(await listAttempts(req.query));
+  } catch (err) {
+    console.error('❌ getLoginAttempts error:', err);
+    return res.status(500).json({ message: 'Terjadi kesalahan di server' });
+  }
+};
+
+// Buka kunci login user (hitungan gagal direset)
+export const unlockUser = async (req, res) => {
+  try {
+    const [[user]] = await db.query('SELECT id, username FROM users WHERE id = ?', [req.params.id]);
+    if (!user) return res.status(404).json({ message: 'User tidak ditemukan' });
+
+    await unlockUsername(user.username);
+    return res.json({ message: `Login ${user.username} dibuka kembali` });
+  } catch (err) {
+    console.error('❌ unlockUser error:', err);
+    return res.status(500).json({ message: 'Terjadi kesalahan di server' });
+  }
+};
+
+// -----------------------------------------------------------------------------
+// Admin: undangan akun (link setup sekali pakai)
+// -----------------------------------------------------------------------------
+// body: { role = 'operator', event_id?, username?, expires_in_hours = 72 }
+export const createInvite = async (req, res) => {
+  const { role = 'operator', event_id, username } = req.body;
+  const hours = Math.min(Math.max(Number(req.body.expires_in_hours) || DEFAULT_INVITE_HOURS, 1), MAX_INVITE_HOURS);
+
+  if (username != null && !isValidUsername(username)) {
+    return res.status(400).json({ message: 'Username 3-50 karakter (huruf, angka, titik, strip, garis bawah)' });
+  }
+
+  try {
+    const scope = await resolveRoleEvent(role, event_id);
+    if (scope.error) return res.status(400).json({ message: scope.error });
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    const [result] = await db.query(
+      `INSERT INTO user_invites (token_hash, role, event_id, username, created_by, expires_at)
+       VALUES (?, ?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? HOUR))`,
+      [hashToken(token), role, scope.event_id, username ?? null, req.user.id, hours]
+    );
+
+    return res.status(201).json({
+      message: 'Link setup akun dibuat. Link hanya ditampilkan sekali.',
+      id: result.insertId,
+      role,
+      event_id: scope.event_id,
+      setup_link: buildSetupLink(token),
+      expires_in_hours: hours,
+    });
+  } catch (err) {
+    console.error('❌ createInvite error:', err);
+    return res.status(500).json({ message: 'Terjadi kesalahan di server' });
+  }
+};
+
+// Undangan yang belum dipakai & belum kedaluwarsa
+export const listInvites = async (req, res) => {
+  try {
+    const [rows] = await db.query(`
+      SELECT id, role, event_id, username, created_by, expires_at, created_at
+      FROM user_invites
+      WHERE used_at IS NULL AND expires_at > NOW()
+      ORDER BY created_at DESC
+    `);
+    return res.json(rows);
+  } catch (err) {
+    console.error('❌ listInvites error:', err);
+    return res.status(500).json({ message: 'Terjadi kesalahan di server' });
+  }
+};
+
+export const revokeInvite = async (req, res) => {
+  try {
+    const [result] = await db.query('DELETE FROM user_invites WHERE id = ? AND used_at IS NULL', [req.params.id]);
+    if (!result.affectedRows) return res.status(404).json({ message: 'Undangan tidak ditemukan atau sudah dipakai' });
+    return res.json({ message: 'Undangan dibatalkan' });
+  } catch (err) {
+    console.error('❌ revokeInvite error:', err);
+    return res.status(500).json({ message: 'Terjadi kesalahan di server' });
+  }
+};
+
+// -----------------------------------------------------------------------------
+// Publik: buka & pakai link setup
+// -----------------------------------------------------------------------------
+const findOpenInvite = async (token, conn = db) => {
+  const [rows] = await conn.query(`
+    SELECT ui.id, ui.role, ui.event_id, ui.username, e.name AS event_name
+    FROM user_invites ui
+    LEFT JOIN events e ON e.id = ui.event_id
+    WHERE ui.token_hash = ? AND ui.used_at IS NULL AND ui.expires_at > NOW()
+    LIMIT 1
+  `, [hashToken(token)]);
+  return rows[0] ?? null;
+};
+
+export const getInvite = async (req, res) => {
+  try {
+    const invite = await findOpenInvite(req.params.token);
+    if (!invite) return res.status(404).json({ message: 'Link tidak valid atau sudah kedaluwarsa' });
+    return res.json({ role: invite.role, event_id: invite.event_id, event_name: invite.event_name, username: invite.username });
+  } catch (err) {
+    console.error('❌ getInvite error:', err);
+    return res.status(500).json({ message: 'Terjadi kesalahan di server' });
+  }
+};
+
+// body: { username (jika belum ditentukan admin), password }
+export const acceptInvite = async (req, res) => {
+  const pwError = passwordError(req.body.password);
+  if (pwError) return res.status(400).json({ message: pwError });
+
+  try {
+    const outcome = await withTransaction(async conn => {
+      const invite = await findOpenInvite(req.params.token, conn);
+      if (!invite) return { status: 404, message: 'Link tidak valid atau sudah kedaluwarsa' };
+
+      const username = invite.username ?? req.body.username;
+      if (!isValidUsername(username)) {
+        return { status: 400, message: 'Username 3-50 karakter (huruf, angka, titik, strip, garis bawah)' };
+      }
+
+      const [used] = await conn.query('UPDATE user_invites SET used_at = NOW() WHERE id = ? AND used_at IS NULL', [invite.id]);
+      if (!used.affectedRows) return { status: 404, message: 'Link tidak valid atau sudah kedaluwarsa' };
+
+      const hash = await bcrypt.hash(req.body.password, BCRYPT_ROUNDS);
+      const [result] = await conn.query(
+        'INSERT INTO users (username, password, role, event_id, is_active) VALUES (?, ?, ?, ?, 1)',
+        [username, hash, invite.role, invite.event_id]
+      );
+      await conn.query('UPDATE user_invites SET user_id = ? WHERE id = ?', [result.insertId, invite.id]);
+      return { status: 201, message: 'Akun berhasil dibuat, silakan login', username, role: invite.role };
+    });
+
+    const { status, ...body } = outcome;
+    return res.status(status).json(body);
+  } catch (err) {
+    if (isDuplicate(err)) return res.status(409).json({ message: 'Username sudah dipakai' });
+    console.error('❌ acceptInvite error:', err);
+    return res.status(500).json({ message: 'Terjadi kesalahan di server' });
+  }
+};
+
+// -----------------------------------------------------------------------------
+// Semua role: ganti password sendiri
+// -----------------------------------------------------------------------------
+// body: { current_password, new_password }
+export const changeOwnPassword = async (req, res) => {
+  const { current_password, new_password } = req.body;
+  if (!current_password) return res.status(400).json({ message: 'Password lama wajib diisi' });
+  const pwError = passwordError(new_password);
+  if (pwError) return res.status(400).json({ message: pwError });
+
+  try {
+    const [[user]] = await db.query('SELECT id, password FROM users WHERE id = ?', [req.user.id]);
+    if (!user) return res.status(404).json({ message: 'User tidak ditemukan' });
+
+    if (!(await bcrypt.compare(current_password, user.password))) {
+      return res.status(401).json({ message: 'Password lama salah' });
+    }
+
+    const hash = await bcrypt.hash(new_password, BCRYPT_ROUNDS);
+    await db.query('UPDATE users SET password = ?, password_changed_at = NOW() WHERE id = ?', [hash, user.id]);
+
+    // Sesi di perangkat lain ikut berakhir; sesi ini tetap login
+    const revoked = await revokeUserSessions(user.id, req.user.sid);
+    return res.json({ message: 'Password berhasil diganti', sessions_revoked: revoked });
+  } catch (err) {
+    console.error('❌ changeOwnPassword error:', err);
+    return res.status(500).json({ message: 'Terjadi kesalahan di server' });
+  }
+};
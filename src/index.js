@@ -2,31 +2,64 @@ import express from 'express';
 import dotenv from 'dotenv';
 import cors from 'cors';
 import cookieParser from 'cookie-parser';
+import helmet from 'helmet';
 
 // Import Routes
 import authRoutes from './routes/authRoute.js';
+import userRoutes from './routes/userRoute.js';
 import summaryRouter from './routes/summary.js';
 import { invitationRouter, messageRouter } from './routes/invitation-and-message-routes.js';
 import categoryRoutes from './routes/category.js';
 import captionRoutes from './routes/caption.js';
 import Guest from './routes/guest.js';
+import eventRoutes from './routes/event.js';
+import streamRoutes from './routes/stream.js';
+import welcomeRoutes from './routes/welcome.js';
+import deliveryRoutes from './routes/delivery.js';
+import gateRoutes from './routes/gate.js';
+import seatingRoutes from './routes/seating.js';
+import publicRoutes from './routes/public.js';
+import healthRoutes, { startDraining } from './routes/health.js';
+import { startDeliveryWorker, stopDeliveryWorker } from './services/deliveryQueue.js';
+import { closeAllStreams } from './services/realtime.js';
+import db, { pingDatabase } from './config/db.js';
+import { authorize } from './middleware/authMiddleware.js';
+import { resolveEvent } from './middleware/eventMiddleware.js';
+import { csrfProtection, CSRF_HEADER } from './middleware/csrfMiddleware.js';
+import { JSON_BODY_LIMIT, TRUST_PROXY, isAllowedOrigin } from './config/security.js';
 
 dotenv.config();
 
 const app = express();
 const PORT = process.env.PORT || 8081;
+// Batas waktu menunggu request yang masih berjalan saat SIGTERM
+const SHUTDOWN_TIMEOUT_MS = Number(process.env.SHUTDOWN_TIMEOUT_MS) || 6 * 1000;
+// Jeda antara /readyz 503 dan menutup listener, supaya load balancer sempat
+// berhenti mengirim traffic ke instance ini (0 = langsung tutup)
+// Total default 3 + 6 detik < 10 detik batas `docker stop` sebelum SIGKILL (lihat Dockerfile)
+const SHUTDOWN_DRAIN_MS = Math.max(Number(process.env.SHUTDOWN_DRAIN_MS ?? 3 * 1000) || 0, 0);
+
+app.set('trust proxy', TRUST_PROXY);
+
+// ✅ Health check (sebelum log & CORS, dipanggil berkala oleh Docker / load balancer)
+app.use(healthRoutes);
 
 // ✅ Middleware
+// Header keamanan standar; gambar QR boleh di-embed dari domain frontend
+app.use(helmet({ crossOriginResourcePolicy: { policy: 'cross-origin' } }));
+
+// Hanya origin di CORS_ORIGINS (lihat config/security.js)
 app.use(cors({
-  origin: true,
+  origin: (origin, callback) => callback(null, isAllowedOrigin(origin)),
   methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Event-Id', CSRF_HEADER],
   credentials: true,
 }));
 
 app.use(cookieParser());
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
+app.use(express.json({ limit: JSON_BODY_LIMIT }));
+app.use(express.urlencoded({ extended: true, limit: JSON_BODY_LIMIT }));
+app.use(csrfProtection);
 
 // Debug logging
 app.use((req, res, next) => {
@@ -37,23 +70,111 @@ app.use((req, res, next) => {
 // ✅ Routes
 app.use('/api', authRoutes);
 
+// ✅ Publik (tanpa login): halaman undangan tamu & layar penyambutan
+app.use('/api/public', publicRoutes);
+app.use('/api/welcome', welcomeRoutes);
+
+// Route admin di bawah ini wajib login; hak akses per role ada di config/roles.js
+// ✅ Events (acara) — bukan di-scope, justru sumber scope
+app.use('/api/events', authorize('events'), eventRoutes);
+
+// ✅ Kelola akun (admin) — tidak di-scope ke acara
+app.use('/api/users', authorize('users'), userRoutes);
+
+// Semua route di bawah ini di-scope ke satu acara (req.eventId)
 // ✅ Summary Routes (utama & alias lama)
-app.use('/api/summary', summaryRouter); // route utama
-app.use('/api/invitations/summary', summaryRouter); // alias (untuk kompatibilitas lama)
+app.use('/api/summary', authorize('summary'), resolveEvent, summaryRouter); // route utama
+app.use('/api/invitations/summary', authorize('summary'), resolveEvent, summaryRouter); // alias (untuk kompatibilitas lama)
 
 // ✅ Invitations & Messages
-app.use('/api/invitations', invitationRouter);
-app.use('/api/-seed', invitationRouter); // alias untuk kompatibilitas lama
-app.use('/api/messages', messageRouter);
+app.use('/api/invitations', authorize('invitations'), resolveEvent, invitationRouter);
+app.use('/api/-seed', authorize('invitations'), resolveEvent, invitationRouter); // alias untuk kompatibilitas lama
+app.use('/api/messages', authorize('messages'), resolveEvent, messageRouter);
 
 // ✅ Categories & Guest
-app.use('/api/categories', categoryRoutes);
-app.use('/api/guest', Guest);
+app.use('/api/categories', authorize('categories'), resolveEvent, categoryRoutes);
+app.use('/api/guest', authorize('guest'), resolveEvent, Guest);
 
 // ✅ Captions
-app.use('/api/captions', captionRoutes);
+app.use('/api/captions', authorize('captions'), resolveEvent, captionRoutes);
+
+// ✅ Real-time (SSE) untuk dashboard & meja scan
+app.use('/api/stream', authorize('stream'), resolveEvent, streamRoutes);
+
+// ✅ Antrian pengiriman WhatsApp
+app.use('/api/deliveries', authorize('deliveries'), resolveEvent, deliveryRoutes);
+
+// ✅ Gerbang check-in, perangkat scan & statistik per gerbang
+app.use('/api/gates', authorize('gates'), resolveEvent, gateRoutes);
+
+// ✅ Meja / area duduk
+app.use('/api/seating', authorize('seating'), resolveEvent, seatingRoutes);
+
+// ✅ Error handler (body terlalu besar / JSON rusak / upload ditolak)
+app.use((err, req, res, next) => {
+  if (err.type === 'entity.too.large' || err.code === 'LIMIT_FILE_SIZE') {
+    return res.status(413).json({ error: 'Ukuran request terlalu besar.' });
+  }
+  if (err.type === 'entity.parse.failed') return res.status(400).json({ error: 'Body JSON tidak valid.' });
+  if (err.name === 'MulterError') return res.status(400).json({ error: `Upload ditolak: ${err.message}` });
+
+  console.error(`❌ [${req.method}] ${req.originalUrl}:`, err);
+  res.status(err.status ?? 500).json({ error: 'Terjadi kesalahan di server.' });
+});
+
+// Worker pengiriman jalan di proses yang sama (matikan dengan DELIVERY_WORKER=off)
+if (process.env.DELIVERY_WORKER !== 'off') {
+  startDeliveryWorker().catch(err => console.error('❌ Gagal menyalakan worker pengiriman:', err));
+}
 
 // ✅ Start Server
-app.listen(PORT, '0.0.0.0', () => {
+const server = app.listen(PORT, '0.0.0.0', () => {
   console.log(`✅ Server running at http://0.0.0.0:${PORT}`);
-});
\ No newline at end of file
+});
+
+// Server tetap jalan walau DB belum siap; /readyz melaporkan statusnya
+pingDatabase().then(({ ok, error }) => {
+  if (ok) console.log('✅ Connected to MySQL database');
+  else console.error(`❌ MySQL belum bisa dihubungi (${error}), mencoba lagi di request berikutnya`);
+});
+
+// ✅ Graceful shutdown (docker stop → SIGTERM)
+// 1. /readyz 503, tetap melayani request selama SHUTDOWN_DRAIN_MS
+// 2. berhenti menerima koneksi baru, tutup stream SSE (klien reconnect ke instance
+//    lain), tunggu worker & request berjalan
+// 3. lewat SHUTDOWN_TIMEOUT_MS → putus paksa sisa koneksi
+// 4. tutup pool DB lalu keluar
+let shuttingDown = false;
+const shutdown = async (signal) => {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  console.log(`🛑 ${signal} diterima, menyelesaikan request yang berjalan...`);
+
+  startDraining();
+  if (SHUTDOWN_DRAIN_MS) await new Promise(resolve => setTimeout(resolve, SHUTDOWN_DRAIN_MS));
+
+  const forceClose = setTimeout(() => {
+    console.warn('⚠️ Batas waktu shutdown habis, memutus koneksi yang tersisa');
+    server.closeAllConnections();
+  }, SHUTDOWN_TIMEOUT_MS);
+  forceClose.unref();
+
+  const closed = new Promise(resolve => server.close(resolve));
+  server.closeIdleConnections();
+  closeAllStreams();
+
+  try {
+    await Promise.all([closed, stopDeliveryWorker()]);
+    await db.end();
+    console.log('✅ Server berhenti dengan rapi');
+  } catch (err) {
+    console.error('❌ Gagal shutdown dengan rapi:', err);
+    process.exitCode = 1;
+  } finally {
+    clearTimeout(forceClose);
+    process.exit();
+  }
+};
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
\ No newline at end of file
@@ -1,24 +1,119 @@
 import jwt from 'jsonwebtoken';
+import { DEVICE_ROLE, ROLE_MATRIX } from '../config/roles.js';
+import { isSessionActive } from '../services/sessionService.js';
+import { authenticateDevice } from '../services/gateService.js';
 
-// Middleware untuk role spesifik
+// Cookie access token (JWT pendek) & refresh token per role
+export const cookieFor = role => (role === 'client' ? 'token_client' : 'token_user');
+export const refreshCookieFor = role => (role === 'client' ? 'refresh_client' : 'refresh_user');
+
+// Perangkat scan terdaftar: header `Authorization: Device <token>`
+const deviceTokenFrom = req => /^Device\s+(\S+)$/i.exec(req.get('Authorization') ?? '')?.[1] ?? null;
+
+// Middleware untuk role spesifik; role boleh string atau array (mis. ['user', 'client'])
+// Token tanpa sesi (sid) atau yang sesinya sudah dicabut ditolak.
+// Bila DEVICE_ROLE termasuk, token perangkat juga diterima.
 export const verifyToken = (role) => {
-  return (req, res, next) => {
-    const cookieName = role === 'client' ? 'token_client' : 'token_user';
-    const token = req.cookies[cookieName];
+  const roles = [].concat(role);
+  const cookieNames = [...new Set(roles.filter(r => r !== DEVICE_ROLE).map(cookieFor))];
+
+  return async (req, res, next) => {
+    const deviceToken = roles.includes(DEVICE_ROLE) ? deviceTokenFrom(req) : null;
+    if (deviceToken) {
+      try {
+        const device = await authenticateDevice(deviceToken, req.ip);
+        if (!device) return res.status(401).json({ message: 'Token perangkat tidak valid' });
+        req.user = device;
+        return next();
+      } catch (err) {
+        console.error('❌ Gagal cek token perangkat:', err);
+        return res.status(500).json({ message: 'Terjadi kesalahan di server' });
+      }
+    }
 
-    if (!token) {
+    const tokens = cookieNames.map(name => req.cookies[name]).filter(Boolean);
+
+    if (!tokens.length) {
       return res.status(401).json({ message: 'Tidak ada token' });
     }
 
-    try {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      if (decoded.role !== role) {
-        return res.status(403).json({ message: 'Akses ditolak' });
+    let failure = { status: 401, message: 'Token tidak valid' };
+    for (const token of tokens) {
+      let decoded;
+      try {
+        decoded = jwt.verify(token, process.env.JWT_SECRET);
+      } catch (err) {
+        if (err.name === 'TokenExpiredError') failure = { status: 401, message: 'Token kedaluwarsa' };
+        continue; // coba cookie berikutnya
+      }
+
+      if (!roles.includes(decoded.role)) {
+        failure = { status: 403, message: 'Akses ditolak' };
+        continue;
       }
+
+      try {
+        if (!(await isSessionActive(decoded.sid))) {
+          failure = { status: 401, message: 'Sesi sudah berakhir' };
+          continue;
+        }
+      } catch (err) {
+        console.error('❌ Gagal cek sesi:', err);
+        return res.status(500).json({ message: 'Terjadi kesalahan di server' });
+      }
+
       req.user = decoded;
+      return next();
+    }
+
+    return res.status(failure.status).json({ message: failure.message });
+  };
+};
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// 'PATCH /checkin/:slug' → { method, regex }
+const compileOverride = key => {
+  const [method, path] = key.split(' ');
+  return { method, regex: new RegExp(`^${path.replace(/:[^/]+/g, '[^/]+')}/?$`) };
+};
+
+// Middleware berdasarkan ROLE_MATRIX: login wajib, lalu role dicek per jenis method
+// (atau per endpoint bila ada di overrides)
+export const authorize = (resource) => {
+  const rules = ROLE_MATRIX[resource];
+  if (!rules) throw new Error(`Resource tidak ada di ROLE_MATRIX: ${resource}`);
+
+  const overrides = Object.entries(rules.overrides ?? {}).map(([key, roles]) => ({ ...compileOverride(key), roles }));
+  const everyRole = [...rules.read, ...rules.write, ...overrides.flatMap(o => o.roles)];
+  const authenticate = verifyToken([...new Set(everyRole)]);
+
+  return (req, res, next) => {
+    authenticate(req, res, () => {
+      const override = overrides.find(o => o.method === req.method && o.regex.test(req.path));
+      const allowed = override?.roles ?? (READ_METHODS.includes(req.method) ? rules.read : rules.write);
+      if (!allowed.includes(req.user.role)) {
+        return res.status(403).json({ message: 'Akses ditolak' });
+      }
       next();
+    });
+  };
+};
+
+// Middleware opsional: isi req.user jika ada token valid, tanpa menolak request
+// (req.user yang sudah diisi verifyToken/authorize tidak ditimpa)
+export const attachUser = (req, res, next) => {
+  if (req.user) return next();
+  for (const cookieName of ['token_user', 'token_client']) {
+    const token = req.cookies?.[cookieName];
+    if (!token) continue;
+
+    try {
+      req.user = jwt.verify(token, process.env.JWT_SECRET);
+      break;
     } catch (err) {
-      return res.status(401).json({ message: 'Token tidak valid' });
+      // token kedaluwarsa / rusak → abaikan, perlakukan sebagai tamu
     }
-  };
-};
\ No newline at end of file
+  }
+  next();
+};
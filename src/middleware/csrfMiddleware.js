@@ -0,0 +1,50 @@
+import crypto from 'crypto';
+import { cookieOptions, isAllowedOrigin } from '../config/security.js';
+
+// -----------------------------------------------------------------------------
+// Proteksi CSRF untuk login berbasis cookie (double-submit token).
+//   - Token dibuat saat login / refresh / GET /api/csrf, disimpan di cookie
+//     csrf_token dan juga dikembalikan di body (frontend beda domain tidak bisa
+//     membaca cookie API).
+//   - POST/PUT/PATCH/DELETE yang membawa cookie login wajib mengirim header
+//     X-CSRF-Token yang sama dengan cookie.
+//   - Request dengan header Origin di luar CORS_ORIGINS selalu ditolak.
+// Route tanpa cookie login (mis. /api/public) tidak butuh token.
+// -----------------------------------------------------------------------------
+export const CSRF_COOKIE = 'csrf_token';
+export const CSRF_HEADER = 'X-CSRF-Token';
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+const AUTH_COOKIES = ['token_user', 'token_client', 'refresh_user', 'refresh_client'];
+
+// Tidak butuh token: halaman tamu, login, refresh sesi, link setup akun
+const EXEMPT_PREFIXES = ['/api/public/', '/api/login', '/api/client/refresh', '/api/user/refresh', '/api/setup/'];
+
+const sameToken = (a, b) => {
+  const x = Buffer.from(String(a ?? ''));
+  const y = Buffer.from(String(b ?? ''));
+  return x.length > 0 && x.length === y.length && crypto.timingSafeEqual(x, y);
+};
+
+// Set cookie CSRF (rotate → selalu buat token baru, mis. setelah login) → token
+export const issueCsrfToken = (req, res, { rotate = false } = {}) => {
+  const token = (!rotate && req.cookies?.[CSRF_COOKIE]) || crypto.randomBytes(32).toString('base64url');
+  res.cookie(CSRF_COOKIE, token, cookieOptions({ httpOnly: false }));
+  return token;
+};
+
+export const csrfProtection = (req, res, next) => {
+  if (SAFE_METHODS.includes(req.method)) return next();
+
+  if (!isAllowedOrigin(req.get('Origin'))) {
+    return res.status(403).json({ message: 'Origin tidak diizinkan' });
+  }
+
+  if (EXEMPT_PREFIXES.some(prefix => req.path === prefix || req.path.startsWith(prefix))) return next();
+  if (!AUTH_COOKIES.some(name => req.cookies?.[name])) return next();
+
+  if (!sameToken(req.get(CSRF_HEADER), req.cookies?.[CSRF_COOKIE])) {
+    return res.status(403).json({ message: 'Token CSRF tidak valid' });
+  }
+  next();
+};
@@ -0,0 +1,57 @@
+import db from '../config/db.js';
+import { attachUser } from './authMiddleware.js';
+import { isEventLocked } from '../config/roles.js';
+
+// -----------------------------------------------------------------------------
+// Resolve acara (event) aktif untuk request.
+// Urutan sumber:
+//   1. Akun client (dan operator yang punya event_id) → dikunci ke event_id miliknya.
+//   2. Header X-Event-Id atau query ?event_id= (boleh id atau slug acara).
+//   3. DEFAULT_EVENT_ID dari .env (kompatibilitas deployment satu acara).
+// Hasil: req.event (row events) dan req.eventId.
+// -----------------------------------------------------------------------------
+const findEvent = async (key) => {
+  const [rows] = await db.query(
+    'SELECT id, name, slug, event_date, venue FROM events WHERE id = ? OR slug = ? LIMIT 1',
+    [Number(key) || 0, String(key)]
+  );
+  return rows[0] ?? null;
+};
+
+export const resolveEvent = (req, res, next) => {
+  attachUser(req, res, async () => {
+    try {
+      const requested = req.get('X-Event-Id') || req.query.event_id || process.env.DEFAULT_EVENT_ID;
+      let key = requested;
+
+      const locked = isEventLocked(req.user);
+      if (locked) {
+        if (!req.user.event_id) {
+          return res.status(403).json({ error: 'Akun client belum terhubung ke acara mana pun.' });
+        }
+        key = req.user.event_id;
+      }
+
+      if (!key) {
+        return res.status(400).json({ error: 'event_id wajib diisi (header X-Event-Id atau query ?event_id=).' });
+      }
+
+      const event = await findEvent(key);
+      if (!event) return res.status(404).json({ error: 'Acara tidak ditemukan.' });
+
+      // Client / operator acara tidak boleh mengintip acara lain lewat header/query
+      if (locked && (req.get('X-Event-Id') || req.query.event_id)) {
+        const other = await findEvent(req.get('X-Event-Id') || req.query.event_id);
+        if (!other || other.id !== event.id) {
+          return res.status(403).json({ error: 'Akses ditolak untuk acara ini.' });
+        }
+      }
+
+      req.event = event;
+      req.eventId = event.id;
+      next();
+    } catch (err) {
+      next(err);
+    }
+  });
+};
@@ -0,0 +1,17 @@
+-- 001_initial_schema (down)
+-- Menghapus SEMUA tabel beserta datanya. Urutan mengikuti foreign key.
+
+DROP TABLE IF EXISTS delivery_attempts;
+DROP TABLE IF EXISTS delivery_jobs;
+DROP TABLE IF EXISTS caption_versions;
+DROP TABLE IF EXISTS caption;
+DROP TABLE IF EXISTS messages;
+DROP TABLE IF EXISTS checkins;
+DROP TABLE IF EXISTS slug_aliases;
+DROP TABLE IF EXISTS invitations;
+DROP TABLE IF EXISTS categories;
+DROP TABLE IF EXISTS login_attempts;
+DROP TABLE IF EXISTS user_sessions;
+DROP TABLE IF EXISTS user_invites;
+DROP TABLE IF EXISTS users;
+DROP TABLE IF EXISTS events;
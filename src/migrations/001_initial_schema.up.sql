@@ -0,0 +1,241 @@
+-- 001_initial_schema (up)
+-- Skema lengkap backend Rayarayu. Ringkasan kolom per tabel juga ada di
+-- komentar "Catatan Skema DB" pada modul yang memakainya.
+
+CREATE TABLE events (
+  id INT NOT NULL AUTO_INCREMENT,
+  name VARCHAR(150) NOT NULL,
+  slug VARCHAR(160) NOT NULL,
+  event_date DATETIME NULL,
+  venue VARCHAR(255) NULL,
+  welcome_hidden_categories VARCHAR(255) NULL,
+  welcome_token VARCHAR(64) NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  UNIQUE KEY uq_events_slug (slug),
+  UNIQUE KEY uq_events_welcome_token (welcome_token)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ---------------------------------------------------------------------------
+-- Akun & sesi
+-- ---------------------------------------------------------------------------
+CREATE TABLE users (
+  id INT NOT NULL AUTO_INCREMENT,
+  username VARCHAR(100) NOT NULL,
+  password VARCHAR(255) NOT NULL,
+  role ENUM('admin','user','operator','client') NOT NULL DEFAULT 'user',
+  event_id INT NULL,
+  is_active TINYINT(1) NOT NULL DEFAULT 1,
+  password_changed_at DATETIME NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  UNIQUE KEY uq_users_username (username),
+  KEY idx_users_event (event_id),
+  CONSTRAINT fk_users_event FOREIGN KEY (event_id) REFERENCES events (id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE user_invites (
+  id INT NOT NULL AUTO_INCREMENT,
+  token_hash CHAR(64) NOT NULL,
+  role ENUM('admin','user','operator','client') NOT NULL DEFAULT 'operator',
+  event_id INT NULL,
+  username VARCHAR(100) NULL,
+  created_by INT NULL,
+  expires_at DATETIME NOT NULL,
+  used_at DATETIME NULL,
+  user_id INT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  UNIQUE KEY uq_user_invites_token (token_hash),
+  CONSTRAINT fk_user_invites_event FOREIGN KEY (event_id) REFERENCES events (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE user_sessions (
+  id INT NOT NULL AUTO_INCREMENT,
+  user_id INT NOT NULL,
+  refresh_hash CHAR(64) NOT NULL,
+  previous_hash CHAR(64) NULL,
+  user_agent VARCHAR(255) NULL,
+  ip VARCHAR(45) NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  last_used_at DATETIME NULL,
+  expires_at DATETIME NOT NULL,
+  revoked_at DATETIME NULL,
+  PRIMARY KEY (id),
+  UNIQUE KEY uq_user_sessions_refresh (refresh_hash),
+  KEY idx_user_sessions_user (user_id),
+  KEY idx_user_sessions_previous (previous_hash),
+  CONSTRAINT fk_user_sessions_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE login_attempts (
+  id INT NOT NULL AUTO_INCREMENT,
+  username VARCHAR(100) NULL,
+  ip VARCHAR(45) NULL,
+  success TINYINT(1) NOT NULL DEFAULT 0,
+  reason VARCHAR(30) NULL,
+  user_agent VARCHAR(255) NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  KEY idx_login_attempts_username (username, created_at),
+  KEY idx_login_attempts_ip (ip, created_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ---------------------------------------------------------------------------
+-- Tamu
+-- ---------------------------------------------------------------------------
+CREATE TABLE categories (
+  id INT NOT NULL AUTO_INCREMENT,
+  event_id INT NOT NULL,
+  name VARCHAR(100) NOT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  KEY idx_categories_event (event_id),
+  CONSTRAINT fk_categories_event FOREIGN KEY (event_id) REFERENCES events (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE invitations (
+  id INT NOT NULL AUTO_INCREMENT,
+  event_id INT NOT NULL,
+  `from` VARCHAR(150) NULL,
+  name VARCHAR(150) NOT NULL,
+  category INT NULL,
+  phone VARCHAR(30) NULL,
+  qty INT NULL,
+  type ENUM('digital','cetak') NOT NULL DEFAULT 'digital',
+  slug VARCHAR(100) NOT NULL,
+  qrcode VARCHAR(255) NULL,
+  qr_version INT NOT NULL DEFAULT 1,
+  language VARCHAR(8) NULL,
+  rsvp_status ENUM('Belum Konfirmasi','Hadir','Tidak Hadir') NOT NULL DEFAULT 'Belum Konfirmasi',
+  real_qty INT NULL,
+  checked_in TINYINT(1) NOT NULL DEFAULT 0,
+  checked_in_at DATETIME NULL,
+  status_pengiriman ENUM('belum_terkirim','terkirim') NOT NULL DEFAULT 'belum_terkirim',
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  UNIQUE KEY uq_invitations_slug (slug),
+  KEY idx_invitations_event (event_id, category),
+  KEY idx_invitations_category (category),
+  CONSTRAINT fk_invitations_event FOREIGN KEY (event_id) REFERENCES events (id) ON DELETE CASCADE,
+  CONSTRAINT fk_invitations_category FOREIGN KEY (category) REFERENCES categories (id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE slug_aliases (
+  old_slug VARCHAR(100) NOT NULL,
+  invitation_id INT NOT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (old_slug),
+  KEY idx_slug_aliases_invitation (invitation_id),
+  CONSTRAINT fk_slug_aliases_invitation FOREIGN KEY (invitation_id) REFERENCES invitations (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE checkins (
+  id INT NOT NULL AUTO_INCREMENT,
+  event_id INT NOT NULL,
+  invitation_id INT NOT NULL,
+  action ENUM('checkin','undo') NOT NULL DEFAULT 'checkin',
+  checked_in_qty INT NULL,
+  prev_real_qty INT NULL,
+  is_repeat TINYINT(1) NOT NULL DEFAULT 0,
+  device_note VARCHAR(255) NULL,
+  operator_id INT NULL,
+  operator_username VARCHAR(100) NULL,
+  note VARCHAR(255) NULL,
+  checked_in_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  KEY idx_checkins_event (event_id, checked_in_at),
+  KEY idx_checkins_invitation (invitation_id, action),
+  CONSTRAINT fk_checkins_event FOREIGN KEY (event_id) REFERENCES events (id) ON DELETE CASCADE,
+  CONSTRAINT fk_checkins_invitation FOREIGN KEY (invitation_id) REFERENCES invitations (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE messages (
+  id INT NOT NULL AUTO_INCREMENT,
+  event_id INT NOT NULL,
+  invitation_id INT NOT NULL,
+  message TEXT NOT NULL,
+  status ENUM('pending','approved','hidden') NOT NULL DEFAULT 'approved',
+  pinned TINYINT(1) NOT NULL DEFAULT 0,
+  flagged_reason VARCHAR(255) NULL,
+  moderated_by INT NULL,
+  moderated_at DATETIME NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  KEY idx_messages_event (event_id, status, created_at),
+  KEY idx_messages_invitation (invitation_id),
+  CONSTRAINT fk_messages_event FOREIGN KEY (event_id) REFERENCES events (id) ON DELETE CASCADE,
+  CONSTRAINT fk_messages_invitation FOREIGN KEY (invitation_id) REFERENCES invitations (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ---------------------------------------------------------------------------
+-- Caption WhatsApp
+-- ---------------------------------------------------------------------------
+CREATE TABLE caption (
+  id INT NOT NULL AUTO_INCREMENT,
+  event_id INT NOT NULL,
+  category_id INT NOT NULL,
+  language VARCHAR(8) NOT NULL DEFAULT 'id',
+  caption_text TEXT NOT NULL,
+  is_active TINYINT(1) NOT NULL DEFAULT 0,
+  archived_at DATETIME NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NULL ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  KEY idx_caption_lookup (event_id, category_id, language, is_active),
+  KEY idx_caption_category (category_id),
+  CONSTRAINT fk_caption_event FOREIGN KEY (event_id) REFERENCES events (id) ON DELETE CASCADE,
+  CONSTRAINT fk_caption_category FOREIGN KEY (category_id) REFERENCES categories (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE caption_versions (
+  id INT NOT NULL AUTO_INCREMENT,
+  caption_id INT NOT NULL,
+  version INT NOT NULL,
+  caption_text TEXT NOT NULL,
+  created_by INT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  UNIQUE KEY uq_caption_versions (caption_id, version),
+  CONSTRAINT fk_caption_versions_caption FOREIGN KEY (caption_id) REFERENCES caption (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ---------------------------------------------------------------------------
+-- Antrian pengiriman WhatsApp
+-- ---------------------------------------------------------------------------
+CREATE TABLE delivery_jobs (
+  id INT NOT NULL AUTO_INCREMENT,
+  event_id INT NOT NULL,
+  invitation_id INT NOT NULL,
+  phone VARCHAR(30) NULL,
+  message TEXT NULL,
+  status ENUM('queued','sending','sent','failed','cancelled') NOT NULL DEFAULT 'queued',
+  attempts INT NOT NULL DEFAULT 0,
+  max_attempts INT NOT NULL DEFAULT 3,
+  next_attempt_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  last_error VARCHAR(500) NULL,
+  provider VARCHAR(30) NULL,
+  provider_message_id VARCHAR(191) NULL,
+  created_by INT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  sent_at DATETIME NULL,
+  PRIMARY KEY (id),
+  KEY idx_delivery_jobs_queue (status, next_attempt_at),
+  KEY idx_delivery_jobs_invitation (event_id, invitation_id),
+  CONSTRAINT fk_delivery_jobs_event FOREIGN KEY (event_id) REFERENCES events (id) ON DELETE CASCADE,
+  CONSTRAINT fk_delivery_jobs_invitation FOREIGN KEY (invitation_id) REFERENCES invitations (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE delivery_attempts (
+  id INT NOT NULL AUTO_INCREMENT,
+  job_id INT NOT NULL,
+  attempt_no INT NOT NULL,
+  provider VARCHAR(30) NULL,
+  status ENUM('success','error') NOT NULL,
+  error VARCHAR(500) NULL,
+  response TEXT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  KEY idx_delivery_attempts_job (job_id),
+  CONSTRAINT fk_delivery_attempts_job FOREIGN KEY (job_id) REFERENCES delivery_jobs (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,8 @@
+-- 002_offline_checkin (down)
+
+ALTER TABLE checkins
+  DROP INDEX uq_checkins_device_scan,
+  DROP COLUMN source,
+  DROP COLUMN scanned_at,
+  DROP COLUMN scan_id,
+  DROP COLUMN device_id;
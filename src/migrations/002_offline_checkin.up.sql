@@ -0,0 +1,10 @@
+-- 002_offline_checkin (up)
+-- Scan offline dari perangkat gerbang: asal scan, id scan per perangkat (untuk
+-- sinkron ulang yang idempoten) dan waktu asli scan di perangkat.
+
+ALTER TABLE checkins
+  ADD COLUMN device_id VARCHAR(64) NULL AFTER device_note,
+  ADD COLUMN scan_id VARCHAR(64) NULL AFTER device_id,
+  ADD COLUMN scanned_at DATETIME NULL AFTER scan_id,
+  ADD COLUMN source ENUM('online','offline') NOT NULL DEFAULT 'online' AFTER scanned_at,
+  ADD UNIQUE KEY uq_checkins_device_scan (device_id, scan_id);
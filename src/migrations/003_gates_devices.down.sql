@@ -0,0 +1,11 @@
+-- 003_gates_devices (down)
+
+ALTER TABLE checkins
+  DROP FOREIGN KEY fk_checkins_scan_device,
+  DROP FOREIGN KEY fk_checkins_gate,
+  DROP INDEX idx_checkins_gate,
+  DROP COLUMN scan_device_id,
+  DROP COLUMN gate_id;
+
+DROP TABLE IF EXISTS scan_devices;
+DROP TABLE IF EXISTS gates;
@@ -0,0 +1,38 @@
+-- 003_gates_devices (up)
+-- Gerbang check-in & perangkat scan terdaftar; setiap check-in ditandai
+-- gerbang dan perangkat yang mencatatnya.
+
+CREATE TABLE gates (
+  id INT NOT NULL AUTO_INCREMENT,
+  event_id INT NOT NULL,
+  name VARCHAR(100) NOT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  UNIQUE KEY uq_gates_event_name (event_id, name),
+  CONSTRAINT fk_gates_event FOREIGN KEY (event_id) REFERENCES events (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE scan_devices (
+  id INT NOT NULL AUTO_INCREMENT,
+  event_id INT NOT NULL,
+  gate_id INT NULL,
+  name VARCHAR(100) NOT NULL,
+  token_hash CHAR(64) NOT NULL,
+  last_seen_at DATETIME NULL,
+  last_ip VARCHAR(45) NULL,
+  revoked_at DATETIME NULL,
+  created_by INT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  UNIQUE KEY uq_scan_devices_token (token_hash),
+  KEY idx_scan_devices_event (event_id),
+  CONSTRAINT fk_scan_devices_event FOREIGN KEY (event_id) REFERENCES events (id) ON DELETE CASCADE,
+  CONSTRAINT fk_scan_devices_gate FOREIGN KEY (gate_id) REFERENCES gates (id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+ALTER TABLE checkins
+  ADD COLUMN gate_id INT NULL AFTER source,
+  ADD COLUMN scan_device_id INT NULL AFTER gate_id,
+  ADD KEY idx_checkins_gate (event_id, gate_id),
+  ADD CONSTRAINT fk_checkins_gate FOREIGN KEY (gate_id) REFERENCES gates (id) ON DELETE SET NULL,
+  ADD CONSTRAINT fk_checkins_scan_device FOREIGN KEY (scan_device_id) REFERENCES scan_devices (id) ON DELETE SET NULL;
@@ -0,0 +1,8 @@
+-- 004_seating (down)
+
+ALTER TABLE invitations
+  DROP FOREIGN KEY fk_invitations_table,
+  DROP INDEX idx_invitations_table,
+  DROP COLUMN table_id;
+
+DROP TABLE IF EXISTS seating_tables;
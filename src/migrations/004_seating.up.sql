@@ -0,0 +1,22 @@
+-- 004_seating (up)
+-- Meja / area duduk per acara dan penempatan undangan ke meja.
+
+CREATE TABLE seating_tables (
+  id INT NOT NULL AUTO_INCREMENT,
+  event_id INT NOT NULL,
+  name VARCHAR(100) NOT NULL,
+  area VARCHAR(100) NULL,
+  capacity INT NOT NULL,
+  category_id INT NULL,
+  sort_order INT NOT NULL DEFAULT 0,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  UNIQUE KEY uq_seating_tables_event_name (event_id, name),
+  CONSTRAINT fk_seating_tables_event FOREIGN KEY (event_id) REFERENCES events (id) ON DELETE CASCADE,
+  CONSTRAINT fk_seating_tables_category FOREIGN KEY (category_id) REFERENCES categories (id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+ALTER TABLE invitations
+  ADD COLUMN table_id INT NULL AFTER category,
+  ADD KEY idx_invitations_table (table_id),
+  ADD CONSTRAINT fk_invitations_table FOREIGN KEY (table_id) REFERENCES seating_tables (id) ON DELETE SET NULL;
@@ -1,6 +1,8 @@
 import express from 'express';
-import { login, logout, getMe } from '../controllers/authController.js';
+import { login, logout, getMe, refresh, logoutAll, getMySessions, revokeMySession, getCsrfToken } from '../controllers/authController.js';
+import { acceptInvite, changeOwnPassword, getInvite } from '../controllers/userController.js';
 import { verifyToken } from '../middleware/authMiddleware.js';
+import { ROLES, STAFF_ROLES } from '../config/roles.js';
 
 const router = express.Router();
 
@@ -8,8 +10,27 @@ const router = express.Router();
 router.post('/login', login);
 router.post('/logout', logout);
 
+// Token CSRF (wajib di header X-CSRF-Token untuk request tulis yang memakai cookie login)
+router.get('/csrf', getCsrfToken);
+
+// Perbarui access token pakai refresh token (cookie refresh_client / refresh_user)
+router.post('/client/refresh', refresh('client'));
+router.post('/user/refresh', refresh('user'));
+
 // GetMe berdasarkan role
 router.get('/client/me', verifyToken('client'), getMe);
-router.get('/user/me', verifyToken('user'), getMe);
+router.get('/user/me', verifyToken(STAFF_ROLES), getMe);
+
+// Ganti password sendiri (semua role)
+router.patch('/me/password', verifyToken(ROLES), changeOwnPassword);
+
+// Sesi login sendiri: daftar, cabut satu, logout dari semua perangkat
+router.get('/me/sessions', verifyToken(ROLES), getMySessions);
+router.delete('/me/sessions/:id', verifyToken(ROLES), revokeMySession);
+router.post('/logout-all', verifyToken(ROLES), logoutAll);
+
+// Link setup akun dari admin (tanpa login, token sekali pakai)
+router.get('/setup/:token', getInvite);
+router.post('/setup/:token', acceptInvite);
 
-export default router;
\ No newline at end of file
+export default router;
@@ -1,12 +1,69 @@
 import express from 'express';
-import db from '../config/db.js';
+import db, { withTransaction } from '../config/db.js';
+import {
+  CAPTION_LANGUAGES,
+  CAPTION_PLACEHOLDERS,
+  DEFAULT_CAPTION_LANGUAGE,
+  SAMPLE_INVITATION,
+  buildCaptionContext,
+  findUnknownPlaceholders,
+  normalizeLanguage,
+  renderCaption,
+} from '../utils/captionTemplate.js';
+import { activateCaption, findActiveCaption, recordCaptionVersion } from '../services/captionService.js';
 
 const router = express.Router();
 
-// Ambil semua caption
+const CAPTION_COLUMNS = 'id, event_id, category_id, language, caption_text, is_active, archived_at, created_at, updated_at';
+
+const unknownPlaceholderError = unknown => ({
+  error: `Placeholder tidak dikenal: ${unknown.map(k => `{{${k}}}`).join(', ')}`,
+  unknown_placeholders: unknown,
+  allowed_placeholders: CAPTION_PLACEHOLDERS,
+});
+
+const languageError = () => ({ error: `Bahasa tidak dikenal. Gunakan: ${CAPTION_LANGUAGES.join(', ')}` });
+
+// Validasi caption_text → pesan error (objek) atau null
+const captionTextError = text => {
+  if (typeof text !== 'string' || !text.trim()) return { error: 'caption_text wajib diisi' };
+  const unknown = findUnknownPlaceholders(text);
+  return unknown.length ? unknownPlaceholderError(unknown) : null;
+};
+
+const findCaption = async (id, eventId, conn = db) => {
+  const [rows] = await conn.query(`SELECT ${CAPTION_COLUMNS} FROM caption WHERE id = ? AND event_id = ? LIMIT 1`, [id, eventId]);
+  return rows[0] ?? null;
+};
+
+const findInvitationForCaption = async (slug, eventId) => {
+  const [rows] = await db.query(
+    `SELECT i.id, i.\`from\`, i.name, i.qty, i.slug, i.category, i.language, c.name AS category_name
+     FROM invitations i
+     LEFT JOIN categories c ON c.id = i.category
+     WHERE i.slug = ? AND i.event_id = ?
+     LIMIT 1`,
+    [slug, eventId]
+  );
+  return rows[0] ?? null;
+};
+
+// Ambil semua caption (?category_id=&language=&include_archived=1)
 router.get('/', async (req, res) => {
   try {
-    const [rows] = await db.query('SELECT * FROM caption');
+    const { category_id, language, include_archived } = req.query;
+    const where = ['event_id = ?'];
+    const params = [req.eventId];
+
+    if (category_id) { where.push('category_id = ?'); params.push(category_id); }
+    if (language) { where.push('language = ?'); params.push(language); }
+    if (include_archived !== '1') where.push('archived_at IS NULL');
+
+    const [rows] = await db.query(
+      `SELECT ${CAPTION_COLUMNS} FROM caption WHERE ${where.join(' AND ')}
+       ORDER BY category_id, language, is_active DESC, id DESC`,
+      params
+    );
     res.json(rows);
   } catch (err) {
     console.error('Error get captions:', err);
@@ -14,29 +71,227 @@ router.get('/', async (req, res) => {
   }
 });
 
-// Ambil caption berdasarkan category_id
+// Daftar placeholder & bahasa yang bisa dipakai
+router.get('/placeholders', (req, res) => {
+  res.json({ placeholders: CAPTION_PLACEHOLDERS, languages: CAPTION_LANGUAGES, default_language: DEFAULT_CAPTION_LANGUAGE });
+});
+
+// Caption final untuk satu tamu (bahasa tamu, placeholder sudah diisi)
+router.get('/render/:slug', async (req, res) => {
+  try {
+    const inv = await findInvitationForCaption(req.params.slug, req.eventId);
+    if (!inv) return res.status(404).json({ error: 'Undangan tidak ditemukan' });
+
+    const caption = await findActiveCaption(inv.category, req.eventId, inv.language);
+    if (!caption) return res.status(404).json({ error: 'Caption untuk kategori tamu ini belum ada' });
+
+    res.json({
+      slug: inv.slug,
+      category_id: inv.category,
+      caption_id: caption.id,
+      language: caption.language,
+      caption_text: caption.caption_text,
+      rendered: renderCaption(caption.caption_text, buildCaptionContext(inv, req.event, caption.language)),
+    });
+  } catch (err) {
+    console.error('Error render caption:', err);
+    res.status(500).json({ error: 'Gagal merender caption' });
+  }
+});
+
+// Preview caption sebelum disimpan.
+// body: { caption_text? | category_id? (+ language?), slug?, sample? }
+//   - caption_text kosong → pakai caption aktif kategori category_id
+//   - slug → isi dengan data tamu tsb, selain itu data contoh (bisa ditimpa lewat sample)
+router.post('/preview', async (req, res) => {
+  try {
+    const { category_id, slug, sample } = req.body;
+    let { caption_text } = req.body;
+    let language = normalizeLanguage(req.body.language);
+    if (language === undefined) return res.status(400).json(languageError());
+
+    if (!caption_text && category_id != null) {
+      const caption = await findActiveCaption(category_id, req.eventId, language);
+      caption_text = caption?.caption_text;
+      language = caption?.language ?? language;
+    }
+    if (!caption_text) return res.status(400).json({ error: 'caption_text atau category_id wajib diisi' });
+
+    const unknown = findUnknownPlaceholders(caption_text);
+    if (unknown.length) return res.status(400).json(unknownPlaceholderError(unknown));
+
+    let inv = { ...SAMPLE_INVITATION, ...(sample ?? {}) };
+    if (slug) {
+      inv = await findInvitationForCaption(slug, req.eventId);
+      if (!inv) return res.status(404).json({ error: 'Undangan tidak ditemukan' });
+    }
+
+    const lang = language ?? DEFAULT_CAPTION_LANGUAGE;
+    res.json({ caption_text, language: lang, rendered: renderCaption(caption_text, buildCaptionContext(inv, req.event, lang)) });
+  } catch (err) {
+    console.error('Error preview caption:', err);
+    res.status(500).json({ error: 'Gagal membuat preview caption' });
+  }
+});
+
+// Ambil caption aktif berdasarkan category_id (?language=, cadangan bahasa default)
 router.get('/:category_id', async (req, res) => {
   try {
-    const { category_id } = req.params;
-    const [rows] = await db.query('SELECT * FROM caption WHERE category_id = ? AND is_active = 1 LIMIT 1', [category_id]);
-    if (rows.length === 0) return res.status(404).json({ error: 'Caption tidak ditemukan' });
-    res.json(rows[0]);
+    const language = normalizeLanguage(req.query.language);
+    if (language === undefined) return res.status(400).json(languageError());
+
+    const active = await findActiveCaption(req.params.category_id, req.eventId, language);
+    if (!active) return res.status(404).json({ error: 'Caption tidak ditemukan' });
+    res.json(await findCaption(active.id, req.eventId));
   } catch (err) {
     console.error('Error get caption by category:', err);
     res.status(500).json({ error: 'Gagal mengambil caption' });
   }
 });
 
-// Tambah caption
+// Tambah caption (default langsung aktif; kirim activate: false untuk draft)
 router.post('/', async (req, res) => {
   try {
-    const { category_id, caption_text } = req.body;
-    await db.query('INSERT INTO caption (category_id, caption_text) VALUES (?, ?)', [category_id, caption_text]);
-    res.json({ success: true });
+    const { category_id, caption_text, activate } = req.body;
+
+    const textError = captionTextError(caption_text);
+    if (textError) return res.status(400).json(textError);
+
+    const requested = normalizeLanguage(req.body.language);
+    if (requested === undefined) return res.status(400).json(languageError());
+    const language = requested ?? DEFAULT_CAPTION_LANGUAGE;
+
+    const [cats] = await db.query('SELECT id FROM categories WHERE id = ? AND event_id = ?', [category_id, req.eventId]);
+    if (cats.length === 0) return res.status(400).json({ error: 'Kategori tidak ditemukan pada acara ini' });
+
+    const id = await withTransaction(async conn => {
+      const [result] = await conn.query(
+        'INSERT INTO caption (event_id, category_id, language, caption_text, is_active) VALUES (?, ?, ?, ?, 0)',
+        [req.eventId, category_id, language, caption_text]
+      );
+      const caption = { id: result.insertId, event_id: req.eventId, category_id, language, caption_text: null };
+      await recordCaptionVersion(conn, caption, caption_text, req.user?.id ?? null);
+      if (activate !== false) await activateCaption(conn, caption);
+      return caption.id;
+    });
+
+    res.json({ success: true, id, language, is_active: activate !== false });
   } catch (err) {
     console.error('Error create caption:', err);
     res.status(500).json({ error: 'Gagal membuat caption' });
   }
 });
 
-export default router;
\ No newline at end of file
+// Edit teks caption (versi lama tetap tersimpan)
+router.put('/:id', async (req, res) => {
+  try {
+    const { caption_text } = req.body;
+    const textError = captionTextError(caption_text);
+    if (textError) return res.status(400).json(textError);
+
+    const version = await withTransaction(async conn => {
+      const caption = await findCaption(req.params.id, req.eventId, conn);
+      if (!caption) return null;
+      if (caption.caption_text === caption_text) return 0;
+
+      const next = await recordCaptionVersion(conn, caption, caption_text, req.user?.id ?? null);
+      await conn.query('UPDATE caption SET caption_text = ? WHERE id = ?', [caption_text, caption.id]);
+      return next;
+    });
+
+    if (version === null) return res.status(404).json({ error: 'Caption tidak ditemukan' });
+    res.json({ success: true, changed: version > 0, version: version || null });
+  } catch (err) {
+    console.error('Error update caption:', err);
+    res.status(500).json({ error: 'Gagal memperbarui caption' });
+  }
+});
+
+// Aktifkan caption (caption lain di kategori + bahasa yang sama dinonaktifkan)
+router.post('/:id/activate', async (req, res) => {
+  try {
+    const caption = await withTransaction(async conn => {
+      const found = await findCaption(req.params.id, req.eventId, conn);
+      if (found) await activateCaption(conn, found);
+      return found;
+    });
+    if (!caption) return res.status(404).json({ error: 'Caption tidak ditemukan' });
+    res.json({ success: true, category_id: caption.category_id, language: caption.language });
+  } catch (err) {
+    console.error('Error activate caption:', err);
+    res.status(500).json({ error: 'Gagal mengaktifkan caption' });
+  }
+});
+
+// Arsipkan caption (nonaktif & disembunyikan dari daftar, riwayat tetap ada)
+router.post('/:id/archive', async (req, res) => {
+  try {
+    const [result] = await db.query(
+      'UPDATE caption SET is_active = 0, archived_at = NOW() WHERE id = ? AND event_id = ?',
+      [req.params.id, req.eventId]
+    );
+    if (!result.affectedRows) return res.status(404).json({ error: 'Caption tidak ditemukan' });
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Error archive caption:', err);
+    res.status(500).json({ error: 'Gagal mengarsipkan caption' });
+  }
+});
+
+// Hapus caption beserta riwayat versinya
+router.delete('/:id', async (req, res) => {
+  try {
+    const [result] = await db.query('DELETE FROM caption WHERE id = ? AND event_id = ?', [req.params.id, req.eventId]);
+    if (!result.affectedRows) return res.status(404).json({ error: 'Caption tidak ditemukan' });
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Error delete caption:', err);
+    res.status(500).json({ error: 'Gagal menghapus caption' });
+  }
+});
+
+// Riwayat versi caption (terbaru dulu)
+router.get('/:id/versions', async (req, res) => {
+  try {
+    const caption = await findCaption(req.params.id, req.eventId);
+    if (!caption) return res.status(404).json({ error: 'Caption tidak ditemukan' });
+
+    const [rows] = await db.query(
+      'SELECT version, caption_text, created_by, created_at FROM caption_versions WHERE caption_id = ? ORDER BY version DESC',
+      [caption.id]
+    );
+    res.json(rows);
+  } catch (err) {
+    console.error('Error get caption versions:', err);
+    res.status(500).json({ error: 'Gagal mengambil riwayat caption' });
+  }
+});
+
+// Pulihkan teks versi lama (dicatat sebagai versi baru)
+router.post('/:id/versions/:version/restore', async (req, res) => {
+  try {
+    const outcome = await withTransaction(async conn => {
+      const caption = await findCaption(req.params.id, req.eventId, conn);
+      if (!caption) return { status: 404, error: 'Caption tidak ditemukan' };
+
+      const [[old]] = await conn.query(
+        'SELECT caption_text FROM caption_versions WHERE caption_id = ? AND version = ?',
+        [caption.id, req.params.version]
+      );
+      if (!old) return { status: 404, error: 'Versi caption tidak ditemukan' };
+      if (old.caption_text === caption.caption_text) return { version: null };
+
+      const version = await recordCaptionVersion(conn, caption, old.caption_text, req.user?.id ?? null);
+      await conn.query('UPDATE caption SET caption_text = ? WHERE id = ?', [old.caption_text, caption.id]);
+      return { version, caption_text: old.caption_text };
+    });
+
+    if (outcome.error) return res.status(outcome.status).json({ error: outcome.error });
+    res.json({ success: true, changed: outcome.version != null, ...outcome });
+  } catch (err) {
+    console.error('Error restore caption version:', err);
+    res.status(500).json({ error: 'Gagal memulihkan versi caption' });
+  }
+});
+
+export default router;
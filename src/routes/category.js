@@ -9,7 +9,10 @@ router.post('/', async (req, res) => {
   try {
     const { name } = req.body;
 
-    const [result] = await db.query('INSERT INTO categories (name) VALUES (?)', [name]);
+    const [result] = await db.query(
+      'INSERT INTO categories (event_id, name) VALUES (?, ?)',
+      [req.eventId, name]
+    );
 
     res.status(201).json({ message: 'Kategori ditambahkan', id: result.insertId });
   } catch (err) {
@@ -25,11 +28,12 @@ router.get('/', async (req, res) => {
       SELECT c.id, c.name, COUNT(i.id) AS total_guests
       FROM categories c
       LEFT JOIN invitations i ON i.category = c.id
+      WHERE c.event_id = ?
       GROUP BY c.id
       ORDER BY c.id DESC
     `;
 
-    const [results] = await db.query(sql);
+    const [results] = await db.query(sql, [req.eventId]);
     res.json(results);
   } catch (err) {
     console.error('❌ Gagal mengambil kategori:', err);
@@ -43,7 +47,11 @@ router.put('/:id', async (req, res) => {
   const { name } = req.body;
 
   try {
-    await db.query('UPDATE categories SET name = ? WHERE id = ?', [name, id]);
+    const [result] = await db.query(
+      'UPDATE categories SET name = ? WHERE id = ? AND event_id = ?',
+      [name, id, req.eventId]
+    );
+    if (!result.affectedRows) return res.status(404).json({ error: 'Kategori tidak ditemukan' });
     res.json({ message: 'Kategori berhasil diperbarui' });
   } catch (err) {
     console.error('❌ Gagal memperbarui kategori:', err);
@@ -56,7 +64,8 @@ router.delete('/:id', async (req, res) => {
   const { id } = req.params;
 
   try {
-    await db.query('DELETE FROM categories WHERE id = ?', [id]);
+    const [result] = await db.query('DELETE FROM categories WHERE id = ? AND event_id = ?', [id, req.eventId]);
+    if (!result.affectedRows) return res.status(404).json({ error: 'Kategori tidak ditemukan' });
     res.json({ message: 'Kategori berhasil dihapus' });
   } catch (err) {
     console.error('❌ Gagal menghapus kategori:', err);
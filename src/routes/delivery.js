@@ -0,0 +1,129 @@
+// routes/delivery.js
+// -----------------------------------------------------------------------------
+// Antrian pengiriman WhatsApp (lihat services/deliveryQueue.js).
+//
+//   POST /api/deliveries            → antrekan undangan terpilih
+//        body: { invitation_ids?: [], slugs?: [], category?: id, all?: true,
+//                only_unsent?: true }
+//   GET  /api/deliveries            → daftar job (?status=&invitation_id=&limit=)
+//   GET  /api/deliveries/:id        → detail job + log percobaan
+//   POST /api/deliveries/:id/retry  → kirim ulang job gagal/dibatalkan
+//   POST /api/deliveries/:id/cancel → batalkan job yang masih antre
+// -----------------------------------------------------------------------------
+import express from 'express';
+import db from '../config/db.js';
+import { DELIVERY_STATUSES, enqueueDeliveries, retryJob, cancelJob } from '../services/deliveryQueue.js';
+import { hasDeliveryProvider } from '../services/deliveryProviders/index.js';
+
+const router = express.Router();
+
+const awrap = fn => (req, res, next) => Promise.resolve(fn(req, res, next)).catch(next);
+
+const asList = v => (Array.isArray(v) ? v : v == null || v === '' ? [] : [v]);
+
+// ✅ Antrekan pengiriman
+router.post('/', awrap(async (req, res) => {
+  const { category, all } = req.body;
+  const ids = asList(req.body.invitation_ids).map(Number).filter(Number.isInteger);
+  const slugs = asList(req.body.slugs).map(String);
+  const onlyUnsent = req.body.only_unsent !== false;
+
+  if (!hasDeliveryProvider()) {
+    return res.status(503).json({ error: 'Pengiriman belum aktif: DELIVERY_PROVIDER di server belum diatur atau tidak dikenal.' });
+  }
+  if (!ids.length && !slugs.length && category == null && all !== true) {
+    return res.status(400).json({ error: 'Pilih undangan lewat invitation_ids, slugs, category, atau all: true.' });
+  }
+
+  const where = ['i.event_id = ?'];
+  const params = [req.eventId];
+  if (ids.length || slugs.length) {
+    const match = [];
+    if (ids.length) { match.push('i.id IN (?)'); params.push(ids); }
+    if (slugs.length) { match.push('i.slug IN (?)'); params.push(slugs); }
+    where.push(`(${match.join(' OR ')})`);
+  }
+  if (category != null) { where.push('i.category = ?'); params.push(category); }
+  if (onlyUnsent) where.push("(i.status_pengiriman IS NULL OR i.status_pengiriman <> 'terkirim')");
+
+  const [invitations] = await db.query(`
+    SELECT i.id, i.\`from\`, i.name, i.slug, i.phone, i.qty, i.category, i.language, c.name AS category_name
+    FROM invitations i
+    LEFT JOIN categories c ON c.id = i.category
+    WHERE ${where.join(' AND ')}
+    ORDER BY i.id
+  `, params);
+  if (!invitations.length) {
+    return res.status(404).json({ error: 'Tidak ada undangan yang cocok untuk dikirim.' });
+  }
+
+  const { queued, skipped } = await enqueueDeliveries(req.event, invitations, { createdBy: req.user?.id ?? null });
+
+  res.status(queued.length ? 201 : 200).json({
+    message: `${queued.length} pesan masuk antrean, ${skipped.length} dilewati.`,
+    queued,
+    skipped,
+  });
+}));
+
+// ✅ Daftar job pengiriman
+router.get('/', awrap(async (req, res) => {
+  const { status, invitation_id } = req.query;
+  if (status && !DELIVERY_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `Status tidak valid. Gunakan: ${DELIVERY_STATUSES.join(', ')}.` });
+  }
+  const limit = Math.min(Math.max(Number(req.query.limit) || 200, 1), 1000);
+
+  const where = ['j.event_id = ?'];
+  const params = [req.eventId];
+  if (status) { where.push('j.status = ?'); params.push(status); }
+  if (invitation_id) { where.push('j.invitation_id = ?'); params.push(invitation_id); }
+
+  const [rows] = await db.query(`
+    SELECT j.id, j.invitation_id, i.name, i.slug, j.phone, j.status, j.attempts, j.max_attempts,
+           j.next_attempt_at, j.last_error, j.provider, j.provider_message_id, j.created_at, j.sent_at
+    FROM delivery_jobs j
+    JOIN invitations i ON i.id = j.invitation_id
+    WHERE ${where.join(' AND ')}
+    ORDER BY j.id DESC
+    LIMIT ?
+  `, [...params, limit]);
+
+  res.json(rows);
+}));
+
+// ✅ Detail job + log percobaan
+router.get('/:id', awrap(async (req, res) => {
+  const [[job]] = await db.query(`
+    SELECT j.*, i.name, i.slug
+    FROM delivery_jobs j
+    JOIN invitations i ON i.id = j.invitation_id
+    WHERE j.id = ? AND j.event_id = ?
+  `, [req.params.id, req.eventId]);
+  if (!job) return res.status(404).json({ error: 'Job pengiriman tidak ditemukan.' });
+
+  const [attempts] = await db.query(
+    'SELECT attempt_no, provider, status, error, response, created_at FROM delivery_attempts WHERE job_id = ? ORDER BY id',
+    [job.id]
+  );
+
+  res.json({ ...job, attempts_log: attempts });
+}));
+
+// ✅ Kirim ulang
+router.post('/:id/retry', awrap(async (req, res) => {
+  if (!(await retryJob(req.eventId, req.params.id))) {
+    return res.status(409).json({ error: 'Hanya job yang gagal atau dibatalkan yang bisa dikirim ulang.' });
+  }
+  res.json({ message: 'Job dimasukkan kembali ke antrean.' });
+}));
+
+// ✅ Batalkan
+router.post('/:id/cancel', awrap(async (req, res) => {
+  if (!(await cancelJob(req.eventId, req.params.id))) {
+    return res.status(409).json({ error: 'Hanya job yang masih antre yang bisa dibatalkan.' });
+  }
+  res.json({ message: 'Job pengiriman dibatalkan.' });
+}));
+
+export default router;
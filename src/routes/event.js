@@ -0,0 +1,127 @@
+// routes/event.js
+// -----------------------------------------------------------------------------
+// Resource `events`: satu baris per acara (pernikahan). Semua invitations,
+// categories, caption dan messages menempel ke satu event lewat kolom event_id.
+//
+// Catatan Skema DB:
+//   events(id PK AI, name VARCHAR(150), slug VARCHAR(160) UNIQUE,
+//          event_date DATETIME NULL, venue VARCHAR(255) NULL,
+//          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP)
+//   invitations.event_id, categories.event_id, caption.event_id,
+//   messages.event_id  → INT NOT NULL, FK -> events.id ON DELETE CASCADE
+//   users.event_id     → INT NULL (wajib untuk role client)
+//   events.welcome_hidden_categories → id kategori (dipisah koma) yang tidak
+//                                      ditampilkan di layar penyambutan
+//   events.welcome_token VARCHAR(64) NULL UNIQUE → kunci link layar penyambutan
+//
+//   POST /api/events/:id/welcome-token → buat token layar baru (link lama mati)
+// -----------------------------------------------------------------------------
+import express from 'express';
+import slugify from 'slugify';
+import db from '../config/db.js';
+import { generateWelcomeToken, parseHiddenCategories } from '../services/welcomeFeed.js';
+import { isEventLocked } from '../config/roles.js';
+
+const router = express.Router();
+
+const EVENT_COLUMNS = 'id, name, slug, event_date, venue, welcome_hidden_categories, welcome_token, created_at';
+
+const toEvent = row => ({ ...row, welcome_hidden_categories: parseHiddenCategories(row.welcome_hidden_categories) });
+
+// Body boleh array [1, 2] atau string "1,2"
+const hiddenCategoriesValue = v =>
+  v == null ? null : parseHiddenCategories(Array.isArray(v) ? v.join(',') : v).join(',') || null;
+
+const awrap = fn => (req, res, next) => Promise.resolve(fn(req, res, next)).catch(next);
+
+const isLocked = req => isEventLocked(req.user);
+
+async function generateEventSlug(name) {
+  const base = slugify(name, { lower: true, strict: true }) || 'acara';
+  let slug = base;
+  let n = 1;
+
+  while (true) {
+    const [rows] = await db.query('SELECT id FROM events WHERE slug = ? LIMIT 1', [slug]);
+    if (!rows.length) return slug;
+    n++;
+    slug = `${base}-${n}`;
+  }
+}
+
+// ✅ List acara (client / operator acara hanya melihat acaranya sendiri)
+router.get('/', awrap(async (req, res) => {
+  if (isLocked(req)) {
+    const [rows] = await db.query(`SELECT ${EVENT_COLUMNS} FROM events WHERE id = ?`, [req.user.event_id ?? 0]);
+    return res.json(rows.map(toEvent));
+  }
+
+  const [rows] = await db.query(`SELECT ${EVENT_COLUMNS} FROM events ORDER BY event_date DESC, id DESC`);
+  res.json(rows.map(toEvent));
+}));
+
+// ✅ Detail acara
+router.get('/:id', awrap(async (req, res) => {
+  const { id } = req.params;
+  if (isLocked(req) && Number(id) !== req.user.event_id) {
+    return res.status(403).json({ error: 'Akses ditolak untuk acara ini.' });
+  }
+
+  const [rows] = await db.query(`SELECT ${EVENT_COLUMNS} FROM events WHERE id = ? LIMIT 1`, [id]);
+  if (!rows.length) return res.status(404).json({ error: 'Acara tidak ditemukan.' });
+  res.json(toEvent(rows[0]));
+}));
+
+// ✅ Tambah acara
+router.post('/', awrap(async (req, res) => {
+  const { name, event_date, venue, welcome_hidden_categories } = req.body ?? {};
+  if (!name) return res.status(400).json({ error: 'Field name wajib diisi.' });
+
+  const slug = await generateEventSlug(req.body.slug || name);
+  const welcomeToken = generateWelcomeToken();
+  const [result] = await db.query(
+    'INSERT INTO events (name, slug, event_date, venue, welcome_hidden_categories, welcome_token) VALUES (?, ?, ?, ?, ?, ?)',
+    [name, slug, event_date ?? null, venue ?? null, hiddenCategoriesValue(welcome_hidden_categories), welcomeToken]
+  );
+
+  res.status(201).json({ message: 'Acara ditambahkan.', id: result.insertId, slug, welcome_token: welcomeToken });
+}));
+
+// ✅ Edit acara
+router.put('/:id', awrap(async (req, res) => {
+  const { id } = req.params;
+  const { name, event_date, venue, welcome_hidden_categories } = req.body ?? {};
+  if (!name) return res.status(400).json({ error: 'Field name wajib diisi.' });
+
+  // welcome_hidden_categories hanya diubah bila dikirim (form edit acara biasa tidak membawanya)
+  const values = { name, event_date: event_date ?? null, venue: venue ?? null };
+  if ('welcome_hidden_categories' in (req.body ?? {})) values.welcome_hidden_categories = hiddenCategoriesValue(welcome_hidden_categories);
+
+  const [result] = await db.query(
+    `UPDATE events SET ${Object.keys(values).map(f => `${f} = ?`).join(', ')} WHERE id = ?`,
+    [...Object.values(values), id]
+  );
+  if (!result.affectedRows) return res.status(404).json({ error: 'Acara tidak ditemukan.' });
+
+  res.json({ message: 'Acara berhasil diperbarui.' });
+}));
+
+// ✅ Token layar penyambutan baru (acara lama yang belum punya token, atau link bocor)
+router.post('/:id/welcome-token', awrap(async (req, res) => {
+  const welcomeToken = generateWelcomeToken();
+  const [result] = await db.query('UPDATE events SET welcome_token = ? WHERE id = ?', [welcomeToken, req.params.id]);
+  if (!result.affectedRows) return res.status(404).json({ error: 'Acara tidak ditemukan.' });
+
+  res.json({ message: 'Link layar penyambutan diperbarui. Link lama tidak berlaku lagi.', welcome_token: welcomeToken });
+}));
+
+// ✅ Hapus acara (ikut menghapus data turunan via FK cascade)
+router.delete('/:id', awrap(async (req, res) => {
+  const { id } = req.params;
+  const [result] = await db.query('DELETE FROM events WHERE id = ?', [id]);
+  if (!result.affectedRows) return res.status(404).json({ error: 'Acara tidak ditemukan.' });
+
+  res.json({ message: 'Acara dihapus.' });
+}));
+
+export default router;
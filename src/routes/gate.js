@@ -0,0 +1,182 @@
+// routes/gate.js
+// -----------------------------------------------------------------------------
+// Gerbang check-in & perangkat scan terdaftar (lihat services/gateService.js).
+//
+//   GET    /api/gates                      → daftar gerbang + jumlah perangkat
+//   POST   /api/gates                      → tambah gerbang        body: { name }
+//   PATCH  /api/gates/:id                  → ganti nama gerbang    body: { name }
+//   DELETE /api/gates/:id                  → hapus gerbang (belum ada check-in)
+//   GET    /api/gates/stats                → statistik per gerbang (?interval=15 menit)
+//   GET    /api/gates/devices              → daftar perangkat
+//   POST   /api/gates/devices              → daftarkan perangkat   body: { name, gate_id? }
+//   PATCH  /api/gates/devices/:id          → ubah nama / pindah gerbang
+//   POST   /api/gates/devices/:id/token    → buat token baru (token lama tidak berlaku)
+//   DELETE /api/gates/devices/:id          → cabut token perangkat
+// Token perangkat hanya dikembalikan sekali (saat dibuat / diganti).
+// -----------------------------------------------------------------------------
+import express from 'express';
+import db from '../config/db.js';
+import {
+  createDevice,
+  deleteGate,
+  findGate,
+  gateStats,
+  revokeDevice,
+  rotateDeviceToken,
+  updateDevice,
+} from '../services/gateService.js';
+
+const router = express.Router();
+
+const awrap = fn => (req, res, next) => Promise.resolve(fn(req, res, next)).catch(next);
+
+const isDuplicateKey = err => err?.code === 'ER_DUP_ENTRY';
+
+const cleanName = value => (typeof value === 'string' ? value.trim().slice(0, 100) : '');
+
+// gate_id dari body → { gateId } atau { error } (null / '' = tanpa gerbang)
+async function gateFromBody(eventId, gateId) {
+  if (gateId == null || gateId === '') return { gateId: null };
+  const gate = await findGate(eventId, gateId);
+  return gate ? { gateId: gate.id } : { error: 'Gerbang tidak ditemukan di acara ini.' };
+}
+
+// -----------------------------------------------------------------------------
+// Statistik
+// -----------------------------------------------------------------------------
+
+// ✅ Arus tamu per gerbang
+router.get('/stats', awrap(async (req, res) => {
+  const interval = Number(req.query.interval ?? 15);
+  if (!Number.isInteger(interval) || interval < 5 || interval > 60) {
+    return res.status(400).json({ error: 'interval harus 5–60 menit.' });
+  }
+  res.json(await gateStats(req.eventId, { intervalMinutes: interval }));
+}));
+
+// -----------------------------------------------------------------------------
+// Perangkat scan
+// -----------------------------------------------------------------------------
+
+// ✅ Daftar perangkat
+router.get('/devices', awrap(async (req, res) => {
+  const [rows] = await db.query(`
+    SELECT d.id, d.name, d.gate_id, g.name AS gate_name, d.last_seen_at, d.last_ip,
+           d.revoked_at, d.created_at
+    FROM scan_devices d
+    LEFT JOIN gates g ON g.id = d.gate_id
+    WHERE d.event_id = ?
+    ORDER BY d.revoked_at IS NOT NULL, d.name, d.id
+  `, [req.eventId]);
+  res.json(rows.map(d => ({ ...d, active: !d.revoked_at })));
+}));
+
+// ✅ Daftarkan perangkat
+router.post('/devices', awrap(async (req, res) => {
+  const name = cleanName(req.body?.name);
+  if (!name) return res.status(400).json({ error: 'Nama perangkat wajib diisi.' });
+
+  const gate = await gateFromBody(req.eventId, req.body?.gate_id);
+  if (gate.error) return res.status(400).json({ error: gate.error });
+
+  const { id, token } = await createDevice(req.eventId, { name, gateId: gate.gateId, createdBy: req.user?.id ?? null });
+  res.status(201).json({
+    message: 'Perangkat didaftarkan. Simpan token ini, token tidak bisa ditampilkan lagi.',
+    id,
+    name,
+    gate_id: gate.gateId,
+    token,
+  });
+}));
+
+// ✅ Ubah nama / pindah gerbang
+router.patch('/devices/:id', awrap(async (req, res) => {
+  const [[device]] = await db.query('SELECT id, name, gate_id FROM scan_devices WHERE id = ? AND event_id = ?', [req.params.id, req.eventId]);
+  if (!device) return res.status(404).json({ error: 'Perangkat tidak ditemukan.' });
+
+  const body = req.body ?? {};
+  const name = 'name' in body ? cleanName(body.name) : device.name;
+  if (!name) return res.status(400).json({ error: 'Nama perangkat wajib diisi.' });
+
+  const gate = 'gate_id' in body ? await gateFromBody(req.eventId, body.gate_id) : { gateId: device.gate_id };
+  if (gate.error) return res.status(400).json({ error: gate.error });
+
+  await updateDevice(req.eventId, device.id, { name, gateId: gate.gateId });
+  res.json({ message: 'Perangkat diperbarui.', id: device.id, name, gate_id: gate.gateId });
+}));
+
+// ✅ Ganti token perangkat (mis. HP hilang lalu ditemukan, atau token bocor)
+router.post('/devices/:id/token', awrap(async (req, res) => {
+  const token = await rotateDeviceToken(req.eventId, req.params.id);
+  if (!token) return res.status(404).json({ error: 'Perangkat tidak ditemukan.' });
+  res.json({ message: 'Token baru dibuat. Token lama tidak berlaku lagi.', id: Number(req.params.id), token });
+}));
+
+// ✅ Cabut perangkat
+router.delete('/devices/:id', awrap(async (req, res) => {
+  if (!(await revokeDevice(req.eventId, req.params.id))) {
+    return res.status(404).json({ error: 'Perangkat tidak ditemukan atau sudah dicabut.' });
+  }
+  res.json({ message: 'Token perangkat dicabut.' });
+}));
+
+// -----------------------------------------------------------------------------
+// Gerbang
+// -----------------------------------------------------------------------------
+
+// ✅ Daftar gerbang
+router.get('/', awrap(async (req, res) => {
+  const [rows] = await db.query(`
+    SELECT g.id, g.name, g.created_at,
+           (SELECT COUNT(*) FROM scan_devices d WHERE d.gate_id = g.id AND d.revoked_at IS NULL) AS active_devices
+    FROM gates g
+    WHERE g.event_id = ?
+    ORDER BY g.id
+  `, [req.eventId]);
+  res.json(rows);
+}));
+
+// ✅ Tambah gerbang
+router.post('/', awrap(async (req, res) => {
+  const name = cleanName(req.body?.name);
+  if (!name) return res.status(400).json({ error: 'Nama gerbang wajib diisi.' });
+
+  try {
+    const [result] = await db.query('INSERT INTO gates (event_id, name) VALUES (?, ?)', [req.eventId, name]);
+    res.status(201).json({ message: 'Gerbang ditambahkan.', id: result.insertId, name });
+  } catch (err) {
+    if (isDuplicateKey(err)) return res.status(409).json({ error: 'Nama gerbang sudah dipakai.' });
+    throw err;
+  }
+}));
+
+// ✅ Ganti nama gerbang
+router.patch('/:id', awrap(async (req, res) => {
+  const name = cleanName(req.body?.name);
+  if (!name) return res.status(400).json({ error: 'Nama gerbang wajib diisi.' });
+
+  try {
+    const [result] = await db.query('UPDATE gates SET name = ? WHERE id = ? AND event_id = ?', [name, req.params.id, req.eventId]);
+    if (!result.affectedRows) return res.status(404).json({ error: 'Gerbang tidak ditemukan.' });
+    res.json({ message: 'Gerbang diperbarui.', id: Number(req.params.id), name });
+  } catch (err) {
+    if (isDuplicateKey(err)) return res.status(409).json({ error: 'Nama gerbang sudah dipakai.' });
+    throw err;
+  }
+}));
+
+// ✅ Hapus gerbang — ditolak bila sudah ada check-in (statistik tetap utuh)
+router.delete('/:id', awrap(async (req, res) => {
+  const gate = await findGate(req.eventId, req.params.id);
+  if (!gate) return res.status(404).json({ error: 'Gerbang tidak ditemukan.' });
+
+  const [[used]] = await db.query('SELECT COUNT(*) AS total FROM checkins WHERE gate_id = ?', [gate.id]);
+  if (Number(used.total) > 0) {
+    return res.status(409).json({ error: 'Gerbang sudah dipakai untuk check-in. Ganti nama saja.' });
+  }
+
+  await deleteGate(req.eventId, gate.id);
+  res.json({ message: 'Gerbang dihapus. Perangkat di gerbang ini menjadi tanpa gerbang.' });
+}));
+
+export default router;
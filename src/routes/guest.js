@@ -1,5 +1,8 @@
 import express from 'express';
 import db from '../config/db.js';
+import { scheduleSummaryPush } from '../services/summaryService.js';
+import { generateSlug } from '../services/slugService.js';
+import { buildQrUrl } from '../utils/qr.js';
 
 const router = express.Router();
 
@@ -17,13 +20,14 @@ router.get('/', async (req, res) => {
         (
           SELECT cap.caption_text
           FROM caption cap
-          WHERE cap.category_id = i.category AND cap.is_active = 1
+          WHERE cap.category_id = i.category AND cap.event_id = i.event_id AND cap.is_active = 1
           ORDER BY cap.id DESC
           LIMIT 1
         ) AS caption_text
       FROM invitations i
       LEFT JOIN categories c ON i.category = c.id
-    `);
+      WHERE i.event_id = ?
+    `, [req.eventId]);
 
     res.setHeader('Content-Type', 'application/json; charset=utf-8');
     res.json(data);
@@ -44,10 +48,17 @@ router.post('/', async (req, res) => {
       return res.status(400).json({ message: "Nama dan kategori wajib diisi." });
     }
 
+    const [cats] = await db.query('SELECT id FROM categories WHERE id = ? AND event_id = ?', [category, req.eventId]);
+    if (cats.length === 0) {
+      return res.status(400).json({ message: "Kategori tidak ditemukan pada acara ini." });
+    }
+
+    const slug = await generateSlug({ name });
     await db.query(`
-      INSERT INTO invitations (name, \`from\`, category, phone, qty, type)
-      VALUES (?, ?, ?, ?, ?, ?)
-    `, [name, from, category, phone, qty, type]);
+      INSERT INTO invitations (event_id, name, \`from\`, category, phone, qty, type, slug, qrcode)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [req.eventId, name, from, category, phone, qty, type ?? 'digital', slug, buildQrUrl(slug)]);
+    scheduleSummaryPush(req.eventId);
 
     res.status(201).json({ message: "Tamu berhasil ditambahkan." });
   } catch (err) {
@@ -73,8 +84,8 @@ router.patch('/:slug/status', async (req, res) => {
 
   try {
     const [result] = await db.query(
-      'UPDATE invitations SET status_pengiriman = ? WHERE slug = ?',
-      [status_pengiriman, slug]
+      'UPDATE invitations SET status_pengiriman = ? WHERE slug = ? AND event_id = ?',
+      [status_pengiriman, slug, req.eventId]
     );
 
     if (result.affectedRows === 0) {
@@ -96,11 +107,21 @@ router.put('/:id', async (req, res) => {
   const { from, name, category, phone, qty, type } = req.body;
 
   try {
-    await db.query(`
+    const [cats] = await db.query('SELECT id FROM categories WHERE id = ? AND event_id = ?', [category, req.eventId]);
+    if (category != null && cats.length === 0) {
+      return res.status(400).json({ message: "Kategori tidak ditemukan pada acara ini." });
+    }
+
+    const [result] = await db.query(`
       UPDATE invitations 
       SET name = ?, \`from\` = ?, category = ?, phone = ?, qty = ?, type = ?
-      WHERE id = ?
-    `, [name, from, category, phone, qty, type, id]);
+      WHERE id = ? AND event_id = ?
+    `, [name, from, category, phone, qty, type, id, req.eventId]);
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ message: "Tamu tidak ditemukan." });
+    }
+    scheduleSummaryPush(req.eventId);
 
     res.json({ message: "Tamu berhasil diupdate." });
   } catch (err) {
@@ -0,0 +1,41 @@
+// routes/health.js
+// -----------------------------------------------------------------------------
+// Health check untuk Docker / load balancer (tanpa login, di luar /api).
+//
+//   GET /healthz → proses hidup (liveness). Selalu 200 selama proses bisa
+//                  menjawab; status DB ikut dilaporkan tapi tidak membuat gagal,
+//                  supaya MySQL yang restart tidak memicu restart container.
+//   GET /readyz  → siap menerima traffic (readiness). 503 bila DB tidak bisa
+//                  di-ping atau server sedang dimatikan (SIGTERM).
+// -----------------------------------------------------------------------------
+import express from 'express';
+import { pingDatabase } from '../config/db.js';
+
+const router = express.Router();
+
+let draining = false;
+
+// Dipanggil saat graceful shutdown: readyz langsung 503 agar traffic dialihkan
+export const startDraining = () => {
+  draining = true;
+};
+
+router.get('/healthz', async (req, res) => {
+  const database = await pingDatabase();
+  res.set('Cache-Control', 'no-store').json({
+    status: draining ? 'draining' : 'ok',
+    uptime_s: Math.round(process.uptime()),
+    database,
+  });
+});
+
+router.get('/readyz', async (req, res) => {
+  const database = draining ? null : await pingDatabase();
+  const ready = !draining && database.ok;
+  res.status(ready ? 200 : 503).set('Cache-Control', 'no-store').json({
+    status: ready ? 'ready' : (draining ? 'draining' : 'database_unavailable'),
+    database,
+  });
+});
+
+export default router;
@@ -1,157 +1,220 @@
 import express from 'express';
-import db from '../config/db.js';
+import db, { withTransaction } from '../config/db.js';
 import slugify from 'slugify';
 import dotenv from 'dotenv';
 import multer from 'multer';
-import xlsx from 'xlsx';
+import archiver from 'archiver';
+import { buildInvitationLink, buildInviteViewLink } from '../utils/links.js';
+import { buildQrUrl, buildQrPayload, parseQrOptions, renderQrPng, renderQrSvg } from '../utils/qr.js';
+import { parseMapping, parseInvitationSheet, validateImportRows, createMissingCategories } from '../utils/excelImport.js';
+import { EXPORT_FORMATS, formatDateTime, sendReport } from '../utils/exporter.js';
+import { getSummary, notifyChange, scheduleSummaryPush } from '../services/summaryService.js';
+import { publish } from '../services/realtime.js';
+import { announceArrival } from '../services/welcomeFeed.js';
+import { MESSAGE_STATUSES, postMessage } from '../services/guestbook.js';
+import { applyRsvp, parseRsvpInput } from '../services/rsvpService.js';
+import { buildCaptionContext, normalizeLanguage, renderCaption, CAPTION_LANGUAGES } from '../utils/captionTemplate.js';
+import { ACTIVE_CAPTION_TEXT_SQL, ACTIVE_CAPTION_LANGUAGE_SQL } from '../services/captionService.js';
+import { UPLOAD_MAX_BYTES } from '../config/security.js';
+import { DEVICE_ROLE } from '../config/roles.js';
+import { generateSlug, generateSlugs } from '../services/slugService.js';
+import {
+  MAX_SYNC_SCANS,
+  buildRoster,
+  checkinQty,
+  countScans,
+  findInvitationByCheckinCode,
+  lockInvitation,
+  logCheckinEvent,
+  parseCheckinQty,
+  restoredRealQty,
+  syncOfflineScans,
+} from '../services/checkinService.js';
+import { resolveCheckinGate } from '../services/gateService.js';
+import { checkTableCapacity, findTable } from '../services/seatingService.js';
 
 dotenv.config();
 
 const router = express.Router();
 const messageRouter = express.Router();
 
-const BASE_LINK = process.env.INVITATION_LINK_BASE ?? '';
-const INVITE_PATH = process.env.INVITATION_INVITE_PATH ?? '/invite';        // Link yang dikirim ke tamu
-const CONFIRM_PATH = process.env.INVITATION_CONFIRM_PATH ?? '/confirm';     // Link konfirmasi internal
-
-const upload = multer({ storage: multer.memoryStorage() });
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: UPLOAD_MAX_BYTES, files: 1 } });
 
 // -----------------------------------------------------------------------------
 // Utility: async wrapper untuk error handler
 // -----------------------------------------------------------------------------
 const awrap = fn => (req, res, next) => Promise.resolve(fn(req, res, next)).catch(next);
 
-// -----------------------------------------------------------------------------
-// Utility: build invitation link & QR
-// -----------------------------------------------------------------------------
-const buildInvitationLink = slug => `${BASE_LINK}${CONFIRM_PATH}/${slug}`; // internal confirm link
-const buildInviteViewLink = slug => `${BASE_LINK}${INVITE_PATH}/${slug}`;  // untuk kirim WA
-const buildQrUrl = link => `https://api.qrserver.com/v1/create-qr-code/?data=${encodeURIComponent(link)}&size=200x200`;
-
-// -----------------------------------------------------------------------------
-// Utility: generate unique slug
-// -----------------------------------------------------------------------------
-async function generateUniqueSlug() {
-  let slug;
-  let exists = true;
-
-  while (exists) {
-    slug = Math.floor(100000 + Math.random() * 900000).toString(); // angka 6 digit
-    const [rows] = await db.query('SELECT id FROM invitations WHERE slug = ?', [slug]);
-    exists = rows.length > 0;
-  }
-
-  return slug;
-}
-
 // -----------------------------------------------------------------------------
 // Validation helpers
 // -----------------------------------------------------------------------------
 const required = v => v !== undefined && v !== null && v !== '';
 const isEnum = (v, allowed) => allowed.includes(v);
+const LANGUAGE_ERROR = `Field language harus salah satu dari: ${CAPTION_LANGUAGES.join(', ')}.`;
+
+// Kategori harus milik acara yang sama dengan undangan
+async function categoryInEvent(categoryId, eventId) {
+  if (categoryId == null) return true;
+  const [rows] = await db.query('SELECT id FROM categories WHERE id = ? AND event_id = ? LIMIT 1', [categoryId, eventId]);
+  return rows.length > 0;
+}
 
 // -----------------------------------------------------------------------------
 // SQL snippet
 // -----------------------------------------------------------------------------
-const INVITATION_COLUMNS = `id, \`from\`, name, category, phone, qty, type, slug, qrcode, rsvp_status, checked_in, checked_in_at, created_at, real_qty, is_sent, is_copied`;
-const SELECT_INVITATION_BASE = `SELECT ${INVITATION_COLUMNS} FROM invitations`;
-
 const SELECT_WITH_CAPTION = `
   SELECT
     i.id, i.\`from\`, i.name, i.category, i.phone, i.qty, i.type, i.slug, i.qrcode,
     i.rsvp_status, i.checked_in, i.checked_in_at, i.created_at, i.real_qty,
-    i.status_pengiriman,
+    i.status_pengiriman, i.language,
     c.name AS category_name,
-    (
-      SELECT cap.caption_text
-      FROM caption cap
-      WHERE cap.category_id = i.category AND cap.is_active = 1
-      ORDER BY cap.id DESC
-      LIMIT 1
-    ) AS caption_text
+    i.table_id, t.name AS table_name, t.area AS table_area,
+    ${ACTIVE_CAPTION_TEXT_SQL} AS caption_text,
+    ${ACTIVE_CAPTION_LANGUAGE_SQL} AS caption_language
   FROM invitations i
   LEFT JOIN categories c ON i.category = c.id
+  LEFT JOIN seating_tables t ON i.table_id = t.id
 `;
 
-// ✅ POST /seed-excel
+// Tambahkan caption yang sudah diisi data tamu (caption_text tetap template mentah)
+const withRenderedCaption = (row, event) => ({
+  ...row,
+  caption_rendered: row.caption_text == null
+    ? null
+    : renderCaption(row.caption_text, buildCaptionContext(row, event, row.caption_language)),
+});
+
+// Filter list undangan (dipakai GET / dan export): type, category, checked_in, rsvp_status, search
+function buildInvitationFilters(query, eventId) {
+  const { type, category, checked_in, rsvp_status, search } = query;
+  const where = ['i.event_id = ?'];
+  const params = [eventId];
+
+  if (required(type)) { where.push('i.type = ?'); params.push(type); }
+  if (required(category)) { where.push('i.category = ?'); params.push(Number(category)); }
+  if (required(checked_in)) { where.push('i.checked_in = ?'); params.push(Number(checked_in) ? 1 : 0); }
+  if (required(rsvp_status)) { where.push('i.rsvp_status = ?'); params.push(rsvp_status); }
+  if (required(search)) {
+    where.push('(i.name LIKE ? OR i.phone LIKE ? OR i.slug LIKE ? OR i.\`from\` LIKE ?)');
+    const like = `%${search}%`;
+    params.push(like, like, like, like);
+  }
+
+  return { whereSql: `WHERE ${where.join(' AND ')}`, params };
+}
+
+// -----------------------------------------------------------------------------
+// Import Excel/CSV
+// Field multipart (atau query): file, sheet, mapping (JSON), auto_create_categories=1
+// -----------------------------------------------------------------------------
+const importOption = (req, key) => req.body?.[key] ?? req.query[key];
+
+function readImportUpload(req) {
+  if (!req.file) return { error: 'File Excel/CSV wajib diunggah.' };
+
+  const { mapping, error } = parseMapping(importOption(req, 'mapping'));
+  if (error) return { error };
+
+  const parsed = parseInvitationSheet(req.file, { sheet: importOption(req, 'sheet'), mapping });
+  if (parsed.error) return { error: parsed.error };
+
+  return {
+    parsed,
+    autoCreateCategories: String(importOption(req, 'auto_create_categories')) === '1',
+  };
+}
+
+const sheetInfo = ({ sheet, sheets, columns, ignored_columns }) => ({ sheet, sheets, columns, ignored_columns });
+
+async function previewImport(req, res) {
+  const incoming = readImportUpload(req);
+  if (incoming.error) return res.status(400).json({ error: incoming.error });
+
+  const report = await validateImportRows(incoming.parsed.rows, {
+    conn: db,
+    eventId: req.eventId,
+    autoCreateCategories: incoming.autoCreateCategories,
+  });
+  res.json({ ...sheetInfo(incoming.parsed), ...report });
+}
+
+// ✅ POST /seed-excel/preview  → validasi saja, tidak ada yang disimpan
+// Response: { sheet, sheets, columns, summary: { total, valid, skipped, duplicate, error }, rows: [{ row, status, reason, data }] }
+router.post('/seed-excel/preview', upload.single('file'), awrap(previewImport));
+
+// ✅ POST /seed-excel  → simpan semua baris valid dalam satu transaksi
+// ?dry_run=1 sama dengan /seed-excel/preview
+// ?strict=1  batalkan seluruh import jika ada baris error
 router.post('/seed-excel', upload.single('file'), awrap(async (req, res) => {
-  const file = req.file;
-  if (!file) return res.status(400).json({ error: 'File Excel wajib diunggah.' });
-
-  const workbook = xlsx.read(file.buffer, { type: 'buffer' });
-  const sheet = workbook.Sheets[workbook.SheetNames[0]];
-  const data = xlsx.utils.sheet_to_json(sheet);
-
-  for (const row of data) {
-    const { from, name, category, phone, qty, type } = row;
-    if (!name || !['digital', 'cetak'].includes(type)) continue;
-
-    const slug = await generateUniqueSlug();
-    const qrcode = buildQrUrl(slug);
-    const rsvp_status = type === 'cetak' ? 'Hadir' : 'Belum Konfirmasi';
-
-    await db.query(`
-      INSERT INTO invitations (\`from\`, name, category, phone, qty, type, slug, qrcode, rsvp_status)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-      [
-        from ?? null,
-        name,
-        category != null ? parseInt(category) : null,
-        phone ?? null,
-        qty != null ? parseInt(qty) : null,
-        type,
-        slug,
-        qrcode,
-        rsvp_status
-      ]
-    );
+  if (req.query.dry_run === '1') return previewImport(req, res);
+
+  const incoming = readImportUpload(req);
+  if (incoming.error) return res.status(400).json({ error: incoming.error });
+
+  const outcome = await withTransaction(async conn => {
+    const report = await validateImportRows(incoming.parsed.rows, {
+      conn,
+      eventId: req.eventId,
+      autoCreateCategories: incoming.autoCreateCategories,
+    });
+    if (req.query.strict === '1' && report.summary.error > 0) return { report, aborted: true };
+
+    const validRows = report.rows.filter(r => r.status === 'valid');
+    const createdCategories = await createMissingCategories(validRows, { conn, eventId: req.eventId });
+    const slugs = await generateSlugs(validRows.map(r => r.data), { conn });
+    const values = [];
+
+    for (const [i, { data }] of validRows.entries()) {
+      const slug = slugs[i];
+      const rsvp_status = data.type === 'cetak' ? 'Hadir' : 'Belum Konfirmasi';
+      values.push([
+        req.eventId, data.from, data.name, data.category, data.phone, data.qty,
+        data.type, slug, buildQrUrl(slug), rsvp_status, data.language,
+      ]);
+    }
+
+    if (values.length) {
+      await conn.query(
+        `INSERT INTO invitations (event_id, \`from\`, name, category, phone, qty, type, slug, qrcode, rsvp_status, language)
+         VALUES ?`,
+        [values]
+      );
+    }
+
+    return { report, createdCategories, aborted: false };
+  });
+
+  if (!outcome.aborted && outcome.report.summary.valid > 0) scheduleSummaryPush(req.eventId);
+
+  const { summary, rows } = outcome.report;
+  const counts = {
+    created: outcome.aborted ? 0 : summary.valid,
+    skipped: summary.skipped + summary.duplicate,
+    failed: summary.error,
+  };
+  const info = sheetInfo(incoming.parsed);
+
+  if (outcome.aborted) {
+    return res.status(422).json({ error: 'Import dibatalkan karena ada baris yang tidak valid.', ...counts, ...info, summary, rows });
   }
 
-  res.json({ message: 'Data berhasil dimasukkan dari Excel.' });
+  res.json({
+    message: `${counts.created} tamu berhasil dimasukkan dari Excel.`,
+    ...counts,
+    created_categories: outcome.createdCategories,
+    ...info,
+    summary,
+    rows,
+  });
 }));
+
 // ============================================================================
 // INVITATION ROUTES
 // ============================================================================
 
-// ✅ SUMMARY
+// ✅ SUMMARY (cache + push via /api/stream, lihat services/summaryService.js)
 router.get('/summary', awrap(async (req, res) => {
-  const [rows] = await db.query(`
-    SELECT
-      COUNT(*) AS total_undangan,
-      COALESCE(SUM(qty),0) AS total_tamu,
-      SUM(CASE WHEN checked_in = 1 THEN 1 ELSE 0 END) AS checked_in_undangan,
-      COALESCE(SUM(CASE WHEN checked_in = 1 THEN COALESCE(real_qty, qty) ELSE 0 END),0) AS checked_in_tamu,
-      SUM(CASE WHEN type = 'digital' THEN 1 ELSE 0 END) AS digital,
-      SUM(CASE WHEN type = 'cetak' THEN 1 ELSE 0 END) AS cetak,
-      SUM(CASE WHEN rsvp_status = 'Hadir' THEN 1 ELSE 0 END) AS hadir,
-      SUM(CASE WHEN rsvp_status = 'Tidak Hadir' THEN 1 ELSE 0 END) AS tidak_hadir,
-      SUM(CASE WHEN rsvp_status = 'Belum Konfirmasi' THEN 1 ELSE 0 END) AS belum_konfirmasi
-    FROM invitations
-  `);
-
-  const s = rows[0] || {};
-  const totalUndangan = Number(s.total_undangan || 0);
-  const totalTamu = Number(s.total_tamu || 0);
-  const checkedInUndangan = Number(s.checked_in_undangan || 0);
-  const checkedInTamu = Number(s.checked_in_tamu || 0);
-
-  res.json({
-    totalUndangan,
-    totalTamu,
-    checkedInUndangan,
-    checkedInTamu,
-    belumCheckInUndangan: totalUndangan - checkedInUndangan,
-    belumCheckInTamu: totalTamu - checkedInTamu,
-    digital: Number(s.digital || 0),
-    cetak: Number(s.cetak || 0),
-    confirmed: {
-      hadir: Number(s.hadir || 0),
-      tidak_hadir: Number(s.tidak_hadir || 0),
-      belum_konfirmasi: Number(s.belum_konfirmasi || 0),
-    },
-    total: totalUndangan,
-    estimasi_tamu: totalTamu,
-  });
+  res.json(await getSummary(req.eventId));
 }));
 
 // ✅ SEARCH
@@ -169,10 +232,10 @@ router.get('/search', awrap(async (req, res) => {
         checked_in,
         checked_in_at
      FROM invitations
-     WHERE name LIKE ? OR phone LIKE ? OR slug LIKE ? OR \`from\` LIKE ?
+     WHERE event_id = ? AND (name LIKE ? OR phone LIKE ? OR slug LIKE ? OR \`from\` LIKE ?)
      ORDER BY checked_in = 1 DESC, name ASC
      LIMIT 50`,
-    [like, like, like, like]
+    [req.eventId, like, like, like, like]
   );
 
   const results = rows.map(r => ({
@@ -185,6 +248,204 @@ router.get('/search', awrap(async (req, res) => {
   res.json(results);
 }));
 
+// ✅ QR batch (ZIP) per kategori
+// GET /invitations/qr.zip?category=<id>&format=png|svg&size=&margin=
+router.get('/qr.zip', awrap(async (req, res) => {
+  const { category, format = 'png' } = req.query;
+
+  if (!required(category)) return res.status(400).json({ error: 'Query category wajib diisi.' });
+  if (!isEnum(format, ['png', 'svg'])) return res.status(400).json({ error: "format harus 'png' atau 'svg'." });
+
+  const [rows] = await db.query(
+    `SELECT i.id, i.event_id, i.qr_version, i.name, i.slug, c.name AS category_name
+       FROM invitations i
+       LEFT JOIN categories c ON c.id = i.category
+      WHERE i.event_id = ? AND i.category = ?
+      ORDER BY i.name ASC`,
+    [req.eventId, Number(category)]
+  );
+  if (!rows.length) return res.status(404).json({ error: 'Tidak ada undangan pada kategori ini.' });
+
+  const opts = parseQrOptions(req.query);
+  const folder = slugify(rows[0].category_name || `kategori-${category}`, { lower: true, strict: true });
+
+  res.attachment(`qr-${folder}.zip`);
+  const archive = archiver('zip', { zlib: { level: 9 } });
+  archive.on('error', err => res.destroy(err));
+  archive.pipe(res);
+
+  for (const inv of rows) {
+    const data = buildQrPayload(inv);
+    const file = `${slugify(inv.name || 'tamu', { lower: true, strict: true })}-${inv.slug}.${format}`;
+    const content = format === 'svg' ? await renderQrSvg(data, opts) : await renderQrPng(data, opts);
+    archive.append(content, { name: `${folder}/${file}` });
+  }
+
+  await archive.finalize();
+}));
+
+// ✅ QR per undangan
+// GET /invitations/:slug/qr.png | /invitations/:slug/qr.svg  (?size=&margin=)
+async function findInvitationForQr(req) {
+  const [rows] = await db.query(
+    'SELECT id, event_id, slug, qr_version FROM invitations WHERE slug = ? AND event_id = ? LIMIT 1',
+    [req.params.slug, req.eventId]
+  );
+  return rows[0] ?? null;
+}
+
+router.get('/:slug/qr.png', awrap(async (req, res) => {
+  const inv = await findInvitationForQr(req);
+  if (!inv) return res.status(404).json({ error: 'Undangan tidak ditemukan.' });
+
+  const png = await renderQrPng(buildQrPayload(inv), parseQrOptions(req.query));
+  res.type('png').set('Cache-Control', 'private, max-age=86400').send(png);
+}));
+
+router.get('/:slug/qr.svg', awrap(async (req, res) => {
+  const inv = await findInvitationForQr(req);
+  if (!inv) return res.status(404).json({ error: 'Undangan tidak ditemukan.' });
+
+  const svg = await renderQrSvg(buildQrPayload(inv), parseQrOptions(req.query));
+  res.type('svg').set('Cache-Control', 'private, max-age=86400').send(svg);
+}));
+
+// ✅ Cabut QR lama (mis. kartu hilang) → token versi sebelumnya ditolak saat check-in
+// POST /invitations/:slug/qr/revoke
+router.post('/:slug/qr/revoke', awrap(async (req, res) => {
+  const [result] = await db.query(
+    'UPDATE invitations SET qr_version = qr_version + 1 WHERE slug = ? AND event_id = ?',
+    [req.params.slug, req.eventId]
+  );
+  if (!result.affectedRows) return res.status(404).json({ error: 'Undangan tidak ditemukan.' });
+
+  const inv = await findInvitationForQr(req);
+  res.json({ message: 'QR lama dicabut. Cetak ulang QR terbaru.', qr_version: inv.qr_version, qrcode: buildQrUrl(inv.slug) });
+}));
+
+// ✅ EXPORT daftar tamu (mengikuti filter yang sama dengan GET /)
+// GET /invitations/export?format=xlsx|csv|pdf&type=&category=&checked_in=&rsvp_status=&search=
+const GUEST_EXPORT_COLUMNS = [
+  { key: 'name', label: 'Nama', width: 24 },
+  { key: 'from', label: 'Dari', width: 16 },
+  { key: 'category_name', label: 'Kategori', width: 16 },
+  { key: 'phone', label: 'No HP', width: 15 },
+  { key: 'type', label: 'Tipe', width: 9 },
+  { key: 'qty', label: 'Jumlah Undangan', width: 9 },
+  { key: 'rsvp_status', label: 'RSVP', width: 14 },
+  { key: 'real_qty', label: 'Jumlah Hadir', width: 9 },
+  { key: 'checked_in', label: 'Check-in', width: 8 },
+  { key: 'checked_in_at', label: 'Waktu Check-in', width: 16 },
+  { key: 'status_pengiriman', label: 'Status Pengiriman', width: 14 },
+  { key: 'slug', label: 'Slug', width: 10 },
+];
+
+router.get('/export', awrap(async (req, res) => {
+  const format = req.query.format ?? 'xlsx';
+  if (!isEnum(format, EXPORT_FORMATS)) return res.status(400).json({ error: `format harus salah satu: ${EXPORT_FORMATS.join(', ')}.` });
+
+  const { whereSql, params } = buildInvitationFilters(req.query, req.eventId);
+  const [rows] = await db.query(`${SELECT_WITH_CAPTION} ${whereSql} ORDER BY c.name ASC, i.name ASC`, params);
+
+  await sendReport(res, {
+    format,
+    filename: `daftar-tamu-${req.event.slug}`,
+    title: `Daftar Tamu – ${req.event.name}`,
+    sections: [{
+      name: 'Daftar Tamu',
+      columns: GUEST_EXPORT_COLUMNS,
+      rows: rows.map(r => ({
+        ...r,
+        checked_in: r.checked_in ? 'Ya' : 'Tidak',
+        checked_in_at: formatDateTime(r.checked_in_at),
+      })),
+    }],
+  });
+}));
+
+// ✅ Laporan kehadiran pasca acara, dikelompokkan per kategori + total
+// GET /invitations/report/attendance?format=json|xlsx|csv|pdf
+router.get('/report/attendance', awrap(async (req, res) => {
+  const format = req.query.format ?? 'json';
+  if (!isEnum(format, ['json', ...EXPORT_FORMATS])) {
+    return res.status(400).json({ error: `format harus salah satu: json, ${EXPORT_FORMATS.join(', ')}.` });
+  }
+
+  const [groups] = await db.query(`
+    SELECT
+      COALESCE(c.name, 'Tanpa Kategori') AS category_name,
+      COUNT(i.id) AS total_undangan,
+      COALESCE(SUM(i.qty), 0) AS estimasi_tamu,
+      SUM(CASE WHEN i.rsvp_status = 'Hadir' THEN 1 ELSE 0 END) AS rsvp_hadir,
+      SUM(CASE WHEN i.rsvp_status = 'Tidak Hadir' THEN 1 ELSE 0 END) AS rsvp_tidak_hadir,
+      SUM(CASE WHEN i.checked_in = 1 THEN 1 ELSE 0 END) AS hadir_undangan,
+      COALESCE(SUM(CASE WHEN i.checked_in = 1 THEN COALESCE(i.real_qty, i.qty) ELSE 0 END), 0) AS hadir_tamu
+    FROM invitations i
+    LEFT JOIN categories c ON c.id = i.category
+    WHERE i.event_id = ?
+    GROUP BY c.id, c.name
+    ORDER BY category_name ASC
+  `, [req.eventId]);
+
+  const numeric = ['total_undangan', 'estimasi_tamu', 'rsvp_hadir', 'rsvp_tidak_hadir', 'hadir_undangan', 'hadir_tamu'];
+  const categories = groups.map(g => {
+    const row = { category_name: g.category_name };
+    for (const k of numeric) row[k] = Number(g[k]) || 0;
+    return row;
+  });
+
+  const totals = { category_name: 'TOTAL' };
+  for (const k of numeric) totals[k] = categories.reduce((sum, r) => sum + r[k], 0);
+
+  const rate = r => (r.total_undangan ? `${Math.round((r.hadir_undangan / r.total_undangan) * 100)}%` : '0%');
+  for (const r of [...categories, totals]) r.persentase_hadir = rate(r);
+
+  const [attendees] = await db.query(`
+    SELECT i.name, i.\`from\`, COALESCE(c.name, 'Tanpa Kategori') AS category_name,
+           i.qty, COALESCE(i.real_qty, i.qty) AS hadir_tamu, i.checked_in_at
+      FROM invitations i
+      LEFT JOIN categories c ON c.id = i.category
+     WHERE i.event_id = ? AND i.checked_in = 1
+     ORDER BY category_name ASC, i.checked_in_at ASC
+  `, [req.eventId]);
+
+  if (format === 'json') return res.json({ event: req.event, categories, totals, attendees });
+
+  await sendReport(res, {
+    format,
+    filename: `laporan-kehadiran-${req.event.slug}`,
+    title: `Laporan Kehadiran – ${req.event.name}`,
+    sections: [
+      {
+        name: 'Rekap per Kategori',
+        columns: [
+          { key: 'category_name', label: 'Kategori', width: 22 },
+          { key: 'total_undangan', label: 'Undangan', width: 10 },
+          { key: 'estimasi_tamu', label: 'Estimasi Tamu', width: 10 },
+          { key: 'rsvp_hadir', label: 'RSVP Hadir', width: 10 },
+          { key: 'rsvp_tidak_hadir', label: 'RSVP Tidak Hadir', width: 10 },
+          { key: 'hadir_undangan', label: 'Undangan Hadir', width: 10 },
+          { key: 'hadir_tamu', label: 'Tamu Hadir', width: 10 },
+          { key: 'persentase_hadir', label: '% Hadir', width: 8 },
+        ],
+        rows: [...categories, { ...totals, _bold: true }],
+      },
+      {
+        name: 'Tamu Hadir',
+        columns: [
+          { key: 'category_name', label: 'Kategori', width: 18 },
+          { key: 'name', label: 'Nama', width: 26 },
+          { key: 'from', label: 'Dari', width: 18 },
+          { key: 'qty', label: 'Jumlah Undangan', width: 10 },
+          { key: 'hadir_tamu', label: 'Jumlah Hadir', width: 10 },
+          { key: 'checked_in_at', label: 'Waktu Check-in', width: 16 },
+        ],
+        rows: attendees.map(a => ({ ...a, checked_in_at: formatDateTime(a.checked_in_at) })),
+      },
+    ],
+  });
+}));
+
 // ✅ CREATE Invitation
 router.post('/', awrap(async (req, res) => {
   const { from, name, category, phone, qty, type } = req.body;
@@ -193,16 +454,23 @@ router.post('/', awrap(async (req, res) => {
   if (!required(type) || !isEnum(type, ['digital', 'cetak']))
     return res.status(400).json({ error: "Field type harus 'digital' atau 'cetak'." });
 
+  const language = normalizeLanguage(req.body.language);
+  if (language === undefined) return res.status(400).json({ error: LANGUAGE_ERROR });
+
   const qtyVal = qty == null ? null : Number(qty);
   const catVal = category == null ? null : Number(category);
-  const slug = await generateUniqueSlug();
+  if (!(await categoryInEvent(catVal, req.eventId)))
+    return res.status(400).json({ error: 'Kategori tidak ditemukan pada acara ini.' });
+
+  const slug = await generateSlug({ name });
   const link = buildInvitationLink(slug);
-  const qrcode = buildQrUrl(slug); // QR hanya mengandung slug
+  const qrcode = buildQrUrl(slug);
 
-  const sql = `INSERT INTO invitations (\`from\`, name, category, phone, qty, type, slug, qrcode)
-               VALUES (?, ?, ?, ?, ?, ?, ?, ?)`;
-  const values = [from ?? null, name, catVal, phone ?? null, qtyVal, type, slug, qrcode];
+  const sql = `INSERT INTO invitations (event_id, \`from\`, name, category, phone, qty, type, slug, qrcode, language)
+               VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`;
+  const values = [req.eventId, from ?? null, name, catVal, phone ?? null, qtyVal, type, slug, qrcode, language];
   const [result] = await db.query(sql, values);
+  scheduleSummaryPush(req.eventId);
 
   res.status(201).json({
     message: 'Undangan berhasil dibuat.',
@@ -227,8 +495,8 @@ router.patch('/:slug/status', awrap(async (req, res) => {
   }
 
   const [result] = await db.query(
-    'UPDATE invitations SET status_pengiriman = ? WHERE slug = ?',
-    [status_pengiriman, slug]
+    'UPDATE invitations SET status_pengiriman = ? WHERE slug = ? AND event_id = ?',
+    [status_pengiriman, slug, req.eventId]
   );
 
   if (result.affectedRows === 0) {
@@ -246,151 +514,354 @@ router.put('/:id', awrap(async (req, res) => {
   if (!required(name)) return res.status(400).json({ error: 'Field name wajib diisi.' });
   if (!required(type) || !isEnum(type, ['digital', 'cetak']))
     return res.status(400).json({ error: "Field type harus 'digital' atau 'cetak'." });
+  if (!(await categoryInEvent(category ?? null, req.eventId)))
+    return res.status(400).json({ error: 'Kategori tidak ditemukan pada acara ini.' });
+
+  // language hanya diubah bila dikirim (klien lama tidak mengenal field ini)
+  const language = normalizeLanguage(req.body.language);
+  if (language === undefined) return res.status(400).json({ error: LANGUAGE_ERROR });
+  const setLanguage = 'language' in req.body ? ', language=?' : '';
 
   const sql = `
     UPDATE invitations
-    SET \`from\`=?, name=?, category=?, phone=?, qty=?, type=?
-    WHERE id=?`;
-  const values = [from ?? null, name, category ?? null, phone ?? null, qty ?? null, type, id];
+    SET \`from\`=?, name=?, category=?, phone=?, qty=?, type=?${setLanguage}
+    WHERE id=? AND event_id=?`;
+  const values = [
+    from ?? null, name, category ?? null, phone ?? null, qty ?? null, type,
+    ...(setLanguage ? [language] : []),
+    id, req.eventId,
+  ];
 
-  await db.query(sql, values);
+  const [result] = await db.query(sql, values);
+  if (!result.affectedRows) return res.status(404).json({ error: 'Undangan tidak ditemukan.' });
+  scheduleSummaryPush(req.eventId);
 
   res.status(200).json({ message: 'Undangan berhasil diperbarui.' });
 }));
 
 // ✅ GET Invitation List
 router.get('/', awrap(async (req, res) => {
-  const { type, category, checked_in, rsvp_status, search } = req.query;
-  const where = [];
-  const params = [];
-
-  if (required(type)) { where.push('i.type = ?'); params.push(type); }
-  if (required(category)) { where.push('i.category = ?'); params.push(Number(category)); }
-  if (required(checked_in)) { where.push('i.checked_in = ?'); params.push(Number(checked_in) ? 1 : 0); }
-  if (required(rsvp_status)) { where.push('i.rsvp_status = ?'); params.push(rsvp_status); }
-  if (required(search)) {
-    where.push('(i.name LIKE ? OR i.phone LIKE ? OR i.slug LIKE ? OR i.\`from\` LIKE ?)');
-    const like = `%${search}%`;
-    params.push(like, like, like, like);
-  }
-
-  const sql = `${SELECT_WITH_CAPTION} ${where.length ? 'WHERE ' + where.join(' AND ') : ''} ORDER BY i.id DESC`;
+  const { whereSql, params } = buildInvitationFilters(req.query, req.eventId);
+  const sql = `${SELECT_WITH_CAPTION} ${whereSql} ORDER BY i.id DESC`;
   const [rows] = await db.query(sql, params);
   res.setHeader('Content-Type', 'application/json; charset=utf-8');
-  res.json(rows);
+  res.json(rows.map(row => withRenderedCaption(row, req.event)));
 }));
 
 // ✅ GET Invitation Detail by Slug
 router.get('/:slug', awrap(async (req, res) => {
   const { slug } = req.params;
-  const sql = `${SELECT_WITH_CAPTION} WHERE i.slug = ? LIMIT 1`;
-  const [rows] = await db.query(sql, [slug]);
+  const sql = `${SELECT_WITH_CAPTION} WHERE i.slug = ? AND i.event_id = ? LIMIT 1`;
+  const [rows] = await db.query(sql, [slug, req.eventId]);
   if (!rows.length) return res.status(404).json({ error: 'Undangan tidak ditemukan.' });
-  res.json(rows[0]);
+  res.json(withRenderedCaption(rows[0], req.event));
 }));
 
 // ✅ PATCH Kehadiran Manual
 router.patch('/:slug/kehadiran', awrap(async (req, res) => {
-  const { slug } = req.params;
-  let { rsvp_status, jumlah_real } = req.body;
+  const input = parseRsvpInput(req.body);
+  if (input.error) return res.status(400).json({ error: input.error });
 
-  // Validasi status wajib diisi
-  if (!required(rsvp_status)) {
-    return res.status(400).json({ error: 'rsvp_status wajib diisi.' });
-  }
+  const updated = await applyRsvp(req.eventId, req.params.slug, input);
+  if (!updated) return res.status(404).json({ error: 'Undangan tidak ditemukan.' });
 
-  // Validasi status harus salah satu dari 3 opsi
-  if (!isEnum(rsvp_status, ['Belum Konfirmasi', 'Hadir', 'Tidak Hadir'])) {
-    return res.status(400).json({
-      error: "rsvp_status harus salah satu: 'Belum Konfirmasi', 'Hadir', 'Tidak Hadir'."
-    });
-  }
+  res.json({
+    message: 'Kehadiran berhasil dikonfirmasi.',
+    rsvp_status: updated.rsvp_status,
+    jumlah_real: updated.jumlah_real,
+    qrcode: updated.qrcode,
+    table_warning: updated.table_warning,
+  });
+}));
 
-  // Jika Tidak Hadir → jumlah_real otomatis 0
-  if (rsvp_status === 'Tidak Hadir') {
-    jumlah_real = 0;
-  } else {
-    // Konversi ke angka, atau null jika kosong
-    jumlah_real = jumlah_real == null || jumlah_real === '' ? null : Number(jumlah_real);
-  }
+// -----------------------------------------------------------------------------
+// Check-in (riwayat di tabel `checkins`, lihat services/checkinService.js)
+// -----------------------------------------------------------------------------
 
-  // Update ke DB
-  const [result] = await db.query(
-    'UPDATE invitations SET rsvp_status = ?, real_qty = ? WHERE slug = ?',
-    [rsvp_status, jumlah_real, slug]
-  );
+// ✅ Roster ringkas untuk perangkat scan (cadangan saat Wi-Fi putus)
+// GET /invitations/checkin/roster
+router.get('/checkin/roster', awrap(async (req, res) => {
+  res.set('Cache-Control', 'no-store').json(await buildRoster(req.event));
+}));
 
-  if (!result.affectedRows) {
-    return res.status(404).json({ error: 'Undangan tidak ditemukan.' });
+// ✅ Sinkron scan yang direkam offline
+// POST /invitations/checkin/sync
+// Body: { device_id, gate_id?, scans: [{ scan_id, code, scanned_at, checked_in_qty?, device_note? }] }
+// Aman dikirim ulang: scan dengan (device_id, scan_id) yang sama hanya diproses sekali.
+// Perangkat terdaftar tidak perlu device_id / gate_id (diambil dari token perangkat).
+router.post('/checkin/sync', awrap(async (req, res) => {
+  const { scans, gate_id } = req.body ?? {};
+  const device_id = req.user.role === DEVICE_ROLE ? `device:${req.user.device_ref}` : req.body?.device_id;
+
+  if (typeof device_id !== 'string' || !/^[\w.:-]{1,64}$/.test(device_id)) {
+    return res.status(400).json({ error: 'device_id wajib diisi (huruf/angka, maks 64 karakter).' });
   }
+  if (!Array.isArray(scans) || !scans.length) return res.status(400).json({ error: 'scans wajib berupa array berisi data scan.' });
+  if (scans.length > MAX_SYNC_SCANS) return res.status(413).json({ error: `Maksimal ${MAX_SYNC_SCANS} scan per sinkronisasi.` });
 
-  // Ambil data yang sudah diupdate + QR jika ada
-  const [[updated]] = await db.query(
-    'SELECT rsvp_status, real_qty AS jumlah_real, qrcode FROM invitations WHERE slug = ?',
-    [slug]
-  );
+  const gate = await resolveCheckinGate(req.user, req.eventId, gate_id);
+  if (gate.error) return res.status(gate.status).json({ error: gate.error });
 
-  res.json({
-    message: 'Kehadiran berhasil dikonfirmasi.',
-    ...updated,
-  });
+  const { results, summary } = await syncOfflineScans(req.event, device_id, scans, req.user, gate);
+  res.json({ device_id, gate_id: gate.gateId, received: scans.length, summary, results });
 }));
 
 // ✅ PATCH Check-in via QR
+// :slug berisi token QR bertanda tangan (RR1....) atau slug lama (lihat QR_LEGACY_MODE)
+// Scan ulang tetap dicatat (is_repeat = 1) supaya percobaan masuk ganda terlihat.
+// Body optional: { checked_in_qty, device_note, gate_id } (gate_id diabaikan untuk perangkat terdaftar)
 router.patch('/checkin/:slug', awrap(async (req, res) => {
   const { slug } = req.params;
-  const { checked_in_qty, device_note } = req.body ?? {};
-
-  const [rows] = await db.query('SELECT * FROM invitations WHERE slug = ? LIMIT 1', [slug]);
-  if (!rows.length) return res.status(404).json({ error: 'Undangan tidak ditemukan.' });
-  const inv = rows[0];
+  const { checked_in_qty, device_note, gate_id } = req.body ?? {};
+
+  const { qty: requestedQty, error: qtyError } = parseCheckinQty(checked_in_qty);
+  if (qtyError) return res.status(400).json({ error: qtyError });
+
+  const gate = await resolveCheckinGate(req.user, req.eventId, gate_id);
+  if (gate.error) return res.status(gate.status).json({ error: gate.error });
+
+  const found = await findInvitationByCheckinCode(slug, req.eventId);
+  if (found.error) return res.status(found.status).json({ error: found.error });
+  const { legacy } = found;
+
+  // Baris undangan dikunci: dua gerbang yang scan kartu yang sama bersamaan
+  // diproses bergiliran → satu "Check-in berhasil", lainnya scan ulang.
+  const { inv, qtyToUse, isRepeat, scanCount } = await withTransaction(async conn => {
+    const inv = await lockInvitation(found.inv.id, conn);
+    const qtyToUse = checkinQty(inv, requestedQty);
+    const isRepeat = !!inv.checked_in;
+
+    await logCheckinEvent({
+      inv,
+      action: 'checkin',
+      qty: qtyToUse,
+      prevRealQty: isRepeat ? null : inv.real_qty,
+      isRepeat,
+      deviceNote: device_note ?? null,
+      user: req.user,
+      ...gate,
+    }, conn);
+
+    if (!isRepeat) {
+      await conn.query(`UPDATE invitations SET checked_in = 1, checked_in_at = NOW(), real_qty = COALESCE(?, real_qty, qty) WHERE id = ?`,
+        [qtyToUse, inv.id]);
+    }
+
+    return { inv, qtyToUse, isRepeat, scanCount: await countScans(inv.id, conn) };
+  });
 
-  const qtyToUse = checked_in_qty != null ? Number(checked_in_qty) : (inv.real_qty != null ? inv.real_qty : inv.qty);
+  if (!isRepeat) announceArrival(inv).catch(err => console.error('❌ Gagal mengirim feed welcome:', err));
+  // Jumlah tamu di pintu bisa berbeda dari RSVP → cek kapasitas meja
+  const table = await findTable(inv.table_id);
+  const tableWarning = isRepeat ? null : await checkTableCapacity(req.eventId, inv.table_id);
+  notifyChange(req.eventId, 'checkin', {
+    action: 'checkin',
+    invitation_id: inv.id,
+    slug: inv.slug,
+    name: inv.name,
+    qty_recorded: qtyToUse,
+    scan_count: scanCount,
+    repeat: isRepeat,
+    device_note: device_note ?? null,
+    gate_id: gate.gateId,
+    operator: req.user?.username ?? null,
+  });
 
-  const [cRows] = await db.query('SELECT id, scan_count FROM checkins WHERE invitation_id = ? LIMIT 1', [inv.id]);
-  let scanCount;
-  if (!cRows.length) {
-    scanCount = 1;
-    await db.query(`INSERT INTO checkins (invitation_id, checked_in_qty, scan_count, device_note) VALUES (?, ?, ?, ?)`,
-      [inv.id, qtyToUse ?? 0, scanCount, device_note ?? null]);
-  } else {
-    scanCount = cRows[0].scan_count + 1;
-    await db.query(`UPDATE checkins SET checked_in_qty = ?, scan_count = ?, device_note = ? WHERE id = ?`,
-      [qtyToUse ?? 0, scanCount, device_note ?? null, cRows[0].id]);
-  }
+  res.json({
+    message: isRepeat ? 'Scan diterima (tamu sudah pernah check-in).' : 'Check-in berhasil.',
+    name: inv.name,
+    qty_recorded: qtyToUse,
+    scan_count: scanCount,
+    repeat: isRepeat,
+    legacy_qr: legacy,
+    gate_id: gate.gateId,
+    table,
+    table_warning: tableWarning,
+  });
+}));
 
-  if (!inv.checked_in) {
-    await db.query(`UPDATE invitations SET checked_in = 1, checked_in_at = NOW(), real_qty = COALESCE(?, real_qty, qty) WHERE id = ?`,
-      [qtyToUse, inv.id]);
-  } else {
-    await db.query(`UPDATE invitations SET checked_in_at = NOW() WHERE id = ?`, [inv.id]);
-  }
+// ✅ Riwayat scan per undangan
+// GET /invitations/:slug/checkins
+router.get('/:slug/checkins', awrap(async (req, res) => {
+  const [invRows] = await db.query(
+    'SELECT id, name, checked_in, checked_in_at, real_qty FROM invitations WHERE slug = ? AND event_id = ? LIMIT 1',
+    [req.params.slug, req.eventId]
+  );
+  if (!invRows.length) return res.status(404).json({ error: 'Undangan tidak ditemukan.' });
+  const inv = invRows[0];
+
+  const [history] = await db.query(
+    `SELECT c.id, c.action, c.checked_in_qty, c.is_repeat, c.device_note, c.device_id, c.source, c.scanned_at,
+            c.gate_id, g.name AS gate_name, c.scan_device_id, c.operator_id, c.operator_username, c.note, c.checked_in_at
+       FROM checkins c
+       LEFT JOIN gates g ON g.id = c.gate_id
+      WHERE c.invitation_id = ?
+      ORDER BY c.checked_in_at ASC, c.id ASC`,
+    [inv.id]
+  );
 
   res.json({
-    message: inv.checked_in ? 'Scan diterima (tamu sudah pernah check-in).' : 'Check-in berhasil.',
+    invitation: { ...inv, checked_in: !!inv.checked_in },
+    scan_count: history.filter(h => h.action === 'checkin').length,
+    repeat_scans: history.filter(h => h.action === 'checkin' && h.is_repeat).length,
+    undo_count: history.filter(h => h.action === 'undo').length,
+    history: history.map(h => ({ ...h, is_repeat: !!h.is_repeat })),
+  });
+}));
+
+// ✅ Batalkan check-in (salah scan / salah tamu)
+// POST /invitations/:slug/checkin/undo  Body optional: { note }
+// Mengembalikan checked_in & real_qty ke kondisi sebelum check-in pertama.
+router.post('/:slug/checkin/undo', awrap(async (req, res) => {
+  const outcome = await withTransaction(async conn => {
+    const [rows] = await conn.query(
+      'SELECT * FROM invitations WHERE slug = ? AND event_id = ? LIMIT 1 FOR UPDATE',
+      [req.params.slug, req.eventId]
+    );
+    if (!rows.length) return { status: 404, error: 'Undangan tidak ditemukan.' };
+    const inv = rows[0];
+
+    // Undo bersamaan: yang kedua melihat tamu sudah tidak check-in
+    if (!inv.checked_in) return { status: 409, error: 'Tamu belum check-in.' };
+
+    const [[firstScan]] = await conn.query(
+      `SELECT prev_real_qty FROM checkins
+        WHERE invitation_id = ? AND action = 'checkin' AND is_repeat = 0
+        ORDER BY id DESC LIMIT 1`,
+      [inv.id]
+    );
+    const restoredQty = restoredRealQty(inv, firstScan);
+
+    await conn.query('UPDATE invitations SET checked_in = 0, checked_in_at = NULL, real_qty = ? WHERE id = ?', [restoredQty, inv.id]);
+    await logCheckinEvent({ inv, action: 'undo', qty: inv.real_qty, note: req.body?.note ?? null, user: req.user }, conn);
+    return { inv, restoredQty };
+  });
+  if (outcome.error) return res.status(outcome.status).json({ error: outcome.error });
+  const { inv, restoredQty } = outcome;
+
+  notifyChange(req.eventId, 'checkin', {
+    action: 'undo',
+    invitation_id: inv.id,
+    slug: inv.slug,
     name: inv.name,
-    qty_recorded: qtyToUse,
-    scan_count: scanCount
+    operator: req.user?.username ?? null,
   });
+
+  res.json({ message: 'Check-in dibatalkan.', name: inv.name, checked_in: false, real_qty: restoredQty });
 }));
 
 // ============================================================================
 // MESSAGE ROUTES
 // ============================================================================
+// Moderasi buku tamu oleh admin / tuan rumah (lihat services/guestbook.js).
+// Tamu mengirim & membaca ucapan lewat /api/public.
+// ----------------------------------------------------------------------------
+
+// action → perubahan kolom
+const MODERATION_ACTIONS = {
+  approve: { status: 'approved' },
+  hide: { status: 'hidden' },
+  pending: { status: 'pending' },
+  pin: { pinned: 1 },
+  unpin: { pinned: 0 },
+};
+
+// Kolom untuk layar tamu (SSE `message`); daftar moderasi menambah status & jejak moderator
+const SELECT_MESSAGE = `
+  SELECT m.id, m.message, m.created_at, m.invitation_id, m.pinned,
+         i.name AS guest_name, i.rsvp_status, i.checked_in
+  FROM messages m
+  JOIN invitations i ON i.id = m.invitation_id
+`;
+const SELECT_MESSAGE_MODERATION = SELECT_MESSAGE.replace(
+  'm.pinned,',
+  'm.pinned, m.status, m.flagged_reason, m.moderated_by, m.moderated_at,'
+);
+
+// ?status= (default 'approved', 'all' = semua status)
+function messageStatusFilter(req) {
+  const { status } = req.query;
+  if (!required(status)) return { statuses: ['approved'] };
+  if (status === 'all') return { statuses: MESSAGE_STATUSES };
+  if (!MESSAGE_STATUSES.includes(status)) {
+    return { error: `Status tidak valid. Gunakan: ${MESSAGE_STATUSES.join(', ')}, all.` };
+  }
+  return { statuses: [status] };
+}
+
+// Terapkan aksi moderasi ke beberapa pesan sekaligus, lalu kabari layar (SSE)
+async function moderateMessages(req, ids, action) {
+  if (action === 'delete') {
+    const [result] = await db.query('DELETE FROM messages WHERE id IN (?) AND event_id = ?', [ids, req.eventId]);
+    if (result.affectedRows) publish(req.eventId, 'message_removed', { ids });
+    return result.affectedRows;
+  }
+
+  const changes = MODERATION_ACTIONS[action];
+  const sets = Object.keys(changes).map(col => `${col} = ?`);
+  const [result] = await db.query(
+    `UPDATE messages SET ${sets.join(', ')}, moderated_by = ?, moderated_at = NOW() WHERE id IN (?) AND event_id = ?`,
+    [...Object.values(changes), req.user?.id ?? null, ids, req.eventId]
+  );
+  if (!result.affectedRows) return 0;
+
+  if (changes.status === 'approved') {
+    const [rows] = await db.query(`${SELECT_MESSAGE} WHERE m.id IN (?) AND m.event_id = ?`, [ids, req.eventId]);
+    for (const row of rows) publish(req.eventId, 'message', row);
+  } else if (changes.status) {
+    publish(req.eventId, 'message_removed', { ids });
+  } else {
+    publish(req.eventId, 'message_pinned', { ids, pinned: Boolean(changes.pinned) });
+  }
+  return result.affectedRows;
+}
+
 messageRouter.get('/', awrap(async (req, res) => {
+  const { statuses, error } = messageStatusFilter(req);
+  if (error) return res.status(400).json({ error });
+
   const [rows] = await db.query(`
-    SELECT m.id, m.message, m.created_at, m.invitation_id,
-           i.name AS guest_name, i.rsvp_status, i.checked_in
-    FROM messages m
-    JOIN invitations i ON i.id = m.invitation_id
-    ORDER BY m.created_at DESC
-  `);
+    ${SELECT_MESSAGE_MODERATION}
+    WHERE m.event_id = ? AND m.status IN (?)
+    ORDER BY m.pinned DESC, m.created_at DESC
+  `, [req.eventId, statuses]);
   res.json(rows);
 }));
 
+// ✅ Jumlah pesan per status (badge antrean moderasi)
+messageRouter.get('/moderation/summary', awrap(async (req, res) => {
+  const [rows] = await db.query(
+    'SELECT status, COUNT(*) AS total FROM messages WHERE event_id = ? GROUP BY status',
+    [req.eventId]
+  );
+  const summary = Object.fromEntries(MESSAGE_STATUSES.map(s => [s, 0]));
+  for (const row of rows) summary[row.status] = Number(row.total);
+  res.json(summary);
+}));
+
+// ✅ Moderasi massal
+// body: { ids: [1, 2], action: 'approve' | 'hide' | 'pending' | 'pin' | 'unpin' | 'delete' }
+messageRouter.post('/moderation/bulk', awrap(async (req, res) => {
+  const { action } = req.body;
+  const ids = (Array.isArray(req.body.ids) ? req.body.ids : []).map(Number).filter(Number.isInteger);
+  if (!ids.length) return res.status(400).json({ error: 'ids wajib berisi minimal satu id pesan.' });
+  if (action !== 'delete' && !MODERATION_ACTIONS[action]) {
+    return res.status(400).json({ error: `Aksi tidak valid. Gunakan: ${[...Object.keys(MODERATION_ACTIONS), 'delete'].join(', ')}.` });
+  }
+
+  const affected = await moderateMessages(req, ids, action);
+  res.json({ message: `${affected} pesan diperbarui.`, action, affected });
+}));
+
 messageRouter.get('/invitation/:id', awrap(async (req, res) => {
   const { id } = req.params;
-  const [rows] = await db.query('SELECT * FROM messages WHERE invitation_id = ? ORDER BY created_at ASC', [id]);
+  const { statuses, error } = messageStatusFilter(req);
+  if (error) return res.status(400).json({ error });
+
+  const [rows] = await db.query(
+    'SELECT * FROM messages WHERE invitation_id = ? AND event_id = ? AND status IN (?) ORDER BY created_at ASC',
+    [id, req.eventId, statuses]
+  );
   res.json(rows);
 }));
 
@@ -398,17 +869,36 @@ messageRouter.post('/', awrap(async (req, res) => {
   const { invitation_id, message } = req.body;
   if (!required(invitation_id) || !required(message)) return res.status(400).json({ error: 'invitation_id dan message wajib diisi.' });
 
-  const [inv] = await db.query('SELECT id FROM invitations WHERE id = ?', [invitation_id]);
+  const [inv] = await db.query('SELECT id, name FROM invitations WHERE id = ? AND event_id = ?', [invitation_id, req.eventId]);
   if (!inv.length) return res.status(404).json({ error: 'Invitation tidak ditemukan.' });
 
-  const [result] = await db.query('INSERT INTO messages (invitation_id, message) VALUES (?, ?)', [invitation_id, message]);
-  res.status(201).json({ message: 'Pesan berhasil dikirim.', id: result.insertId });
+  const { id, status, reply } = await postMessage(req.eventId, inv[0], message);
+  res.status(201).json({ message: reply, id, status });
+}));
+
+// ✅ Moderasi satu pesan: body { status?, pinned? }
+messageRouter.patch('/:id/moderation', awrap(async (req, res) => {
+  const { status, pinned } = req.body;
+  if (status == null && pinned == null) return res.status(400).json({ error: 'Kirim status dan/atau pinned.' });
+  if (status != null && !MESSAGE_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `Status tidak valid. Gunakan: ${MESSAGE_STATUSES.join(', ')}.` });
+  }
+
+  const ids = [Number(req.params.id)];
+  const statusAction = { approved: 'approve', hidden: 'hide', pending: 'pending' }[status];
+  let affected = 0;
+  if (statusAction) affected = await moderateMessages(req, ids, statusAction);
+  if (pinned != null) affected = await moderateMessages(req, ids, pinned ? 'pin' : 'unpin');
+
+  if (!affected) return res.status(404).json({ error: 'Pesan tidak ditemukan.' });
+  res.json({ message: 'Pesan diperbarui.' });
 }));
 
 messageRouter.delete('/:id', awrap(async (req, res) => {
   const { id } = req.params;
-  const [result] = await db.query('DELETE FROM messages WHERE id = ?', [id]);
+  const [result] = await db.query('DELETE FROM messages WHERE id = ? AND event_id = ?', [id, req.eventId]);
   if (!result.affectedRows) return res.status(404).json({ error: 'Pesan tidak ditemukan.' });
+  publish(req.eventId, 'message_removed', { ids: [Number(id)] });
   res.json({ message: 'Pesan dihapus.' });
 }));
 
@@ -15,6 +15,7 @@ import express from 'express';
 import db from '../config/db.js';
 import slugify from 'slugify';
 import dotenv from 'dotenv';
+import { buildQrUrl } from '../utils/qr.js';
 
 dotenv.config();
 
@@ -27,14 +28,11 @@ const BASE_LINK = process.env.INVITATION_LINK_BASE ?? '';
 const awrap = fn => (req, res, next) => Promise.resolve(fn(req, res, next)).catch(next);
 
 // -----------------------------------------------------------------------------
-// Utility: build QR link + image URL
+// Utility: build QR link (gambar QR dirender lokal, lihat utils/qr.js)
 // -----------------------------------------------------------------------------
 function buildInvitationLink(slug) {
   return `${BASE_LINK}/confirm/${slug}`;
 }
-function buildQrUrl(link) {
-  return `https://api.qrserver.com/v1/create-qr-code/?data=${encodeURIComponent(link)}&size=200x200`;
-}
 
 // -----------------------------------------------------------------------------
 // Utility: generate a unique slug (retry up to N times if collision)
@@ -66,7 +64,7 @@ function isEnum(v, allowed) {
 // -----------------------------------------------------------------------------
 // SQL snippets
 // -----------------------------------------------------------------------------
-const INVITATION_COLUMNS = `id, \`from\`, name, category, phone, qty, type, slug, qrcode, rsvp_status, checked_in, checked_in_at, created_at, real_qty`;
+const INVITATION_COLUMNS = `id, \`from\`, name, category, phone, qty, type, slug, qrcode, rsvp_status, checked_in, checked_in_at, created_at, real_qty, status_pengiriman`;
 
 const SELECT_INVITATION_BASE = `SELECT ${INVITATION_COLUMNS} FROM invitations`;
 
@@ -85,13 +83,13 @@ router.post('/', awrap(async (req, res) => {
 
   const slug = await generateUniqueSlug(name);
   const link = buildInvitationLink(slug);
-  const qrcode = buildQrUrl(link);
+  const qrcode = buildQrUrl(slug);
 
   const sql = `
     INSERT INTO invitations (
-      \`from\`, name, category, phone, qty, type, slug, qrcode
-    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`;
-  const values = [from ?? null, name, catVal, phone ?? null, qtyVal, type, slug, qrcode];
+      event_id, \`from\`, name, category, phone, qty, type, slug, qrcode
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`;
+  const values = [req.eventId, from ?? null, name, catVal, phone ?? null, qtyVal, type, slug, qrcode];
 
   const [result] = await db.query(sql, values);
 
@@ -0,0 +1,142 @@
+// routes/public.js
+// -----------------------------------------------------------------------------
+// API tamu (tanpa login), dikunci per slug undangan. Slug unik di semua acara,
+// jadi acara ikut ditentukan dari undangan — tidak perlu event_id.
+//
+//   GET   /api/public/invitations/:slug           → data undangan (field minimal)
+//   PATCH /api/public/invitations/:slug/rsvp      → konfirmasi kehadiran
+//   GET   /api/public/invitations/:slug/qr.png    → QR check-in (juga .svg), bukan untuk slug lama
+//   GET   /api/public/invitations/:slug/messages  → buku tamu (hanya yang disetujui)
+//   POST  /api/public/invitations/:slug/messages  → kirim ucapan
+//
+// Sengaja tidak mengembalikan no HP, id internal, atau data tamu lain.
+// Slug lama yang sudah diganti (slug_aliases) diarahkan ke slug baru (308).
+// QR check-in tidak dilayani untuk slug lama 6 digit: slug itu bisa ditebak
+// berurutan, sehingga siapa pun bisa mengumpulkan token QR yang valid. Panitia
+// tetap bisa mengambilnya lewat /api/invitations/:slug/qr.png (login).
+// -----------------------------------------------------------------------------
+import express from 'express';
+import db from '../config/db.js';
+import { buildQrPayload, buildQrUrl, parseQrOptions, renderQrPng, renderQrSvg } from '../utils/qr.js';
+import { buildCaptionContext, renderCaption } from '../utils/captionTemplate.js';
+import { findActiveCaption } from '../services/captionService.js';
+import { applyRsvp, parseRsvpInput } from '../services/rsvpService.js';
+import { approvedMessages, postMessage } from '../services/guestbook.js';
+import { isLegacySlug, resolveSlugAlias } from '../services/slugService.js';
+
+const router = express.Router();
+
+const MAX_MESSAGE_LENGTH = 1000;
+
+const awrap = fn => (req, res, next) => Promise.resolve(fn(req, res, next)).catch(next);
+
+// Isi req.invitation, req.event & req.eventId dari :slug
+const loadInvitation = awrap(async (req, res, next) => {
+  const [rows] = await db.query(`
+    SELECT i.id, i.event_id, i.slug, i.\`from\`, i.name, i.qty, i.type, i.category, i.language,
+           i.rsvp_status, i.real_qty, i.checked_in, i.qr_version,
+           c.name AS category_name,
+           e.name AS event_name, e.slug AS event_slug, e.event_date, e.venue
+    FROM invitations i
+    JOIN events e ON e.id = i.event_id
+    LEFT JOIN categories c ON c.id = i.category
+    WHERE i.slug = ?
+    LIMIT 1
+  `, [req.params.slug]);
+
+  if (!rows.length) {
+    const current = await resolveSlugAlias(req.params.slug);
+    if (!current) return res.status(404).json({ error: 'Undangan tidak ditemukan.' });
+
+    // 308 mempertahankan method & body (RSVP / ucapan dari link lama tetap jalan)
+    const from = `/invitations/${encodeURIComponent(req.params.slug)}`;
+    return res.redirect(308, req.originalUrl.replace(from, `/invitations/${encodeURIComponent(current)}`));
+  }
+
+  const inv = rows[0];
+  req.invitation = inv;
+  req.event = { id: inv.event_id, name: inv.event_name, slug: inv.event_slug, event_date: inv.event_date, venue: inv.venue };
+  req.eventId = inv.event_id;
+  next();
+});
+
+// Tolak QR publik untuk slug lama (sebelum alias diikuti, supaya redirect pun tidak bocor)
+const rejectLegacySlug = (req, res, next) => {
+  if (isLegacySlug(req.params.slug)) {
+    return res.status(403).json({ error: 'QR tidak tersedia untuk link lama. Hubungi panitia untuk link undangan terbaru.' });
+  }
+  next();
+};
+
+// ✅ Data undangan untuk halaman tamu
+router.get('/invitations/:slug', loadInvitation, awrap(async (req, res) => {
+  const inv = req.invitation;
+  const caption = await findActiveCaption(inv.category, req.eventId, inv.language);
+
+  res.json({
+    slug: inv.slug,
+    name: inv.name,
+    from: inv.from,
+    qty: inv.qty,
+    type: inv.type,
+    category: inv.category_name ?? null,
+    language: inv.language,
+    rsvp_status: inv.rsvp_status,
+    jumlah_real: inv.real_qty,
+    checked_in: Number(inv.checked_in) === 1,
+    caption: caption ? renderCaption(caption.caption_text, buildCaptionContext(inv, req.event, caption.language)) : null,
+    qrcode: isLegacySlug(inv.slug) ? null : buildQrUrl(inv.slug),
+    event: {
+      name: req.event.name,
+      slug: req.event.slug,
+      event_date: req.event.event_date,
+      venue: req.event.venue,
+    },
+  });
+}));
+
+// ✅ Konfirmasi kehadiran: body { rsvp_status, jumlah_real }
+router.patch('/invitations/:slug/rsvp', loadInvitation, awrap(async (req, res) => {
+  const input = parseRsvpInput(req.body);
+  if (input.error) return res.status(400).json({ error: input.error });
+
+  const updated = await applyRsvp(req.eventId, req.invitation.slug, input);
+  if (!updated) return res.status(404).json({ error: 'Undangan tidak ditemukan.' });
+
+  res.json({
+    message: 'Kehadiran berhasil dikonfirmasi.',
+    rsvp_status: updated.rsvp_status,
+    jumlah_real: updated.jumlah_real,
+    qrcode: isLegacySlug(req.invitation.slug) ? null : buildQrUrl(req.invitation.slug),
+  });
+}));
+
+// ✅ QR check-in tamu
+router.get('/invitations/:slug/qr.png', rejectLegacySlug, loadInvitation, awrap(async (req, res) => {
+  const png = await renderQrPng(buildQrPayload(req.invitation), parseQrOptions(req.query));
+  res.type('png').set('Cache-Control', 'private, max-age=86400').send(png);
+}));
+
+router.get('/invitations/:slug/qr.svg', rejectLegacySlug, loadInvitation, awrap(async (req, res) => {
+  const svg = await renderQrSvg(buildQrPayload(req.invitation), parseQrOptions(req.query));
+  res.type('svg').set('Cache-Control', 'private, max-age=86400').send(svg);
+}));
+
+// ✅ Buku tamu acara (hanya ucapan yang disetujui)
+router.get('/invitations/:slug/messages', loadInvitation, awrap(async (req, res) => {
+  res.json(await approvedMessages(req.eventId));
+}));
+
+// ✅ Kirim ucapan: body { message }
+router.post('/invitations/:slug/messages', loadInvitation, awrap(async (req, res) => {
+  const message = typeof req.body?.message === 'string' ? req.body.message.trim() : '';
+  if (!message) return res.status(400).json({ error: 'message wajib diisi.' });
+  if (message.length > MAX_MESSAGE_LENGTH) {
+    return res.status(400).json({ error: `Pesan maksimal ${MAX_MESSAGE_LENGTH} karakter.` });
+  }
+
+  const { id, status, reply } = await postMessage(req.eventId, req.invitation, message);
+  res.status(201).json({ message: reply, id, status });
+}));
+
+export default router;
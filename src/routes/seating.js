@@ -0,0 +1,250 @@
+// routes/seating.js
+// -----------------------------------------------------------------------------
+// Meja / area duduk & penempatan undangan (lihat services/seatingService.js).
+//
+//   GET    /api/seating              → daftar meja + kursi terpakai & peringatan
+//   POST   /api/seating              → tambah meja
+//          body: { name, capacity, area?, category_id?, sort_order? }
+//   PATCH  /api/seating/:id          → ubah meja (field sama dengan POST)
+//   DELETE /api/seating/:id          → hapus meja (undangan jadi tanpa meja)
+//   GET    /api/seating/:id/guests   → undangan di meja ini
+//   PUT    /api/seating/assign       → tempatkan undangan ke meja
+//          body: { table_id (null = lepas), invitation_ids?: [], slugs?: [] }
+//   POST   /api/seating/auto         → penempatan otomatis per kategori
+//          body: { category?, overwrite?: false, dry_run?: false }
+//   GET    /api/seating/export       → denah meja (?format=xlsx|csv|pdf, default pdf)
+// -----------------------------------------------------------------------------
+import express from 'express';
+import db from '../config/db.js';
+import { EXPORT_FORMATS, sendReport } from '../utils/exporter.js';
+import {
+  SEATS_SQL,
+  assignInvitations,
+  autoAssign,
+  capacityWarning,
+  checkTableCapacity,
+  listTables,
+} from '../services/seatingService.js';
+
+const router = express.Router();
+
+const awrap = fn => (req, res, next) => Promise.resolve(fn(req, res, next)).catch(next);
+
+const isDuplicateKey = err => err?.code === 'ER_DUP_ENTRY';
+
+const asList = v => (Array.isArray(v) ? v : v == null || v === '' ? [] : [v]);
+
+// body → { values } kolom seating_tables yang valid, atau { error }
+// partial: true untuk PATCH (field yang tidak dikirim tidak diubah)
+async function parseTableBody(body = {}, eventId, { partial = false } = {}) {
+  const values = {};
+
+  if (!partial || 'name' in body) {
+    const name = typeof body.name === 'string' ? body.name.trim().slice(0, 100) : '';
+    if (!name) return { error: 'Nama meja wajib diisi.' };
+    values.name = name;
+  }
+  if (!partial || 'capacity' in body) {
+    const capacity = Number(body.capacity);
+    if (!Number.isInteger(capacity) || capacity < 1) return { error: 'capacity harus angka bulat ≥ 1.' };
+    values.capacity = capacity;
+  }
+  if ('area' in body) values.area = body.area ? String(body.area).trim().slice(0, 100) : null;
+  if ('sort_order' in body) values.sort_order = Number(body.sort_order) || 0;
+  if ('category_id' in body) {
+    if (body.category_id == null || body.category_id === '') {
+      values.category_id = null;
+    } else {
+      const [[category]] = await db.query('SELECT id FROM categories WHERE id = ? AND event_id = ?', [body.category_id, eventId]);
+      if (!category) return { error: 'Kategori tidak ditemukan di acara ini.' };
+      values.category_id = category.id;
+    }
+  }
+  return { values };
+}
+
+// ✅ Daftar meja
+router.get('/', awrap(async (req, res) => {
+  const tables = await listTables(req.eventId);
+  const [[unassigned]] = await db.query(`
+    SELECT COUNT(*) AS guests, COALESCE(SUM(${SEATS_SQL}), 0) AS seats
+    FROM invitations i
+    WHERE i.event_id = ? AND i.table_id IS NULL AND i.rsvp_status <> 'Tidak Hadir'
+  `, [req.eventId]);
+
+  res.json({
+    tables,
+    totals: {
+      capacity: tables.reduce((sum, t) => sum + t.capacity, 0),
+      seats: tables.reduce((sum, t) => sum + t.seats, 0),
+      unassigned_guests: Number(unassigned.guests) || 0,
+      unassigned_seats: Number(unassigned.seats) || 0,
+    },
+    warnings: tables.map(capacityWarning).filter(Boolean),
+  });
+}));
+
+// ✅ Tempatkan undangan ke meja
+router.put('/assign', awrap(async (req, res) => {
+  const { table_id } = req.body ?? {};
+  const ids = asList(req.body?.invitation_ids).map(Number).filter(Number.isInteger);
+  const slugs = asList(req.body?.slugs).map(String);
+  if (!ids.length && !slugs.length) return res.status(400).json({ error: 'Pilih undangan lewat invitation_ids atau slugs.' });
+
+  const tableId = table_id == null || table_id === '' ? null : Number(table_id);
+  if (tableId != null) {
+    const [[table]] = await db.query('SELECT id FROM seating_tables WHERE id = ? AND event_id = ?', [tableId, req.eventId]);
+    if (!table) return res.status(404).json({ error: 'Meja tidak ditemukan.' });
+  }
+
+  const match = [];
+  const params = [req.eventId];
+  if (ids.length) { match.push('id IN (?)'); params.push(ids); }
+  if (slugs.length) { match.push('slug IN (?)'); params.push(slugs); }
+  const [rows] = await db.query(`SELECT id FROM invitations WHERE event_id = ? AND (${match.join(' OR ')})`, params);
+  if (!rows.length) return res.status(404).json({ error: 'Tidak ada undangan yang cocok.' });
+
+  const { updated, warning } = await assignInvitations(req.eventId, rows.map(r => r.id), tableId);
+  res.json({
+    message: tableId ? `${updated} undangan ditempatkan.` : `${updated} undangan dilepas dari meja.`,
+    updated,
+    table_id: tableId,
+    warning,
+  });
+}));
+
+// ✅ Penempatan otomatis per kategori
+router.post('/auto', awrap(async (req, res) => {
+  const { category, overwrite, dry_run } = req.body ?? {};
+  const result = await autoAssign(req.eventId, {
+    category: category == null || category === '' ? null : Number(category),
+    overwrite: overwrite === true,
+    dryRun: dry_run === true,
+  });
+
+  res.json({
+    message: dry_run === true
+      ? `Simulasi: ${result.assigned.length} undangan bisa ditempatkan, ${result.unplaced.length} tidak kebagian meja.`
+      : `${result.assigned.length} undangan ditempatkan, ${result.unplaced.length} tidak kebagian meja.`,
+    dry_run: dry_run === true,
+    ...result,
+  });
+}));
+
+// ✅ Export denah meja (untuk dicetak usher)
+router.get('/export', awrap(async (req, res) => {
+  const format = req.query.format ?? 'pdf';
+  if (!EXPORT_FORMATS.includes(format)) {
+    return res.status(400).json({ error: `format harus salah satu: ${EXPORT_FORMATS.join(', ')}.` });
+  }
+
+  const tables = await listTables(req.eventId);
+  const [guests] = await db.query(`
+    SELECT i.table_id, i.name, i.\`from\`, c.name AS category_name, i.rsvp_status, ${SEATS_SQL} AS seats
+    FROM invitations i
+    LEFT JOIN categories c ON c.id = i.category
+    WHERE i.event_id = ? AND i.table_id IS NOT NULL
+    ORDER BY i.name ASC
+  `, [req.eventId]);
+
+  const rows = [];
+  for (const table of tables) {
+    const seated = guests.filter(g => g.table_id === table.id);
+    rows.push({
+      table: table.name,
+      area: table.area ?? '',
+      name: `${seated.length} undangan`,
+      seats: `${table.seats}/${table.capacity}${table.over_capacity ? ' (PENUH!)' : ''}`,
+      _bold: true,
+    });
+    for (const g of seated) {
+      rows.push({ table: '', area: '', name: g.name, from: g.from, category_name: g.category_name ?? '', rsvp_status: g.rsvp_status, seats: Number(g.seats) });
+    }
+  }
+
+  await sendReport(res, {
+    format,
+    filename: `denah-meja-${req.event.slug}`,
+    title: `Denah Meja – ${req.event.name}`,
+    sections: [{
+      name: 'Denah Meja',
+      columns: [
+        { key: 'table', label: 'Meja', width: 12 },
+        { key: 'area', label: 'Area', width: 12 },
+        { key: 'name', label: 'Nama', width: 26 },
+        { key: 'from', label: 'Dari', width: 18 },
+        { key: 'category_name', label: 'Kategori', width: 14 },
+        { key: 'rsvp_status', label: 'RSVP', width: 12 },
+        { key: 'seats', label: 'Kursi', width: 10 },
+      ],
+      rows,
+    }],
+  });
+}));
+
+// ✅ Tambah meja
+router.post('/', awrap(async (req, res) => {
+  const parsed = await parseTableBody(req.body, req.eventId);
+  if (parsed.error) return res.status(400).json({ error: parsed.error });
+  const v = parsed.values;
+
+  try {
+    const [result] = await db.query(
+      'INSERT INTO seating_tables (event_id, name, area, capacity, category_id, sort_order) VALUES (?, ?, ?, ?, ?, ?)',
+      [req.eventId, v.name, v.area ?? null, v.capacity, v.category_id ?? null, v.sort_order ?? 0]
+    );
+    res.status(201).json({ message: 'Meja ditambahkan.', id: result.insertId });
+  } catch (err) {
+    if (isDuplicateKey(err)) return res.status(409).json({ error: 'Nama meja sudah dipakai.' });
+    throw err;
+  }
+}));
+
+// ✅ Undangan di satu meja
+router.get('/:id/guests', awrap(async (req, res) => {
+  const [[table]] = await db.query('SELECT id FROM seating_tables WHERE id = ? AND event_id = ?', [req.params.id, req.eventId]);
+  if (!table) return res.status(404).json({ error: 'Meja tidak ditemukan.' });
+
+  const [rows] = await db.query(`
+    SELECT i.id, i.slug, i.name, i.\`from\`, i.category, c.name AS category_name, i.qty, i.real_qty,
+           i.rsvp_status, i.checked_in, ${SEATS_SQL} AS seats
+    FROM invitations i
+    LEFT JOIN categories c ON c.id = i.category
+    WHERE i.table_id = ?
+    ORDER BY i.name ASC
+  `, [table.id]);
+  res.json(rows.map(r => ({ ...r, checked_in: !!r.checked_in, seats: Number(r.seats) })));
+}));
+
+// ✅ Ubah meja
+router.patch('/:id', awrap(async (req, res) => {
+  const parsed = await parseTableBody(req.body, req.eventId, { partial: true });
+  if (parsed.error) return res.status(400).json({ error: parsed.error });
+
+  const fields = Object.keys(parsed.values);
+  if (!fields.length) return res.status(400).json({ error: 'Tidak ada perubahan.' });
+
+  try {
+    const [result] = await db.query(
+      `UPDATE seating_tables SET ${fields.map(f => `${f} = ?`).join(', ')} WHERE id = ? AND event_id = ?`,
+      [...Object.values(parsed.values), req.params.id, req.eventId]
+    );
+    if (!result.affectedRows) return res.status(404).json({ error: 'Meja tidak ditemukan.' });
+  } catch (err) {
+    if (isDuplicateKey(err)) return res.status(409).json({ error: 'Nama meja sudah dipakai.' });
+    throw err;
+  }
+
+  // Kapasitas diperkecil → bisa langsung melebihi
+  const warning = await checkTableCapacity(req.eventId, Number(req.params.id));
+  res.json({ message: 'Meja diperbarui.', warning });
+}));
+
+// ✅ Hapus meja
+router.delete('/:id', awrap(async (req, res) => {
+  const [result] = await db.query('DELETE FROM seating_tables WHERE id = ? AND event_id = ?', [req.params.id, req.eventId]);
+  if (!result.affectedRows) return res.status(404).json({ error: 'Meja tidak ditemukan.' });
+  res.json({ message: 'Meja dihapus. Undangan di meja ini menjadi tanpa meja.' });
+}));
+
+export default router;
@@ -0,0 +1,32 @@
+// routes/stream.js
+// -----------------------------------------------------------------------------
+// GET /api/stream  → Server-Sent Events untuk dashboard & meja scan.
+// Query optional: ?types=checkin,summary (default semua tipe)
+//
+// Saat tersambung, klien langsung menerima event `summary` terbaru.
+// -----------------------------------------------------------------------------
+import express from 'express';
+import { openSseStream, subscribe, writeSse } from '../services/realtime.js';
+import { getSummary } from '../services/summaryService.js';
+
+const router = express.Router();
+
+router.get('/', (req, res) => {
+  const types = (req.query.types || '').split(',').map(s => s.trim()).filter(Boolean);
+  const wants = type => !types.length || types.includes(type);
+
+  let unsubscribe;
+  openSseStream(req, res, { onClose: () => unsubscribe?.() });
+
+  unsubscribe = subscribe(req.eventId, msg => {
+    if (wants(msg.type)) writeSse(res, msg);
+  });
+
+  if (wants('summary')) {
+    getSummary(req.eventId)
+      .then(summary => writeSse(res, { type: 'summary', payload: summary }))
+      .catch(err => console.error('❌ Gagal mengirim summary awal:', err));
+  }
+});
+
+export default router;
@@ -0,0 +1,61 @@
+// routes/userRoute.js
+// -----------------------------------------------------------------------------
+// Kelola akun (khusus admin, lihat ROLE_MATRIX.users):
+//
+//   GET    /api/users                → daftar user (?role=)
+//   POST   /api/users                → buat user { username, password, role, event_id? }
+//   PATCH  /api/users/:id            → ubah { role?, event_id?, is_active? }
+//   POST   /api/users/:id/disable    → nonaktifkan (tidak bisa login)
+//   POST   /api/users/:id/enable     → aktifkan kembali
+//   DELETE /api/users/:id            → hapus user
+//   GET    /api/users/:id/sessions   → sesi login aktif
+//   DELETE /api/users/:id/sessions   → paksa logout dari semua perangkat
+//   POST   /api/users/:id/unlock     → buka kunci login (setelah terlalu banyak gagal)
+//
+//   GET    /api/users/login-attempts → catatan percobaan login
+//          (?username=&ip=&success=0|1&limit=)
+//
+//   POST   /api/users/invites        → buat link setup sekali pakai
+//          body: { role = 'operator', event_id?, username?, expires_in_hours = 72 }
+//   GET    /api/users/invites        → undangan yang masih berlaku
+//   DELETE /api/users/invites/:id    → batalkan undangan
+//
+// Link setup dibuka tanpa login lewat /api/setup/:token (routes/authRoute.js).
+// -----------------------------------------------------------------------------
+import express from 'express';
+import {
+  listUsers,
+  createUser,
+  updateUser,
+  disableUser,
+  enableUser,
+  deleteUser,
+  listUserSessions,
+  revokeAllUserSessions,
+  unlockUser,
+  getLoginAttempts,
+  createInvite,
+  listInvites,
+  revokeInvite,
+} from '../controllers/userController.js';
+
+const router = express.Router();
+
+// Undangan & catatan login (didaftarkan sebelum /:id)
+router.post('/invites', createInvite);
+router.get('/invites', listInvites);
+router.delete('/invites/:id', revokeInvite);
+router.get('/login-attempts', getLoginAttempts);
+
+// User
+router.get('/', listUsers);
+router.post('/', createUser);
+router.patch('/:id', updateUser);
+router.post('/:id/disable', disableUser);
+router.post('/:id/enable', enableUser);
+router.delete('/:id', deleteUser);
+router.get('/:id/sessions', listUserSessions);
+router.delete('/:id/sessions', revokeAllUserSessions);
+router.post('/:id/unlock', unlockUser);
+
+export default router;
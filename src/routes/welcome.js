@@ -0,0 +1,38 @@
+// routes/welcome.js
+// -----------------------------------------------------------------------------
+// Feed publik untuk layar penyambutan (tanpa login), dikunci per token layar
+// acara (events.welcome_token, lihat POST /api/events/:id/welcome-token).
+//   GET /api/welcome/:token/recent?limit=N  → JSON kedatangan terakhir
+//   GET /api/welcome/:token/stream?replay=N → SSE, event `welcome`
+// -----------------------------------------------------------------------------
+import express from 'express';
+import { openSseStream, subscribe, writeSse } from '../services/realtime.js';
+import { WELCOME_REPLAY_SIZE, findEventByWelcomeToken, recentArrivals } from '../services/welcomeFeed.js';
+
+const router = express.Router();
+
+const awrap = fn => (req, res, next) => Promise.resolve(fn(req, res, next)).catch(next);
+
+router.get('/:token/recent', awrap(async (req, res) => {
+  const event = await findEventByWelcomeToken(req.params.token);
+  if (!event) return res.status(404).json({ error: 'Layar penyambutan tidak ditemukan.' });
+
+  res.json({ event: event.name, arrivals: await recentArrivals(event.id, req.query.limit ?? WELCOME_REPLAY_SIZE) });
+}));
+
+router.get('/:token/stream', awrap(async (req, res) => {
+  const event = await findEventByWelcomeToken(req.params.token);
+  if (!event) return res.status(404).json({ error: 'Layar penyambutan tidak ditemukan.' });
+
+  const replay = await recentArrivals(event.id, req.query.replay ?? WELCOME_REPLAY_SIZE);
+
+  let unsubscribe;
+  openSseStream(req, res, { onClose: () => unsubscribe?.() });
+  for (const arrival of replay) writeSse(res, { type: 'welcome', payload: { ...arrival, replay: true } });
+
+  unsubscribe = subscribe(event.id, msg => {
+    if (msg.type === 'welcome') writeSse(res, msg);
+  });
+}));
+
+export default router;
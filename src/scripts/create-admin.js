@@ -0,0 +1,43 @@
+// scripts/create-admin.js
+// -----------------------------------------------------------------------------
+// Buat admin pertama (atau reset password admin yang sudah ada) tanpa SQL manual.
+// Admin berikutnya & operator cukup dibuat lewat /api/users.
+//
+// Jalankan: npm run create-admin -- <username> <password>
+//      atau: ADMIN_USERNAME=... ADMIN_PASSWORD=... npm run create-admin
+//      (juga dipakai sebagai seed: npm run db:seed / npm run db:setup)
+// -----------------------------------------------------------------------------
+import bcrypt from 'bcryptjs';
+import db from '../config/db.js';
+
+const username = process.argv[2] ?? process.env.ADMIN_USERNAME;
+const password = process.argv[3] ?? process.env.ADMIN_PASSWORD;
+
+if (!username || !password || password.length < 8) {
+  console.error('❌ Pakai: npm run create-admin -- <username> <password> (password minimal 8 karakter)');
+  process.exit(1);
+}
+
+try {
+  const hash = await bcrypt.hash(password, 10);
+  const [rows] = await db.query('SELECT id FROM users WHERE username = ?', [username]);
+
+  if (rows.length) {
+    await db.query(
+      "UPDATE users SET password = ?, role = 'admin', event_id = NULL, is_active = 1, password_changed_at = NOW() WHERE id = ?",
+      [hash, rows[0].id]
+    );
+    console.log(`✅ User ${username} sekarang admin aktif (password diperbarui).`);
+  } else {
+    await db.query(
+      "INSERT INTO users (username, password, role, event_id, is_active) VALUES (?, ?, 'admin', NULL, 1)",
+      [username, hash]
+    );
+    console.log(`✅ Admin ${username} dibuat.`);
+  }
+} catch (err) {
+  console.error('❌ Gagal membuat admin:', err);
+  process.exitCode = 1;
+} finally {
+  await db.end();
+}
@@ -0,0 +1,29 @@
+// scripts/migrate-qrcode.js
+// -----------------------------------------------------------------------------
+// Pindahkan invitations.qrcode dari URL api.qrserver.com, URL lokal lama
+// `/api/invitations/:slug/qr.png?event_id=` (sekarang butuh login), atau kosong
+// ke URL QR publik `/api/public/invitations/:slug/qr.png`.
+//
+// Jalankan: npm run migrate:qrcode
+// -----------------------------------------------------------------------------
+import db from '../config/db.js';
+
+const QR_PUBLIC_BASE = process.env.QR_PUBLIC_BASE ?? '';
+
+try {
+  const [result] = await db.query(
+    `UPDATE invitations
+        SET qrcode = CONCAT(?, '/api/public/invitations/', slug, '/qr.png')
+      WHERE slug IS NOT NULL
+        AND (qrcode IS NULL OR qrcode = '' OR qrcode LIKE 'https://api.qrserver.com/%'
+             OR qrcode LIKE '%/api/invitations/%/qr.png%')`,
+    [QR_PUBLIC_BASE]
+  );
+
+  console.log(`✅ ${result.affectedRows} undangan dimigrasikan ke QR lokal.`);
+} catch (err) {
+  console.error('❌ Gagal migrasi qrcode:', err);
+  process.exitCode = 1;
+} finally {
+  await db.end();
+}
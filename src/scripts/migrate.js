@@ -0,0 +1,306 @@
+// scripts/migrate.js
+// -----------------------------------------------------------------------------
+// Migrasi skema DB berbasis file SQL di src/migrations:
+//   NNN_nama.up.sql   → dijalankan saat migrasi maju
+//   NNN_nama.down.sql → dijalankan saat rollback
+// Versi yang sudah jalan dicatat di tabel schema_migrations.
+//
+// Jalankan:
+//   npm run db:migrate                        → jalankan semua migrasi yang belum
+//   npm run db:migrate -- status              → daftar migrasi & statusnya
+//   npm run db:migrate -- down [--steps=N]    → rollback N migrasi terakhir (default 1)
+//   npm run db:migrate -- baseline [--to=NNN] → tandai sudah jalan tanpa mengeksekusi
+//                                               (DB lama yang tabelnya dibuat manual)
+//        [--event=ID] [--event-name="..."]     → acara untuk data lama (lihat di bawah)
+//
+// Baseline pada DB produksi lama (sebelum ada acara, sesi, dsb.): skema
+// disamakan dulu dengan 001_initial_schema — tabel yang belum ada dibuat,
+// kolom/index/foreign key yang kurang ditambahkan, dan semua data lama
+// dimasukkan ke satu acara default (--event, DEFAULT_EVENT_ID, satu-satunya
+// acara yang ada, atau acara baru bernama --event-name). Setelah itu hanya
+// 001 yang ditandai; migrasi berikutnya dijalankan dengan `npm run db:migrate`.
+// Backup DB dulu: referensi yatim dibereskan sesuai ON DELETE foreign key-nya.
+//
+// Database DB_NAME dibuat otomatis bila belum ada.
+// Catatan: DDL MySQL tidak bisa di-rollback; bila migrasi gagal di tengah jalan,
+// periksa & bereskan manual sebelum menjalankan ulang.
+// -----------------------------------------------------------------------------
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import mysql from 'mysql2/promise';
+import slugify from 'slugify';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const MIGRATIONS_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../migrations');
+const FILE_RE = /^(\d+)_([\w-]+)\.(up|down)\.sql$/;
+
+const [command = 'up', ...rest] = process.argv.slice(2);
+const options = Object.fromEntries(
+  rest.map(arg => {
+    const [key, value = true] = arg.replace(/^--/, '').split('=');
+    return [key, value];
+  })
+);
+
+// → [{ version, name, up, down }] urut versi
+async function loadMigrations() {
+  const byVersion = new Map();
+  for (const file of (await fs.readdir(MIGRATIONS_DIR)).sort()) {
+    const match = FILE_RE.exec(file);
+    if (!match) continue;
+    const [, version, name, direction] = match;
+    const entry = byVersion.get(version) ?? { version, name };
+    entry[direction] = path.join(MIGRATIONS_DIR, file);
+    byVersion.set(version, entry);
+  }
+
+  const migrations = [...byVersion.values()];
+  const missingUp = migrations.find(m => !m.up);
+  if (missingUp) throw new Error(`Migrasi ${missingUp.version}_${missingUp.name} tidak punya file .up.sql`);
+  return migrations;
+}
+
+async function connect() {
+  if (!process.env.DB_NAME) throw new Error('DB_NAME belum diatur di .env');
+
+  const conn = await mysql.createConnection({
+    host: process.env.DB_HOST,
+    port: Number(process.env.DB_PORT) || 3306,
+    user: process.env.DB_USER,
+    password: process.env.DB_PASS,
+    multipleStatements: true, // satu file migrasi berisi banyak statement
+  });
+
+  await conn.query(
+    `CREATE DATABASE IF NOT EXISTS ${mysql.escapeId(process.env.DB_NAME)} CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci`
+  );
+  await conn.changeUser({ database: process.env.DB_NAME });
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version VARCHAR(50) NOT NULL PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      applied_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+  return conn;
+}
+
+const label = m => `${m.version}_${m.name}`;
+
+async function up(conn, migrations, applied) {
+  const pending = migrations.filter(m => !applied.has(m.version));
+  if (!pending.length) return console.log('✅ Skema sudah terbaru.');
+
+  for (const m of pending) {
+    console.log(`⬆️  ${label(m)}`);
+    await conn.query(await fs.readFile(m.up, 'utf8'));
+    await conn.query('INSERT INTO schema_migrations (version, name) VALUES (?, ?)', [m.version, m.name]);
+  }
+  console.log(`✅ ${pending.length} migrasi dijalankan.`);
+}
+
+async function down(conn, migrations, applied) {
+  const steps = Math.max(Number(options.steps) || 1, 1);
+  const targets = migrations.filter(m => applied.has(m.version)).reverse().slice(0, steps);
+  if (!targets.length) return console.log('ℹ️  Tidak ada migrasi untuk di-rollback.');
+
+  for (const m of targets) {
+    if (!m.down) throw new Error(`Migrasi ${label(m)} tidak punya file .down.sql`);
+    console.log(`⬇️  ${label(m)}`);
+    await conn.query(await fs.readFile(m.down, 'utf8'));
+    await conn.query('DELETE FROM schema_migrations WHERE version = ?', [m.version]);
+  }
+  console.log(`✅ ${targets.length} migrasi di-rollback.`);
+}
+
+async function baseline(conn, migrations, applied) {
+  const [initial] = migrations;
+  const upgraded = !applied.has(initial.version) && await upgradeLegacySchema(conn, initial);
+  const to = upgraded ? initial.version : options.to;
+
+  const targets = migrations.filter(m => !applied.has(m.version) && (!to || m.version <= to));
+  for (const m of targets) {
+    await conn.query('INSERT INTO schema_migrations (version, name) VALUES (?, ?)', [m.version, m.name]);
+    console.log(`📌 ${label(m)} ditandai sudah jalan`);
+  }
+  console.log(`✅ ${targets.length} migrasi ditandai.`);
+  if (upgraded && targets.length < migrations.length - applied.size) {
+    console.log('ℹ️  Jalankan `npm run db:migrate` untuk migrasi berikutnya.');
+  }
+}
+
+// -----------------------------------------------------------------------------
+// Upgrade skema lama → 001_initial_schema (dipakai oleh baseline)
+// Definisi target dibaca langsung dari 001_initial_schema.up.sql, jadi file itu
+// tetap satu-satunya sumber skema.
+// -----------------------------------------------------------------------------
+
+// CREATE TABLE di file migrasi → [{ name, sql, columns, indexes, foreignKeys }]
+function parseCreateTables(sql) {
+  const tables = [];
+  for (const match of sql.matchAll(/CREATE TABLE (\w+) \(([\s\S]*?)\n\)[^;]*;/g)) {
+    const [statement, name, body] = match;
+    const table = { name, sql: statement, columns: [], indexes: [], foreignKeys: [] };
+    for (const raw of body.split('\n')) {
+      const line = raw.trim().replace(/,$/, '');
+      if (!line || line.startsWith('PRIMARY KEY')) continue;
+
+      const index = /^(?:UNIQUE )?KEY (\w+)/.exec(line);
+      const fk = /^CONSTRAINT (\w+) FOREIGN KEY \((\w+)\) REFERENCES (\w+) \((\w+)\)(.*)$/.exec(line);
+      const column = /^`?(\w+)`?\s+(.*)$/.exec(line);
+      if (index) table.indexes.push({ name: index[1], definition: line });
+      else if (fk) table.foreignKeys.push({ name: fk[1], column: fk[2], parent: fk[3], parentColumn: fk[4], setNull: /SET NULL/.test(fk[5]), definition: line });
+      else if (column) table.columns.push({ name: column[1], type: column[2], definition: line });
+    }
+    tables.push(table);
+  }
+  return tables;
+}
+
+async function currentSchema(conn) {
+  const [columns] = await conn.query(
+    'SELECT TABLE_NAME AS tbl, COLUMN_NAME AS col, COLUMN_TYPE AS type FROM information_schema.COLUMNS WHERE TABLE_SCHEMA = DATABASE()'
+  );
+  const [indexes] = await conn.query(
+    'SELECT DISTINCT TABLE_NAME AS tbl, INDEX_NAME AS name FROM information_schema.STATISTICS WHERE TABLE_SCHEMA = DATABASE()'
+  );
+  const [constraints] = await conn.query(
+    "SELECT TABLE_NAME AS tbl, CONSTRAINT_NAME AS name FROM information_schema.TABLE_CONSTRAINTS WHERE TABLE_SCHEMA = DATABASE() AND CONSTRAINT_TYPE = 'FOREIGN KEY'"
+  );
+
+  const tables = new Map();
+  const tableOf = name => tables.get(name) ?? tables.set(name, { columns: new Map(), indexes: new Set(), foreignKeys: new Set() }).get(name);
+  for (const c of columns) tableOf(c.tbl).columns.set(c.col, c.type);
+  for (const i of indexes) tableOf(i.tbl).indexes.add(i.name);
+  for (const f of constraints) tableOf(f.tbl).foreignKeys.add(f.name);
+  return tables;
+}
+
+// Acara untuk data lama: --event / DEFAULT_EVENT_ID, satu-satunya acara, atau acara baru
+async function resolveLegacyEvent(conn) {
+  const requested = options.event ?? process.env.DEFAULT_EVENT_ID;
+  if (requested) {
+    const [[event]] = await conn.query('SELECT id FROM events WHERE id = ?', [requested]);
+    if (!event) throw new Error(`Acara ${requested} tidak ditemukan`);
+    return event.id;
+  }
+
+  const [events] = await conn.query('SELECT id FROM events ORDER BY id LIMIT 2');
+  if (events.length > 1) throw new Error('Ada lebih dari satu acara; pilih dengan --event=ID');
+  if (events.length) return events[0].id;
+
+  const name = typeof options['event-name'] === 'string' ? options['event-name'] : 'Acara Utama';
+  const [result] = await conn.query(
+    'INSERT INTO events (name, slug, welcome_token) VALUES (?, ?, ?)',
+    [name, slugify(name, { lower: true, strict: true }) || 'acara', crypto.randomBytes(24).toString('base64url')]
+  );
+  console.log(`🎉 Acara "${name}" dibuat (id ${result.insertId})`);
+  return result.insertId;
+}
+
+// Samakan DB yang sudah berisi tabel dengan skema migrasi awal.
+// → true bila ada perubahan (DB lama), false bila DB sudah sesuai / masih kosong
+async function upgradeLegacySchema(conn, migration) {
+  const target = parseCreateTables(await fs.readFile(migration.up, 'utf8'));
+  const schema = await currentSchema(conn);
+  if (!target.some(t => schema.has(t.name))) return false;
+
+  const run = async (sqlText, params) => {
+    console.log(`🔧 ${sqlText.split('\n')[0]}`);
+    await conn.query(sqlText, params);
+  };
+  let changed = false;
+  const backfill = [];
+
+  // 1. Tabel yang belum ada
+  for (const table of target.filter(t => !schema.has(t.name))) {
+    await run(table.sql);
+    changed = true;
+  }
+
+  // 2. Kolom yang belum ada; ENUM lama diganti definisi baru (mis. role tanpa 'client')
+  for (const table of target.filter(t => schema.has(t.name))) {
+    const existing = schema.get(table.name).columns;
+    const changes = [];
+    for (const column of table.columns) {
+      const type = existing.get(column.name);
+      if (type == null) {
+        changes.push(`ADD COLUMN ${column.definition}`);
+        if (column.name === 'event_id' && /NOT NULL/.test(column.type)) backfill.push(table.name);
+      } else if (/^ENUM\(/i.test(column.type) && !column.type.toLowerCase().startsWith(type.toLowerCase())) {
+        changes.push(`MODIFY COLUMN ${column.definition}`);
+      }
+    }
+    if (changes.length) {
+      await run(`ALTER TABLE ${table.name}\n  ${changes.join(',\n  ')}`);
+      changed = true;
+    }
+  }
+
+  // 3. Data lama masuk ke acara default
+  if (backfill.length) {
+    const eventId = await resolveLegacyEvent(conn);
+    for (const name of backfill) {
+      await run(`UPDATE ${name} SET event_id = ? WHERE event_id = 0`, [eventId]);
+    }
+    console.log(`ℹ️  Data lama masuk ke acara ${eventId}. Set DEFAULT_EVENT_ID=${eventId} bila frontend lama belum mengirim X-Event-Id.`);
+  }
+
+  // 4. Index & foreign key yang kurang. Referensi yang sudah yatim (mis. kategori
+  //    yang dihapus sebelum ada foreign key) dibereskan sesuai ON DELETE-nya:
+  //    SET NULL → dikosongkan, CASCADE → barisnya dihapus.
+  for (const table of target) {
+    const existing = schema.get(table.name);
+    if (!existing) continue;
+    const changes = [];
+    for (const index of table.indexes) {
+      if (!existing.indexes.has(index.name)) changes.push(`ADD ${index.definition}`);
+    }
+    for (const fk of table.foreignKeys) {
+      if (existing.foreignKeys.has(fk.name)) continue;
+      const orphan = `${table.name} c LEFT JOIN ${fk.parent} p ON p.${fk.parentColumn} = c.${fk.column}`;
+      const isOrphan = `c.${fk.column} IS NOT NULL AND p.${fk.parentColumn} IS NULL`;
+      await run(fk.setNull
+        ? `UPDATE ${orphan} SET c.${fk.column} = NULL WHERE ${isOrphan}`
+        : `DELETE c FROM ${orphan} WHERE ${isOrphan}`);
+      changes.push(`ADD ${fk.definition}`);
+    }
+    if (changes.length) {
+      await run(`ALTER TABLE ${table.name}\n  ${changes.join(',\n  ')}`);
+      changed = true;
+    }
+  }
+
+  if (changed) console.log(`✅ Skema lama disamakan dengan ${label(migration)}.`);
+  return changed;
+}
+
+function status(conn, migrations, applied) {
+  for (const m of migrations) {
+    const at = applied.get(m.version);
+    console.log(`${at ? '✅' : '⏳'} ${label(m)}${at ? `  (${new Date(at).toISOString()})` : ''}`);
+  }
+}
+
+const COMMANDS = { up, down, baseline, status };
+
+let conn;
+try {
+  if (!COMMANDS[command]) throw new Error(`Perintah tidak dikenal: ${command}. Gunakan: ${Object.keys(COMMANDS).join(', ')}`);
+
+  const migrations = await loadMigrations();
+  conn = await connect();
+  const [rows] = await conn.query('SELECT version, applied_at FROM schema_migrations');
+  const applied = new Map(rows.map(r => [r.version, r.applied_at]));
+
+  await COMMANDS[command](conn, migrations, applied);
+} catch (err) {
+  console.error('❌ Migrasi gagal:', err.message);
+  process.exitCode = 1;
+} finally {
+  await conn?.end();
+}
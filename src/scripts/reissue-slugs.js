@@ -0,0 +1,59 @@
+// scripts/reissue-slugs.js
+// -----------------------------------------------------------------------------
+// Ganti slug undangan yang mudah ditebak (6 digit) dengan slug baru sesuai
+// SLUG_STRATEGY. Slug lama disimpan di slug_aliases, jadi link & QR lama tetap
+// diarahkan ke undangan yang sama.
+//
+// Jalankan: npm run migrate:slugs -- [--event=<id>] [--all] [--strategy=random|name] [--dry-run]
+//   --all       → ganti semua slug, bukan hanya yang 6 digit
+//   --dry-run   → hanya hitung, tidak ada yang diubah
+// -----------------------------------------------------------------------------
+import db, { withTransaction } from '../config/db.js';
+import { buildQrUrl } from '../utils/qr.js';
+import { SLUG_STRATEGY, generateSlugs, isLegacySlug } from '../services/slugService.js';
+
+const BATCH_SIZE = 500;
+
+const args = Object.fromEntries(
+  process.argv.slice(2).map(arg => {
+    const [key, value = true] = arg.replace(/^--/, '').split('=');
+    return [key, value];
+  })
+);
+const strategy = args.strategy ?? SLUG_STRATEGY;
+
+try {
+  const [rows] = await db.query(
+    `SELECT id, name, slug FROM invitations ${args.event ? 'WHERE event_id = ?' : ''} ORDER BY id`,
+    args.event ? [args.event] : []
+  );
+  const targets = args.all ? rows : rows.filter(r => isLegacySlug(r.slug));
+
+  console.log(`🔎 ${targets.length} dari ${rows.length} undangan akan diberi slug baru (strategi ${strategy}).`);
+
+  if (!args['dry-run']) {
+    for (let start = 0; start < targets.length; start += BATCH_SIZE) {
+      const batch = targets.slice(start, start + BATCH_SIZE);
+
+      await withTransaction(async conn => {
+        const slugs = await generateSlugs(batch, { conn, strategy });
+        const aliases = batch.filter(inv => inv.slug).map(inv => [inv.slug, inv.id]);
+
+        if (aliases.length) {
+          await conn.query('INSERT IGNORE INTO slug_aliases (old_slug, invitation_id) VALUES ?', [aliases]);
+        }
+        for (const [i, inv] of batch.entries()) {
+          await conn.query('UPDATE invitations SET slug = ?, qrcode = ? WHERE id = ?', [slugs[i], buildQrUrl(slugs[i]), inv.id]);
+        }
+      });
+
+      console.log(`   … ${Math.min(start + BATCH_SIZE, targets.length)}/${targets.length}`);
+    }
+    console.log(`✅ ${targets.length} slug diganti; slug lama tetap bisa dibuka lewat slug_aliases.`);
+  }
+} catch (err) {
+  console.error('❌ Gagal mengganti slug:', err);
+  process.exitCode = 1;
+} finally {
+  await db.end();
+}
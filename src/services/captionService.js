@@ -0,0 +1,101 @@
+// services/captionService.js
+// -----------------------------------------------------------------------------
+// Pemilihan caption aktif per kategori + bahasa, dan riwayat versi caption.
+//
+// Aturan:
+//   - Maksimal satu caption aktif per (event, kategori, bahasa).
+//   - Tamu menerima caption di invitations.language; bila kategori belum punya
+//     caption aktif di bahasa itu, dipakai caption bahasa default.
+//   - Setiap perubahan teks disimpan sebagai versi baru di caption_versions
+//     sehingga teks lama bisa dipulihkan.
+//
+// Catatan Skema DB:
+//   caption.language     VARCHAR(8) NOT NULL DEFAULT 'id'
+//   caption.archived_at  DATETIME NULL   (diarsipkan → tidak aktif & disembunyikan)
+//   caption.updated_at   TIMESTAMP NULL ON UPDATE CURRENT_TIMESTAMP
+//   caption_versions(id PK AI, caption_id INT NOT NULL FK -> caption.id ON DELETE CASCADE,
+//                    version INT NOT NULL, caption_text TEXT NOT NULL, created_by INT NULL,
+//                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+//                    UNIQUE (caption_id, version))
+//   invitations.language VARCHAR(8) NULL (NULL → bahasa default)
+// -----------------------------------------------------------------------------
+import db from '../config/db.js';
+import { DEFAULT_CAPTION_LANGUAGE } from '../utils/captionTemplate.js';
+
+// Subquery caption aktif untuk alias invitations `i` (bahasa tamu, lalu bahasa default)
+const activeCaptionFor = column => `(
+      SELECT cap.${column}
+      FROM caption cap
+      WHERE cap.category_id = i.category AND cap.event_id = i.event_id AND cap.is_active = 1
+        AND cap.language IN (COALESCE(i.language, '${DEFAULT_CAPTION_LANGUAGE}'), '${DEFAULT_CAPTION_LANGUAGE}')
+      ORDER BY cap.language = COALESCE(i.language, '${DEFAULT_CAPTION_LANGUAGE}') DESC, cap.id DESC
+      LIMIT 1
+    )`;
+
+export const ACTIVE_CAPTION_TEXT_SQL = activeCaptionFor('caption_text');
+export const ACTIVE_CAPTION_LANGUAGE_SQL = activeCaptionFor('language');
+
+export async function findActiveCaption(categoryId, eventId, language = DEFAULT_CAPTION_LANGUAGE, conn = db) {
+  const [rows] = await conn.query(
+    `SELECT id, category_id, language, caption_text
+     FROM caption
+     WHERE category_id = ? AND event_id = ? AND is_active = 1 AND language IN (?, ?)
+     ORDER BY language = ? DESC, id DESC
+     LIMIT 1`,
+    [categoryId, eventId, language ?? DEFAULT_CAPTION_LANGUAGE, DEFAULT_CAPTION_LANGUAGE, language ?? DEFAULT_CAPTION_LANGUAGE]
+  );
+  return rows[0] ?? null;
+}
+
+// Semua caption aktif satu acara → pick(categoryId, language) untuk proses massal
+export async function loadActiveCaptions(eventId) {
+  const [rows] = await db.query(
+    'SELECT id, category_id, language, caption_text FROM caption WHERE event_id = ? AND is_active = 1 ORDER BY id DESC',
+    [eventId]
+  );
+  const byKey = new Map();
+  for (const row of rows) {
+    const key = `${row.category_id}:${row.language}`;
+    if (!byKey.has(key)) byKey.set(key, row);
+  }
+  return {
+    pick: (categoryId, language) =>
+      byKey.get(`${categoryId}:${language ?? DEFAULT_CAPTION_LANGUAGE}`) ??
+      byKey.get(`${categoryId}:${DEFAULT_CAPTION_LANGUAGE}`) ??
+      null,
+  };
+}
+
+// Nonaktifkan caption lain di kategori + bahasa yang sama, lalu aktifkan captionId
+export async function activateCaption(conn, caption) {
+  await conn.query(
+    'UPDATE caption SET is_active = 0 WHERE event_id = ? AND category_id = ? AND language = ? AND id <> ?',
+    [caption.event_id, caption.category_id, caption.language, caption.id]
+  );
+  await conn.query('UPDATE caption SET is_active = 1, archived_at = NULL WHERE id = ?', [caption.id]);
+}
+
+// Simpan teks sebagai versi berikutnya. Caption lama (sebelum ada riwayat)
+// dicatat dulu teks awalnya sebagai versi 1.
+export async function recordCaptionVersion(conn, caption, text, userId = null) {
+  const [[{ latest }]] = await conn.query(
+    'SELECT COALESCE(MAX(version), 0) AS latest FROM caption_versions WHERE caption_id = ?',
+    [caption.id]
+  );
+
+  let version = Number(latest);
+  if (version === 0 && caption.caption_text != null && caption.caption_text !== text) {
+    version = 1;
+    await conn.query(
+      'INSERT INTO caption_versions (caption_id, version, caption_text, created_by) VALUES (?, ?, ?, NULL)',
+      [caption.id, version, caption.caption_text]
+    );
+  }
+
+  version++;
+  await conn.query(
+    'INSERT INTO caption_versions (caption_id, version, caption_text, created_by) VALUES (?, ?, ?, ?)',
+    [caption.id, version, text, userId]
+  );
+  return version;
+}
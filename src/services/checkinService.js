@@ -0,0 +1,265 @@
+// services/checkinService.js
+// -----------------------------------------------------------------------------
+// Check-in tamu: resolve kode hasil scan, log riwayat `checkins`, roster untuk
+// perangkat scan, dan sinkronisasi scan offline.
+//
+// Catatan Skema DB:
+//   checkins(id PK AI, event_id FK, invitation_id FK,
+//            action ENUM('checkin','undo') DEFAULT 'checkin',
+//            checked_in_qty INT, prev_real_qty INT NULL, is_repeat TINYINT(1) DEFAULT 0,
+//            device_note VARCHAR(255) NULL, device_id VARCHAR(64) NULL, scan_id VARCHAR(64) NULL,
+//            scanned_at DATETIME NULL, source ENUM('online','offline') DEFAULT 'online',
+//            gate_id FK NULL, scan_device_id FK NULL,
+//            operator_id INT NULL, operator_username VARCHAR(100) NULL,
+//            note VARCHAR(255) NULL, checked_in_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+//            UNIQUE (device_id, scan_id))
+//   → setiap scan / pembatalan dicatat sebagai baris baru (tidak pernah di-overwrite);
+//     checked_in_at = waktu diterima server, scanned_at = waktu asli di perangkat;
+//     gate_id / scan_device_id → lihat services/gateService.js.
+// -----------------------------------------------------------------------------
+import db, { withTransaction } from '../config/db.js';
+import { QR_LEGACY_MODE, isSignedQrCode, verifyQrToken } from '../utils/qrToken.js';
+import { resolveSlugAlias } from './slugService.js';
+import { notifyChange } from './summaryService.js';
+import { announceArrival } from './welcomeFeed.js';
+
+export const MAX_SYNC_SCANS = 500;
+export const SYNC_STATUSES = ['checked_in', 'repeat', 'superseded', 'duplicate', 'rejected'];
+
+// Scan offline lebih lama dari ini tidak ditampilkan lagi di layar penyambutan
+const WELCOME_MAX_AGE_MS = 10 * 60 * 1000;
+// Toleransi jam perangkat yang lebih cepat dari server
+const CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+// -----------------------------------------------------------------------------
+// Resolve kode hasil scan (token QR bertanda tangan / slug lama)
+// → { inv, legacy } jika valid, atau { status, error } jika ditolak
+// -----------------------------------------------------------------------------
+export async function findInvitationByCheckinCode(code, eventId, conn = db) {
+  if (isSignedQrCode(code)) {
+    const token = verifyQrToken(code);
+    if (!token) return { status: 403, error: 'QR tidak valid atau sudah dimodifikasi.' };
+    if (token.eventId !== eventId) return { status: 403, error: 'QR bukan untuk acara ini.' };
+
+    const [rows] = await conn.query('SELECT * FROM invitations WHERE id = ? AND event_id = ? LIMIT 1', [token.id, eventId]);
+    if (!rows.length) return { status: 404, error: 'Undangan tidak ditemukan.' };
+    if (Number(rows[0].qr_version) !== token.version) return { status: 403, error: 'QR sudah dicabut. Gunakan QR terbaru.' };
+
+    return { inv: rows[0], legacy: false };
+  }
+
+  if (QR_LEGACY_MODE === 'deny') return { status: 403, error: 'QR lama (tanpa tanda tangan) tidak lagi diterima.' };
+
+  let [rows] = await conn.query('SELECT * FROM invitations WHERE slug = ? AND event_id = ? LIMIT 1', [code, eventId]);
+
+  // QR cetak lama bisa berisi slug yang sudah diganti → ikuti slug_aliases
+  const current = rows.length ? null : await resolveSlugAlias(code, conn);
+  if (current) [rows] = await conn.query('SELECT * FROM invitations WHERE slug = ? AND event_id = ? LIMIT 1', [current, eventId]);
+  if (!rows.length) return { status: 404, error: 'Undangan tidak ditemukan.' };
+  if (QR_LEGACY_MODE === 'warn') console.warn(`⚠️ Check-in memakai QR lama (slug ${code})`);
+
+  return { inv: rows[0], legacy: true };
+}
+
+// checked_in_qty dari body / scan offline → { qty } (null = tidak dikirim, pakai
+// real_qty / qty undangan) atau { error } bila bukan bilangan bulat ≥ 0
+export function parseCheckinQty(value) {
+  if (value == null || value === '') return { qty: null };
+  // Number([]) = 0, Number(true) = 1 → hanya angka / teks angka yang diterima
+  const qty = ['number', 'string'].includes(typeof value) && String(value).trim() ? Number(value) : NaN;
+  if (!Number.isInteger(qty) || qty < 0) return { error: 'checked_in_qty harus bilangan bulat ≥ 0.' };
+  return { qty };
+}
+
+// Jumlah tamu yang dicatat saat check-in: input petugas, lalu hasil RSVP /
+// check-in sebelumnya (real_qty), lalu jumlah di undangan (qty)
+export const checkinQty = (inv, requestedQty = null) =>
+  requestedQty ?? (inv.real_qty != null ? inv.real_qty : inv.qty);
+
+// real_qty setelah undo = nilai sebelum check-in pertama (prev_real_qty di log
+// scan pertama); tanpa log, real_qty dibiarkan
+export const restoredRealQty = (inv, firstScan) => (firstScan ? firstScan.prev_real_qty : inv.real_qty);
+
+// Baca ulang undangan dengan kunci baris (di dalam withTransaction): scan
+// bersamaan untuk undangan yang sama menunggu giliran, sehingga hanya satu
+// yang menjadi check-in pertama dan sisanya tercatat sebagai scan ulang.
+export async function lockInvitation(invitationId, conn) {
+  const [rows] = await conn.query('SELECT * FROM invitations WHERE id = ? FOR UPDATE', [invitationId]);
+  return rows[0] ?? null;
+}
+
+export async function logCheckinEvent({
+  inv, action, qty, prevRealQty = null, isRepeat = false, deviceNote = null, note = null, user,
+  deviceId = null, scanId = null, scannedAt = null, source = 'online', gateId = null, scanDeviceId = null,
+}, conn = db) {
+  await conn.query(
+    `INSERT INTO checkins
+       (event_id, invitation_id, action, checked_in_qty, prev_real_qty, is_repeat, device_note,
+        device_id, scan_id, scanned_at, source, gate_id, scan_device_id, operator_id, operator_username, note)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      inv.event_id, inv.id, action, qty ?? 0, prevRealQty, isRepeat ? 1 : 0, deviceNote,
+      deviceId, scanId, scannedAt, source, gateId, scanDeviceId, user?.id ?? null, user?.username ?? null, note,
+    ]
+  );
+}
+
+export async function countScans(invitationId, conn = db) {
+  const [[row]] = await conn.query(
+    "SELECT COUNT(*) AS scan_count FROM checkins WHERE invitation_id = ? AND action = 'checkin'",
+    [invitationId]
+  );
+  return Number(row.scan_count) || 0;
+}
+
+// -----------------------------------------------------------------------------
+// Roster untuk perangkat scan (dipakai saat Wi-Fi putus)
+// Baris berupa array sesuai `fields` supaya ringkas; tanpa no HP.
+// Perangkat mencocokkan token QR RR1.<id>.<event>.<versi> (base36) ke `id` &
+// `qr_version`, atau QR lama ke `slug`. Tanda tangan tetap diperiksa saat sync.
+// -----------------------------------------------------------------------------
+const ROSTER_FIELDS = ['id', 'slug', 'name', 'category', 'qty', 'real_qty', 'qr_version', 'checked_in', 'checked_in_at', 'table_id'];
+
+export async function buildRoster(event) {
+  const [guests] = await db.query(
+    `SELECT ${ROSTER_FIELDS.join(', ')} FROM invitations WHERE event_id = ? ORDER BY name, id`,
+    [event.id]
+  );
+  const [categories] = await db.query('SELECT id, name FROM categories WHERE event_id = ? ORDER BY name', [event.id]);
+  const [tables] = await db.query('SELECT id, name, area FROM seating_tables WHERE event_id = ? ORDER BY sort_order, name', [event.id]);
+
+  return {
+    event: { id: event.id, name: event.name, slug: event.slug, event_date: event.event_date },
+    generated_at: new Date().toISOString(),
+    categories: Object.fromEntries(categories.map(c => [c.id, c.name])),
+    tables: Object.fromEntries(tables.map(t => [t.id, t.area ? `${t.name} (${t.area})` : t.name])),
+    fields: ROSTER_FIELDS,
+    guests: guests.map(g => ROSTER_FIELDS.map(f => (f === 'checked_in' ? Number(g[f]) : g[f] ?? null))),
+  };
+}
+
+// -----------------------------------------------------------------------------
+// Sinkronisasi scan offline
+//
+// scans: [{ scan_id, code, scanned_at, checked_in_qty?, device_note? }]
+// Aturan (scan diproses urut scanned_at):
+//   duplicate  → (device_id, scan_id) sudah pernah disinkron, tidak ada perubahan
+//   rejected   → QR tidak valid / dicabut / bukan acara ini / data scan rusak
+//   checked_in → tamu belum check-in → check-in dengan waktu asli scan
+//   repeat     → tamu sudah check-in (gerbang lain / scan ulang). Bila scan ini
+//                ternyata lebih awal, checked_in_at dimundurkan ke waktu scan ini
+//                (gerbang yang melihat tamu pertama kali menang) → conflict: true
+//   superseded → check-in tamu dibatalkan (undo) SETELAH scan ini terjadi;
+//                scan hanya dicatat, status tamu tidak diubah
+// -----------------------------------------------------------------------------
+const toScanDate = value => {
+  const date = new Date(value);
+  if (value == null || value === '' || Number.isNaN(date.getTime())) return null;
+  return date.getTime() > Date.now() + CLOCK_SKEW_MS ? new Date() : date;
+};
+
+const isDuplicateKey = err => err?.code === 'ER_DUP_ENTRY';
+
+async function applyOfflineScan(event, deviceId, scan, user, gate) {
+  const base = { scan_id: scan.scan_id };
+
+  const scannedAt = toScanDate(scan.scanned_at);
+  if (!scannedAt) return { ...base, status: 'rejected', error: 'scanned_at tidak valid.' };
+  if (typeof scan.code !== 'string' || !scan.code) return { ...base, status: 'rejected', error: 'code wajib diisi.' };
+
+  const [seen] = await db.query('SELECT id FROM checkins WHERE device_id = ? AND scan_id = ? LIMIT 1', [deviceId, scan.scan_id]);
+  if (seen.length) return { ...base, status: 'duplicate' };
+
+  const found = await findInvitationByCheckinCode(scan.code, event.id);
+  if (found.error) return { ...base, status: 'rejected', error: found.error };
+  const { inv, legacy } = found;
+
+  const { qty: requestedQty, error: qtyError } = parseCheckinQty(scan.checked_in_qty);
+  if (qtyError) return { ...base, status: 'rejected', error: qtyError };
+
+  try {
+    return await withTransaction(async conn => {
+      const current = await lockInvitation(inv.id, conn);
+      const qty = checkinQty(current, requestedQty);
+      const logEntry = {
+        inv: current, action: 'checkin', qty, deviceNote: scan.device_note ?? null, user,
+        deviceId, scanId: scan.scan_id, scannedAt, source: 'offline', ...gate,
+      };
+      const result = { ...base, slug: current.slug, name: current.name, qty_recorded: qty, legacy_qr: legacy };
+
+      if (!current.checked_in) {
+        const [[lastUndo]] = await conn.query(
+          "SELECT MAX(checked_in_at) AS at FROM checkins WHERE invitation_id = ? AND action = 'undo'",
+          [inv.id]
+        );
+        if (lastUndo?.at && new Date(lastUndo.at) > scannedAt) {
+          await logCheckinEvent({ ...logEntry, isRepeat: true, note: 'Dibatalkan (undo) setelah scan offline' }, conn);
+          return { ...result, status: 'superseded' };
+        }
+
+        await logCheckinEvent({ ...logEntry, prevRealQty: current.real_qty }, conn);
+        await conn.query(
+          'UPDATE invitations SET checked_in = 1, checked_in_at = ?, real_qty = COALESCE(?, real_qty, qty) WHERE id = ?',
+          [scannedAt, qty, inv.id]
+        );
+        return { ...result, status: 'checked_in', checked_in_at: scannedAt };
+      }
+
+      await logCheckinEvent({ ...logEntry, isRepeat: true }, conn);
+      const earlier = current.checked_in_at && scannedAt < new Date(current.checked_in_at);
+      if (earlier) await conn.query('UPDATE invitations SET checked_in_at = ? WHERE id = ?', [scannedAt, inv.id]);
+
+      return {
+        ...result,
+        status: 'repeat',
+        conflict: Boolean(earlier),
+        checked_in_at: earlier ? scannedAt : current.checked_in_at,
+      };
+    });
+  } catch (err) {
+    // scan yang sama dikirim bersamaan dari dua request
+    if (isDuplicateKey(err)) return { ...base, status: 'duplicate' };
+    throw err;
+  }
+}
+
+// gate: { gateId, scanDeviceId } dari resolveCheckinGate
+// → { results: [...], summary: { checked_in, repeat, ... } }
+export async function syncOfflineScans(event, deviceId, scans, user, gate = {}) {
+  const ordered = scans
+    .map((scan, index) => ({ scan, index, at: new Date(scan?.scanned_at).getTime() || 0 }))
+    .sort((a, b) => a.at - b.at || a.index - b.index);
+
+  const results = new Array(scans.length);
+  for (const { scan, index } of ordered) {
+    results[index] = typeof scan?.scan_id === 'string' && /^[\w.:-]{1,64}$/.test(scan.scan_id)
+      ? await applyOfflineScan(event, deviceId, scan, user, gate)
+      : { scan_id: scan?.scan_id ?? null, status: 'rejected', error: 'scan_id wajib diisi (maks 64 karakter).' };
+  }
+
+  const summary = Object.fromEntries(SYNC_STATUSES.map(s => [s, results.filter(r => r.status === s).length]));
+
+  for (const r of results) {
+    if (!['checked_in', 'repeat'].includes(r.status)) continue;
+    notifyChange(event.id, 'checkin', {
+      action: 'checkin',
+      slug: r.slug,
+      name: r.name,
+      qty_recorded: r.qty_recorded,
+      repeat: r.status === 'repeat',
+      offline: true,
+      device_id: deviceId,
+      gate_id: gate.gateId ?? null,
+      operator: user?.username ?? null,
+    });
+  }
+
+  // Sambut di layar hanya tamu yang baru saja datang
+  const fresh = results.filter(r => r.status === 'checked_in' && Date.now() - new Date(r.checked_in_at).getTime() < WELCOME_MAX_AGE_MS);
+  if (fresh.length) {
+    const [rows] = await db.query('SELECT id, event_id, category FROM invitations WHERE event_id = ? AND slug IN (?)', [event.id, fresh.map(r => r.slug)]);
+    rows.forEach(inv => announceArrival(inv).catch(err => console.error('❌ Gagal mengirim feed welcome:', err)));
+  }
+
+  return { results, summary };
+}
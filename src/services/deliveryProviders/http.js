@@ -0,0 +1,44 @@
+// services/deliveryProviders/http.js
+// -----------------------------------------------------------------------------
+// Provider generik untuk gateway WhatsApp berbasis HTTP.
+//
+//   POST DELIVERY_HTTP_URL
+//   Authorization: Bearer DELIVERY_HTTP_TOKEN (opsional)
+//   body: { to, text }
+//
+// ID pesan diambil dari response.data.id / message_id bila ada.
+// Respons 4xx (kecuali 408/429) dianggap permanen → tidak dicoba ulang.
+// -----------------------------------------------------------------------------
+import axios from 'axios';
+
+const HTTP_URL = process.env.DELIVERY_HTTP_URL;
+const HTTP_TOKEN = process.env.DELIVERY_HTTP_TOKEN;
+const HTTP_TIMEOUT_MS = Number(process.env.DELIVERY_HTTP_TIMEOUT_MS ?? 15000);
+
+const isPermanent = status => status >= 400 && status < 500 && ![408, 429].includes(status);
+
+export default {
+  name: 'http',
+
+  async send({ to, text }) {
+    if (!HTTP_URL) {
+      const err = new Error('DELIVERY_HTTP_URL belum diatur');
+      err.retryable = false;
+      throw err;
+    }
+
+    try {
+      const { data } = await axios.post(HTTP_URL, { to, text }, {
+        timeout: HTTP_TIMEOUT_MS,
+        headers: HTTP_TOKEN ? { Authorization: `Bearer ${HTTP_TOKEN}` } : {},
+      });
+      return { providerMessageId: String(data?.id ?? data?.message_id ?? '') || null, response: data };
+    } catch (error) {
+      const status = error.response?.status;
+      const err = new Error(status ? `Gateway membalas HTTP ${status}` : `Gateway tidak dapat dihubungi: ${error.message}`);
+      err.retryable = !isPermanent(status);
+      err.response = error.response?.data;
+      throw err;
+    }
+  },
+};
@@ -0,0 +1,36 @@
+// services/deliveryProviders/index.js
+// -----------------------------------------------------------------------------
+// Registry provider pengiriman pesan (WhatsApp).
+//
+// Kontrak setiap provider:
+//   name: string
+//   simulated?: true → pesan tidak benar-benar terkirim (status_pengiriman
+//                      undangan tidak diubah)
+//   send({ to, text, invitation }) → Promise<{ providerMessageId, response? }>
+//     - to   : nomor tujuan format internasional tanpa "+" (mis. 6281234567890)
+//     - text : isi pesan yang sudah dirender
+//     - lempar Error bila gagal (error.retryable === false → tidak dicoba ulang)
+//
+// Provider aktif dipilih lewat DELIVERY_PROVIDER dan wajib diisi (juga untuk
+// mock), supaya server produksi yang lupa diatur tidak diam-diam "mengirim" ke mock.
+// Provider baru cukup ditambahkan ke objek PROVIDERS di bawah.
+// -----------------------------------------------------------------------------
+import mockProvider from './mock.js';
+import httpProvider from './http.js';
+
+const PROVIDERS = {
+  mock: mockProvider,
+  http: httpProvider,
+};
+
+export const DELIVERY_PROVIDERS = Object.keys(PROVIDERS);
+
+// DELIVERY_PROVIDER diisi dengan nama provider yang dikenal
+export const hasDeliveryProvider = () => DELIVERY_PROVIDERS.includes(process.env.DELIVERY_PROVIDER);
+
+export function getProvider(name = process.env.DELIVERY_PROVIDER) {
+  if (!name) throw new Error(`DELIVERY_PROVIDER belum diatur. Gunakan: ${DELIVERY_PROVIDERS.join(', ')}`);
+  const provider = PROVIDERS[name];
+  if (!provider) throw new Error(`Provider pengiriman tidak dikenal: ${name}. Gunakan: ${DELIVERY_PROVIDERS.join(', ')}`);
+  return provider;
+}
@@ -0,0 +1,32 @@
+// services/deliveryProviders/mock.js
+// -----------------------------------------------------------------------------
+// Provider lokal untuk development & uji coba: pesan tidak benar-benar dikirim,
+// hanya ditambahkan (satu JSON per baris) ke DELIVERY_MOCK_FILE.
+//
+// DELIVERY_MOCK_FAIL_RATE (0..1) mensimulasikan kegagalan acak untuk menguji
+// retry & log percobaan.
+// -----------------------------------------------------------------------------
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+
+const MOCK_FILE = process.env.DELIVERY_MOCK_FILE || path.join(os.tmpdir(), 'rayarayu-delivery-mock.jsonl');
+const FAIL_RATE = Number(process.env.DELIVERY_MOCK_FAIL_RATE ?? 0);
+
+export default {
+  name: 'mock',
+  simulated: true,
+
+  async send({ to, text, invitation }) {
+    if (FAIL_RATE > 0 && Math.random() < FAIL_RATE) {
+      throw new Error('Simulasi gagal kirim (DELIVERY_MOCK_FAIL_RATE)');
+    }
+
+    const providerMessageId = `mock-${crypto.randomUUID()}`;
+    const entry = { id: providerMessageId, to, text, slug: invitation?.slug ?? null, at: new Date().toISOString() };
+    await fs.appendFile(MOCK_FILE, `${JSON.stringify(entry)}\n`, 'utf8');
+
+    return { providerMessageId, response: { file: MOCK_FILE } };
+  },
+};
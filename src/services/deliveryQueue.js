@@ -0,0 +1,237 @@
+// services/deliveryQueue.js
+// -----------------------------------------------------------------------------
+// Antrian pengiriman undangan via WhatsApp.
+//
+// Alur:
+//   1. enqueueDeliveries() → satu job per undangan, pesan dirender dari caption
+//      aktif kategori tamu (placeholder diisi, lihat utils/captionTemplate.js).
+//      Link undangan ditambahkan di akhir bila caption tidak memakai {{link}}.
+//   2. Worker (startDeliveryWorker) mengambil job `queued` yang sudah jatuh
+//      tempo, satu per satu dengan jeda sesuai DELIVERY_RATE_PER_MINUTE.
+//   3. Setiap percobaan dicatat di delivery_attempts. Berhasil → job `sent` dan
+//      invitations.status_pengiriman = 'terkirim' (kecuali provider simulasi
+//      seperti mock). Gagal → dicoba ulang dengan backoff eksponensial sampai
+//      max_attempts, lalu `failed`.
+//
+// DELIVERY_PROVIDER wajib diatur; tanpa itu (atau bila tidak dikenal) worker
+// tidak dinyalakan.
+//
+// Catatan Skema DB:
+//   delivery_jobs(id PK AI, event_id INT NOT NULL FK -> events.id ON DELETE CASCADE,
+//                 invitation_id INT NOT NULL FK -> invitations.id ON DELETE CASCADE,
+//                 phone VARCHAR(30), message TEXT,
+//                 status ENUM('queued','sending','sent','failed','cancelled') DEFAULT 'queued',
+//                 attempts INT NOT NULL DEFAULT 0, max_attempts INT NOT NULL DEFAULT 3,
+//                 next_attempt_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+//                 last_error VARCHAR(500) NULL, provider VARCHAR(30),
+//                 provider_message_id VARCHAR(191) NULL, created_by INT NULL,
+//                 created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP, sent_at DATETIME NULL,
+//                 INDEX (status, next_attempt_at), INDEX (event_id, invitation_id))
+//   delivery_attempts(id PK AI, job_id INT NOT NULL FK -> delivery_jobs.id ON DELETE CASCADE,
+//                     attempt_no INT, provider VARCHAR(30),
+//                     status ENUM('success','error'), error VARCHAR(500) NULL,
+//                     response TEXT NULL, created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP)
+// -----------------------------------------------------------------------------
+import db from '../config/db.js';
+import { publish } from './realtime.js';
+import { DELIVERY_PROVIDERS, getProvider, hasDeliveryProvider } from './deliveryProviders/index.js';
+import { buildCaptionContext, hasPlaceholder, renderCaption } from '../utils/captionTemplate.js';
+import { loadActiveCaptions } from './captionService.js';
+
+export const DELIVERY_STATUSES = ['queued', 'sending', 'sent', 'failed', 'cancelled'];
+const ACTIVE_STATUSES = ['queued', 'sending'];
+
+const MAX_ATTEMPTS = Number(process.env.DELIVERY_MAX_ATTEMPTS ?? 3);
+const RATE_PER_MINUTE = Number(process.env.DELIVERY_RATE_PER_MINUTE ?? 20);
+const POLL_MS = Number(process.env.DELIVERY_POLL_MS ?? 1000);
+const RETRY_BASE_SECONDS = Number(process.env.DELIVERY_RETRY_BASE_SECONDS ?? 30);
+
+const SEND_GAP_MS = Math.ceil(60 * 1000 / Math.max(RATE_PER_MINUTE, 1));
+
+const truncate = (v, max) => (v == null ? null : String(v).slice(0, max));
+
+// "0812-3456-7890" / "+62 812..." / "812..." → "6281234567890"; null bila tidak valid
+export function normalizePhone(phone) {
+  let digits = String(phone ?? '').replace(/\D/g, '');
+  if (digits.startsWith('0')) digits = `62${digits.slice(1)}`;
+  else if (digits.startsWith('8')) digits = `62${digits}`;
+  return digits.length >= 10 && digits.length <= 15 ? digits : null;
+}
+
+// inv: row invitations (+ category_name); caption: caption aktif kategori + bahasa tamu (boleh null)
+export function buildDeliveryMessage(inv, caption, event) {
+  const context = buildCaptionContext(inv, event, caption?.language);
+  const template = caption?.caption_text?.trim() || 'Kepada Yth. {{nama}}';
+  const text = renderCaption(template, context);
+  return hasPlaceholder(template, 'link') ? text : `${text}\n\n${context.link}`;
+}
+
+// event: req.event; invitations: row invitations (id, from, name, slug, phone, qty,
+// category, language, category_name) milik acara tsb
+// → { queued: [{ id, invitation_id, slug }], skipped: [{ invitation_id, slug, reason }] }
+export async function enqueueDeliveries(event, invitations, { createdBy = null } = {}) {
+  const eventId = event.id;
+  const queued = [];
+  const skipped = [];
+  if (!invitations.length) return { queued, skipped };
+
+  const [active] = await db.query(
+    'SELECT invitation_id FROM delivery_jobs WHERE event_id = ? AND status IN (?) AND invitation_id IN (?)',
+    [eventId, ACTIVE_STATUSES, invitations.map(i => i.id)]
+  );
+  const hasActiveJob = new Set(active.map(r => r.invitation_id));
+  const captions = await loadActiveCaptions(eventId);
+  const provider = getProvider().name;
+
+  for (const inv of invitations) {
+    const phone = normalizePhone(inv.phone);
+    if (!phone) {
+      skipped.push({ invitation_id: inv.id, slug: inv.slug, reason: 'Nomor HP kosong atau tidak valid.' });
+      continue;
+    }
+    if (hasActiveJob.has(inv.id)) {
+      skipped.push({ invitation_id: inv.id, slug: inv.slug, reason: 'Masih ada pengiriman yang antre.' });
+      continue;
+    }
+
+    const message = buildDeliveryMessage(inv, captions.pick(inv.category, inv.language), event);
+    const [result] = await db.query(
+      `INSERT INTO delivery_jobs (event_id, invitation_id, phone, message, status, max_attempts, provider, created_by)
+       VALUES (?, ?, ?, ?, 'queued', ?, ?, ?)`,
+      [eventId, inv.id, phone, message, MAX_ATTEMPTS, provider, createdBy]
+    );
+    queued.push({ id: result.insertId, invitation_id: inv.id, slug: inv.slug });
+  }
+
+  if (queued.length) publish(eventId, 'delivery', { status: 'queued', count: queued.length });
+  return { queued, skipped };
+}
+
+// Hanya job gagal/dibatalkan yang bisa dikirim ulang; jatah percobaan ditambah lagi
+export async function retryJob(eventId, jobId) {
+  const [result] = await db.query(
+    `UPDATE delivery_jobs
+     SET status = 'queued', max_attempts = attempts + ?, next_attempt_at = NOW()
+     WHERE id = ? AND event_id = ? AND status IN ('failed', 'cancelled')`,
+    [MAX_ATTEMPTS, jobId, eventId]
+  );
+  return result.affectedRows > 0;
+}
+
+export async function cancelJob(eventId, jobId) {
+  const [result] = await db.query(
+    "UPDATE delivery_jobs SET status = 'cancelled' WHERE id = ? AND event_id = ? AND status = 'queued'",
+    [jobId, eventId]
+  );
+  return result.affectedRows > 0;
+}
+
+// -----------------------------------------------------------------------------
+// Worker
+// -----------------------------------------------------------------------------
+const logAttempt = (job, attemptNo, { status, error = null, response = null }) =>
+  db.query(
+    'INSERT INTO delivery_attempts (job_id, attempt_no, provider, status, error, response) VALUES (?, ?, ?, ?, ?, ?)',
+    [job.id, attemptNo, job.provider, status, truncate(error, 500), response == null ? null : truncate(JSON.stringify(response), 2000)]
+  );
+
+const publishJob = (job, status, extra = {}) =>
+  publish(job.event_id, 'delivery', { id: job.id, invitation_id: job.invitation_id, slug: job.slug, status, ...extra });
+
+async function processJob(job) {
+  // Klaim job (mencegah terkirim dua kali bila ada worker lain)
+  const [claim] = await db.query(
+    "UPDATE delivery_jobs SET status = 'sending', attempts = attempts + 1 WHERE id = ? AND status = 'queued'",
+    [job.id]
+  );
+  if (!claim.affectedRows) return;
+
+  const attemptNo = job.attempts + 1;
+
+  try {
+    const provider = getProvider(job.provider);
+    const { providerMessageId, response } = await provider.send({
+      to: job.phone,
+      text: job.message,
+      invitation: { id: job.invitation_id, slug: job.slug, name: job.name },
+    });
+
+    await db.query(
+      "UPDATE delivery_jobs SET status = 'sent', provider_message_id = ?, last_error = NULL, sent_at = NOW() WHERE id = ?",
+      [providerMessageId ?? null, job.id]
+    );
+    if (!provider.simulated) {
+      await db.query("UPDATE invitations SET status_pengiriman = 'terkirim' WHERE id = ?", [job.invitation_id]);
+    }
+    await logAttempt(job, attemptNo, { status: 'success', response });
+    publishJob(job, 'sent', { attempts: attemptNo });
+  } catch (err) {
+    const giveUp = err.retryable === false || attemptNo >= job.max_attempts;
+    const delaySeconds = RETRY_BASE_SECONDS * 2 ** (attemptNo - 1);
+
+    await db.query(
+      `UPDATE delivery_jobs
+       SET status = ?, last_error = ?, next_attempt_at = DATE_ADD(NOW(), INTERVAL ? SECOND)
+       WHERE id = ?`,
+      [giveUp ? 'failed' : 'queued', truncate(err.message, 500), giveUp ? 0 : delaySeconds, job.id]
+    );
+    await logAttempt(job, attemptNo, { status: 'error', error: err.message, response: err.response });
+    publishJob(job, giveUp ? 'failed' : 'queued', { attempts: attemptNo, error: err.message });
+  }
+}
+
+let timer = null;
+let busy = false;
+let nextSendAt = 0;
+
+async function tick() {
+  if (busy || Date.now() < nextSendAt) return;
+  busy = true;
+  try {
+    const [[job]] = await db.query(`
+      SELECT j.id, j.event_id, j.invitation_id, j.phone, j.message, j.attempts, j.max_attempts, j.provider,
+             i.slug, i.name
+      FROM delivery_jobs j
+      JOIN invitations i ON i.id = j.invitation_id
+      WHERE j.status = 'queued' AND j.next_attempt_at <= NOW()
+      ORDER BY j.next_attempt_at ASC, j.id ASC
+      LIMIT 1
+    `);
+    if (job) {
+      nextSendAt = Date.now() + SEND_GAP_MS;
+      await processJob(job);
+    }
+  } catch (err) {
+    console.error('❌ Worker pengiriman error:', err);
+  } finally {
+    busy = false;
+  }
+}
+
+export async function startDeliveryWorker() {
+  if (timer) return;
+  if (!hasDeliveryProvider()) {
+    console.warn(`⚠️ Worker pengiriman tidak dinyalakan: DELIVERY_PROVIDER belum diatur atau tidak dikenal (${DELIVERY_PROVIDERS.join(' | ')})`);
+    return;
+  }
+  const provider = getProvider();
+
+  // Job yang tertinggal di status 'sending' (server mati saat mengirim) dikembalikan ke antrean.
+  // DB belum siap saat start → worker tetap jalan, tick berikutnya mencoba lagi.
+  try {
+    await db.query("UPDATE delivery_jobs SET status = 'queued' WHERE status = 'sending'");
+  } catch (err) {
+    console.error('❌ Gagal mengembalikan job yang tertinggal ke antrean:', err.message);
+  }
+
+  timer = setInterval(tick, POLL_MS);
+  timer.unref?.();
+  console.log(`📨 Worker pengiriman aktif (provider: ${provider.name}${provider.simulated ? ', simulasi' : ''}, ${RATE_PER_MINUTE} pesan/menit)`);
+}
+
+// Hentikan worker; resolve setelah job yang sedang dikirim selesai (graceful shutdown)
+export async function stopDeliveryWorker() {
+  clearInterval(timer);
+  timer = null;
+  while (busy) await new Promise(resolve => setTimeout(resolve, 100));
+}
@@ -0,0 +1,200 @@
+// services/gateService.js
+// -----------------------------------------------------------------------------
+// Gerbang check-in (akad, resepsi, VIP, ...) dan perangkat scan terdaftar.
+//
+// Setiap perangkat punya token sendiri (header `Authorization: Device <token>`)
+// yang hanya bisa dipakai untuk endpoint check-in acaranya (lihat DEVICE_ROLE di
+// config/roles.js). Check-in dari perangkat otomatis ditandai gerbangnya.
+//
+// Catatan Skema DB:
+//   gates(id PK AI, event_id FK, name VARCHAR(100),
+//         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP, UNIQUE(event_id, name))
+//   scan_devices(id PK AI, event_id FK, gate_id FK NULL, name VARCHAR(100),
+//                token_hash CHAR(64) UNIQUE, last_seen_at DATETIME NULL,
+//                last_ip VARCHAR(45) NULL, revoked_at DATETIME NULL,
+//                created_by INT NULL, created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP)
+//   checkins.gate_id / checkins.scan_device_id → gerbang & perangkat yang mencatat
+//   → hanya hash SHA-256 token perangkat yang disimpan.
+// -----------------------------------------------------------------------------
+import crypto from 'crypto';
+import db from '../config/db.js';
+import { DEVICE_ROLE } from '../config/roles.js';
+
+// Token perangkat di-cache sebentar; pencabutan dari proses ini langsung menghapus cache.
+const DEVICE_CACHE_MS = 30 * 1000;
+const deviceCache = new Map(); // token_hash → { user, expiresAt }
+
+const hashToken = token => crypto.createHash('sha256').update(String(token)).digest('hex');
+const newDeviceToken = () => `rrd_${crypto.randomBytes(32).toString('base64url')}`;
+
+const forgetDevices = match => {
+  for (const [hash, entry] of deviceCache) {
+    if (match(entry.user)) deviceCache.delete(hash);
+  }
+};
+const forgetDevice = deviceId => forgetDevices(user => user.device_ref === deviceId);
+
+// Token perangkat → "user" untuk req.user, atau null bila tidak valid / dicabut
+export async function authenticateDevice(token, ip = null) {
+  const hash = hashToken(token);
+  const cached = deviceCache.get(hash);
+  if (cached && cached.expiresAt > Date.now()) return cached.user;
+
+  const [rows] = await db.query(
+    `SELECT d.id, d.name, d.event_id, d.gate_id, g.name AS gate_name
+       FROM scan_devices d
+       LEFT JOIN gates g ON g.id = d.gate_id
+      WHERE d.token_hash = ? AND d.revoked_at IS NULL
+      LIMIT 1`,
+    [hash]
+  );
+  if (!rows.length) {
+    deviceCache.delete(hash);
+    return null;
+  }
+
+  const device = rows[0];
+  await db.query('UPDATE scan_devices SET last_seen_at = NOW(), last_ip = ? WHERE id = ?', [ip, device.id]);
+
+  const user = {
+    id: null,
+    username: `device:${device.name}`.slice(0, 100),
+    role: DEVICE_ROLE,
+    event_id: device.event_id,
+    gate_id: device.gate_id,
+    gate_name: device.gate_name,
+    device_ref: device.id,
+  };
+  deviceCache.set(hash, { user, expiresAt: Date.now() + DEVICE_CACHE_MS });
+  return user;
+}
+
+// → { id, token } (token hanya ditampilkan sekali)
+export async function createDevice(eventId, { name, gateId = null, createdBy = null }) {
+  const token = newDeviceToken();
+  const [result] = await db.query(
+    'INSERT INTO scan_devices (event_id, gate_id, name, token_hash, created_by) VALUES (?, ?, ?, ?, ?)',
+    [eventId, gateId, name, hashToken(token), createdBy]
+  );
+  return { id: result.insertId, token };
+}
+
+// Ganti token (token lama langsung tidak berlaku) → token baru, atau null jika perangkat tidak ada
+export async function rotateDeviceToken(eventId, deviceId) {
+  const token = newDeviceToken();
+  const [result] = await db.query(
+    'UPDATE scan_devices SET token_hash = ?, revoked_at = NULL WHERE id = ? AND event_id = ?',
+    [hashToken(token), deviceId, eventId]
+  );
+  forgetDevice(Number(deviceId));
+  return result.affectedRows ? token : null;
+}
+
+export async function updateDevice(eventId, deviceId, { name, gateId }) {
+  const [result] = await db.query(
+    'UPDATE scan_devices SET name = ?, gate_id = ? WHERE id = ? AND event_id = ?',
+    [name, gateId, deviceId, eventId]
+  );
+  forgetDevice(Number(deviceId));
+  return result.affectedRows > 0;
+}
+
+export async function revokeDevice(eventId, deviceId) {
+  const [result] = await db.query(
+    'UPDATE scan_devices SET revoked_at = NOW() WHERE id = ? AND event_id = ? AND revoked_at IS NULL',
+    [deviceId, eventId]
+  );
+  forgetDevice(Number(deviceId));
+  return result.affectedRows > 0;
+}
+
+export async function findGate(eventId, gateId) {
+  const [rows] = await db.query('SELECT id, name FROM gates WHERE id = ? AND event_id = ? LIMIT 1', [gateId, eventId]);
+  return rows[0] ?? null;
+}
+
+// Perangkat di gerbang ini menjadi tanpa gerbang (FK ON DELETE SET NULL)
+export async function deleteGate(eventId, gateId) {
+  const [result] = await db.query('DELETE FROM gates WHERE id = ? AND event_id = ?', [gateId, eventId]);
+  forgetDevices(user => user.gate_id === Number(gateId));
+  return result.affectedRows > 0;
+}
+
+// Gerbang untuk satu check-in:
+//   perangkat terdaftar → gerbang perangkat itu (gate_id dari body diabaikan)
+//   akun staf           → gate_id dari body (opsional)
+// → { gateId, scanDeviceId } atau { status, error }
+export async function resolveCheckinGate(user, eventId, requestedGateId) {
+  if (user?.role === DEVICE_ROLE) return { gateId: user.gate_id ?? null, scanDeviceId: user.device_ref };
+  if (requestedGateId == null || requestedGateId === '') return { gateId: null, scanDeviceId: null };
+
+  const gate = await findGate(eventId, requestedGateId);
+  if (!gate) return { status: 400, error: 'Gerbang tidak ditemukan di acara ini.' };
+  return { gateId: gate.id, scanDeviceId: null };
+}
+
+// -----------------------------------------------------------------------------
+// Statistik per gerbang
+//   totals  → scan, tamu unik, pax, kedatangan pada `interval` menit terakhir
+//   timeline → kedatangan per slot `interval` menit (waktu asli scan untuk scan offline)
+// Scan ulang (is_repeat) hanya dihitung di `scans` — beban antrean tetap terlihat.
+// -----------------------------------------------------------------------------
+const UNASSIGNED = { id: null, name: 'Tanpa gerbang' };
+
+export async function gateStats(eventId, { intervalMinutes = 15 } = {}) {
+  const slotSeconds = intervalMinutes * 60;
+
+  const [gates] = await db.query('SELECT id, name FROM gates WHERE event_id = ? ORDER BY id', [eventId]);
+  const [totals] = await db.query(`
+    SELECT gate_id,
+           COUNT(*) AS scans,
+           COALESCE(SUM(is_repeat = 0), 0) AS arrivals,
+           COUNT(DISTINCT CASE WHEN is_repeat = 0 THEN invitation_id END) AS guests,
+           COALESCE(SUM(CASE WHEN is_repeat = 0 THEN checked_in_qty ELSE 0 END), 0) AS pax,
+           COALESCE(SUM(is_repeat = 0 AND COALESCE(scanned_at, checked_in_at) >= NOW() - INTERVAL ? MINUTE), 0) AS recent_arrivals,
+           MAX(COALESCE(scanned_at, checked_in_at)) AS last_scan_at
+      FROM checkins
+     WHERE event_id = ? AND action = 'checkin'
+     GROUP BY gate_id
+  `, [intervalMinutes, eventId]);
+  const [slots] = await db.query(`
+    SELECT gate_id,
+           FLOOR(UNIX_TIMESTAMP(COALESCE(scanned_at, checked_in_at)) / ?) AS slot,
+           COUNT(*) AS scans,
+           COALESCE(SUM(is_repeat = 0), 0) AS arrivals,
+           COALESCE(SUM(CASE WHEN is_repeat = 0 THEN checked_in_qty ELSE 0 END), 0) AS pax
+      FROM checkins
+     WHERE event_id = ? AND action = 'checkin'
+     GROUP BY gate_id, slot
+     ORDER BY slot
+  `, [slotSeconds, eventId]);
+
+  const byGate = new Map(totals.map(t => [t.gate_id, t]));
+  const list = byGate.has(null) ? [...gates, UNASSIGNED] : gates;
+
+  return {
+    interval_minutes: intervalMinutes,
+    generated_at: new Date().toISOString(),
+    gates: list.map(gate => {
+      const t = byGate.get(gate.id) ?? {};
+      return {
+        id: gate.id,
+        name: gate.name,
+        scans: Number(t.scans) || 0,
+        arrivals: Number(t.arrivals) || 0,
+        guests: Number(t.guests) || 0,
+        pax: Number(t.pax) || 0,
+        recent_arrivals: Number(t.recent_arrivals) || 0,
+        last_scan_at: t.last_scan_at ?? null,
+        timeline: slots
+          .filter(s => s.gate_id === gate.id)
+          .map(s => ({
+            at: new Date(Number(s.slot) * slotSeconds * 1000).toISOString(),
+            scans: Number(s.scans) || 0,
+            arrivals: Number(s.arrivals) || 0,
+            pax: Number(s.pax) || 0,
+          })),
+      };
+    }),
+  };
+}
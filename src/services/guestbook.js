@@ -0,0 +1,52 @@
+// services/guestbook.js
+// -----------------------------------------------------------------------------
+// Ucapan buku tamu + moderasi.
+//   - Publik hanya melihat pesan `approved`, yang di-pin tampil dulu.
+//   - Pesan baru berstatus MESSAGE_DEFAULT_STATUS (approved | pending); pesan
+//     yang kena filter kata (utils/messageFilter.js) selalu ditahan `pending`.
+//
+// Catatan Skema DB:
+//   messages.status         ENUM('pending','approved','hidden') NOT NULL DEFAULT 'approved'
+//   messages.pinned         TINYINT(1) NOT NULL DEFAULT 0
+//   messages.flagged_reason VARCHAR(255) NULL
+//   messages.moderated_by   INT NULL, messages.moderated_at DATETIME NULL
+// -----------------------------------------------------------------------------
+import db from '../config/db.js';
+import { publish } from './realtime.js';
+import { checkMessage } from '../utils/messageFilter.js';
+
+export const MESSAGE_STATUSES = ['pending', 'approved', 'hidden'];
+const MESSAGE_DEFAULT_STATUS = process.env.MESSAGE_DEFAULT_STATUS === 'pending' ? 'pending' : 'approved';
+
+// invitation: { id, name } milik eventId → { id, status, reply }
+export async function postMessage(eventId, invitation, message) {
+  const check = checkMessage(message);
+  const status = check.flagged ? 'pending' : MESSAGE_DEFAULT_STATUS;
+
+  const [result] = await db.query(
+    'INSERT INTO messages (event_id, invitation_id, message, status, flagged_reason) VALUES (?, ?, ?, ?, ?)',
+    [eventId, invitation.id, message, status, check.reason]
+  );
+
+  const payload = { id: result.insertId, invitation_id: Number(invitation.id), guest_name: invitation.name, message };
+  if (status === 'approved') {
+    publish(eventId, 'message', { ...payload, pinned: 0 });
+    return { id: result.insertId, status, reply: 'Pesan berhasil dikirim.' };
+  }
+
+  publish(eventId, 'message_pending', { ...payload, flagged_reason: check.reason });
+  return { id: result.insertId, status, reply: 'Pesan terkirim dan akan tampil setelah disetujui.' };
+}
+
+// Pesan yang boleh tampil di buku tamu publik (field minimal)
+export async function approvedMessages(eventId, { limit = 200 } = {}) {
+  const [rows] = await db.query(`
+    SELECT m.id, m.message, m.created_at, m.pinned, i.name AS guest_name
+    FROM messages m
+    JOIN invitations i ON i.id = m.invitation_id
+    WHERE m.event_id = ? AND m.status = 'approved'
+    ORDER BY m.pinned DESC, m.created_at DESC
+    LIMIT ?
+  `, [eventId, limit]);
+  return rows;
+}
@@ -0,0 +1,110 @@
+// services/loginGuard.js
+// -----------------------------------------------------------------------------
+// Perlindungan brute-force untuk POST /api/login. Semua percobaan dicatat di
+// login_attempts; batasan dihitung dari catatan itu (tetap berlaku walau server
+// restart):
+//   - per username: mulai gagal ke-LOGIN_DELAY_AFTER, percobaan berikutnya harus
+//     menunggu 1, 2, 4, ... detik; setelah LOGIN_MAX_FAILURES gagal, akun dikunci
+//     sementara LOGIN_LOCKOUT_MINUTES. Login sukses / unlock admin mereset hitungan.
+//   - per IP: maksimal LOGIN_MAX_FAILURES_PER_IP gagal dalam LOGIN_WINDOW_MINUTES.
+//
+// Catatan Skema DB:
+//   login_attempts(id PK AI, username VARCHAR(100) NULL, ip VARCHAR(45) NULL,
+//                  success TINYINT(1) NOT NULL DEFAULT 0,
+//                  reason VARCHAR(30) NULL,  -- ok | unlock | bad_credentials | disabled | throttled
+//                  user_agent VARCHAR(255) NULL, created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+//                  INDEX(username, created_at), INDEX(ip, created_at))
+// -----------------------------------------------------------------------------
+import dotenv from 'dotenv';
+import db from '../config/db.js';
+
+dotenv.config();
+
+const WINDOW_MINUTES = Number(process.env.LOGIN_WINDOW_MINUTES) || 15;
+const DELAY_AFTER = Number(process.env.LOGIN_DELAY_AFTER) || 3;
+const MAX_FAILURES = Number(process.env.LOGIN_MAX_FAILURES) || 10;
+const LOCKOUT_MINUTES = Number(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+const MAX_FAILURES_PER_IP = Number(process.env.LOGIN_MAX_FAILURES_PER_IP) || 50;
+const MAX_DELAY_SECONDS = 60;
+
+// Hanya kegagalan karena kredensial yang dihitung (percobaan yang ditolak throttle tidak)
+const COUNTED_REASON = 'bad_credentials';
+
+export const ATTEMPT_REASONS = ['ok', 'unlock', 'bad_credentials', 'disabled', 'throttled'];
+
+const normalizeUsername = v => String(v ?? '').trim().toLowerCase().slice(0, 100);
+
+// Jeda wajib setelah n kegagalan beruntun (detik)
+const delayFor = failures =>
+  failures < DELAY_AFTER ? 0 : Math.min(2 ** (failures - DELAY_AFTER), MAX_DELAY_SECONDS);
+
+// → null (boleh lanjut) atau { reason, retryAfter } (detik)
+export async function checkLogin(username, ip) {
+  const name = normalizeUsername(username);
+
+  const [[byUser]] = await db.query(`
+    SELECT COUNT(*) AS failures, TIMESTAMPDIFF(SECOND, MAX(created_at), NOW()) AS since_last
+    FROM login_attempts
+    WHERE username = ? AND reason = ?
+      AND created_at > DATE_SUB(NOW(), INTERVAL ? MINUTE)
+      AND created_at >= COALESCE(
+        (SELECT MAX(created_at) FROM login_attempts WHERE username = ? AND success = 1), '1970-01-01')
+  `, [name, COUNTED_REASON, Math.max(WINDOW_MINUTES, LOCKOUT_MINUTES), name]);
+
+  const failures = Number(byUser?.failures ?? 0);
+  const sinceLast = Number(byUser?.since_last ?? 0);
+
+  if (failures >= MAX_FAILURES) {
+    const retryAfter = LOCKOUT_MINUTES * 60 - sinceLast;
+    if (retryAfter > 0) return { reason: 'locked', retryAfter };
+  } else {
+    const retryAfter = delayFor(failures) - sinceLast;
+    if (retryAfter > 0) return { reason: 'delay', retryAfter };
+  }
+
+  if (ip) {
+    const [[byIp]] = await db.query(`
+      SELECT COUNT(*) AS failures, TIMESTAMPDIFF(SECOND, MIN(created_at), NOW()) AS since_first
+      FROM login_attempts
+      WHERE ip = ? AND reason = ? AND created_at > DATE_SUB(NOW(), INTERVAL ? MINUTE)
+    `, [ip, COUNTED_REASON, WINDOW_MINUTES]);
+
+    if (Number(byIp?.failures ?? 0) >= MAX_FAILURES_PER_IP) {
+      return { reason: 'ip', retryAfter: Math.max(WINDOW_MINUTES * 60 - Number(byIp.since_first ?? 0), 1) };
+    }
+  }
+
+  return null;
+}
+
+// reason: salah satu ATTEMPT_REASONS
+export async function recordAttempt({ username, ip, userAgent, reason }) {
+  await db.query(
+    'INSERT INTO login_attempts (username, ip, success, reason, user_agent) VALUES (?, ?, ?, ?, ?)',
+    [normalizeUsername(username) || null, ip ?? null, ['ok', 'unlock'].includes(reason) ? 1 : 0, reason, userAgent?.slice(0, 255) ?? null]
+  );
+}
+
+// Admin membuka kunci akun (hitungan gagal direset)
+export const unlockUsername = username => recordAttempt({ username, reason: 'unlock' });
+
+// filters: { username?, ip?, success?: '0'|'1', limit? }
+export async function listAttempts(filters = {}) {
+  const where = [];
+  const params = [];
+
+  if (filters.username) { where.push('username = ?'); params.push(normalizeUsername(filters.username)); }
+  if (filters.ip) { where.push('ip = ?'); params.push(filters.ip); }
+  if (filters.success === '0' || filters.success === '1') { where.push('success = ?'); params.push(Number(filters.success)); }
+
+  const limit = Math.min(Math.max(Number(filters.limit) || 100, 1), 1000);
+  const [rows] = await db.query(
+    `SELECT id, username, ip, success, reason, user_agent, created_at
+     FROM login_attempts
+     ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+     ORDER BY created_at DESC, id DESC
+     LIMIT ?`,
+    [...params, limit]
+  );
+  return rows;
+}
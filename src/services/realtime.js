@@ -0,0 +1,75 @@
+// services/realtime.js
+// -----------------------------------------------------------------------------
+// Bus event in-process untuk push real-time (Server-Sent Events) ke dashboard
+// dan meja scan. Channel dipisah per acara (event_id).
+//
+// Tipe event yang dipakai:
+//   checkin  → scan / pembatalan check-in
+//   rsvp     → perubahan kehadiran dari /:slug/kehadiran
+//   message  → ucapan baru yang tampil (baru disetujui / lolos filter)
+//   message_pending → ucapan ditahan menunggu moderasi
+//   message_removed → ucapan disembunyikan / dihapus ({ ids })
+//   message_pinned  → ucapan di-pin / lepas pin ({ ids, pinned })
+//   delivery → status antrian pengiriman WhatsApp (services/deliveryQueue.js)
+//   seating  → meja melebihi kapasitas (services/seatingService.js)
+//   summary  → angka summary terbaru (lihat services/summaryService.js)
+// -----------------------------------------------------------------------------
+import { EventEmitter } from 'events';
+
+const HEARTBEAT_MS = 25 * 1000;
+
+const bus = new EventEmitter();
+bus.setMaxListeners(0); // satu listener per koneksi SSE
+
+let sequence = 0;
+const openStreams = new Set(); // close() per koneksi SSE yang masih terbuka
+
+export const publish = (eventId, type, payload) => {
+  bus.emit(`event:${eventId}`, { id: ++sequence, type, payload, at: new Date().toISOString() });
+};
+
+export const subscribe = (eventId, listener) => {
+  bus.on(`event:${eventId}`, listener);
+  return () => bus.off(`event:${eventId}`, listener);
+};
+
+export const writeSse = (res, { id, type, payload }) => {
+  if (id != null) res.write(`id: ${id}\n`);
+  res.write(`event: ${type}\n`);
+  res.write(`data: ${JSON.stringify(payload)}\n\n`);
+};
+
+// Buka response SSE: header, heartbeat, dan pembersihan saat klien putus.
+// Mengembalikan fungsi close() untuk menutup stream dari sisi server.
+export function openSseStream(req, res, { onClose } = {}) {
+  res.status(200).set({
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no', // matikan buffering nginx
+  });
+  res.flushHeaders();
+  res.write('retry: 3000\n\n');
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+
+  const close = () => {
+    clearInterval(heartbeat);
+    openStreams.delete(end);
+    onClose?.();
+  };
+  const end = () => {
+    close();
+    res.end();
+  };
+  req.on('close', close);
+  openStreams.add(end);
+
+  return end;
+}
+
+// Tutup semua stream SSE (saat server dimatikan); klien otomatis reconnect
+// sesuai `retry` ke instance yang masih hidup.
+export const closeAllStreams = () => {
+  for (const end of [...openStreams]) end();
+};
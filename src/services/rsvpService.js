@@ -0,0 +1,59 @@
+// services/rsvpService.js
+// -----------------------------------------------------------------------------
+// Konfirmasi kehadiran (RSVP). Dipakai halaman undangan tamu
+// (/api/public/invitations/:slug/rsvp) dan admin (/api/invitations/:slug/kehadiran).
+// -----------------------------------------------------------------------------
+import { withTransaction } from '../config/db.js';
+import { notifyChange } from './summaryService.js';
+import { checkTableCapacity } from './seatingService.js';
+
+export const RSVP_STATUSES = ['Belum Konfirmasi', 'Hadir', 'Tidak Hadir'];
+
+// body { rsvp_status, jumlah_real } → { rsvp_status, jumlah_real } atau { error }
+export function parseRsvpInput({ rsvp_status, jumlah_real } = {}) {
+  // Validasi status wajib diisi
+  if (rsvp_status === undefined || rsvp_status === null || rsvp_status === '') {
+    return { error: 'rsvp_status wajib diisi.' };
+  }
+
+  // Validasi status harus salah satu dari 3 opsi
+  if (!RSVP_STATUSES.includes(rsvp_status)) {
+    return { error: "rsvp_status harus salah satu: 'Belum Konfirmasi', 'Hadir', 'Tidak Hadir'." };
+  }
+
+  // Jika Tidak Hadir → jumlah_real otomatis 0, selain itu angka atau null jika kosong
+  if (rsvp_status === 'Tidak Hadir') return { rsvp_status, jumlah_real: 0 };
+
+  const qty = jumlah_real == null || jumlah_real === '' ? null : Number(jumlah_real);
+  if (qty != null && (!Number.isInteger(qty) || qty < 0)) return { error: 'jumlah_real harus angka bulat ≥ 0.' };
+  return { rsvp_status, jumlah_real: qty };
+}
+
+// → row terbaru { id, name, rsvp_status, jumlah_real, qrcode, table_id, table_warning } atau null jika tidak ada
+// Baris dikunci selama update supaya hasil yang dikembalikan adalah hasil
+// request ini, bukan RSVP / check-in lain yang masuk bersamaan.
+export async function applyRsvp(eventId, slug, { rsvp_status, jumlah_real }) {
+  const updated = await withTransaction(async conn => {
+    const [[row]] = await conn.query(
+      'SELECT id, name, qrcode, table_id FROM invitations WHERE slug = ? AND event_id = ? LIMIT 1 FOR UPDATE',
+      [slug, eventId]
+    );
+    if (!row) return null;
+
+    await conn.query('UPDATE invitations SET rsvp_status = ?, real_qty = ? WHERE id = ?', [rsvp_status, jumlah_real, row.id]);
+    return { ...row, rsvp_status, jumlah_real };
+  });
+  if (!updated) return null;
+
+  // jumlah_real bisa membuat meja tamu melebihi kapasitas
+  updated.table_warning = await checkTableCapacity(eventId, updated.table_id);
+
+  notifyChange(eventId, 'rsvp', {
+    invitation_id: updated.id,
+    slug,
+    name: updated.name,
+    rsvp_status: updated.rsvp_status,
+    jumlah_real: updated.jumlah_real,
+  });
+  return updated;
+}
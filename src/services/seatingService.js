@@ -0,0 +1,173 @@
+// services/seatingService.js
+// -----------------------------------------------------------------------------
+// Meja / area duduk per acara dan penempatan undangan ke meja.
+//
+// Kursi terpakai per undangan = real_qty (hasil RSVP / check-in), atau qty bila
+// belum ada, minimal 1. Undangan "Tidak Hadir" tidak memakai kursi.
+// Meja yang melebihi kapasitas tidak ditolak, hanya diberi peringatan
+// (usher tetap bisa menambah kursi di lokasi).
+//
+// Catatan Skema DB:
+//   seating_tables(id PK AI, event_id FK, name VARCHAR(100), area VARCHAR(100) NULL,
+//                  capacity INT NOT NULL, category_id FK NULL, sort_order INT DEFAULT 0,
+//                  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP, UNIQUE(event_id, name))
+//   invitations.table_id FK NULL → seating_tables.id (ON DELETE SET NULL)
+//   → category_id = kategori tamu yang diutamakan saat penempatan otomatis.
+// -----------------------------------------------------------------------------
+import db, { withTransaction } from '../config/db.js';
+import { notifyChange } from './summaryService.js';
+
+export const SEATS_SQL = "CASE WHEN i.rsvp_status = 'Tidak Hadir' THEN 0 ELSE GREATEST(COALESCE(i.real_qty, i.qty, 1), 1) END";
+
+const seatsOf = inv => (inv.rsvp_status === 'Tidak Hadir' ? 0 : Math.max(Number(inv.real_qty ?? inv.qty ?? 1) || 1, 1));
+
+const TABLE_COLUMNS = 't.id, t.name, t.area, t.capacity, t.category_id, t.sort_order';
+
+const withLoad = t => {
+  const seats = Number(t.seats) || 0;
+  return {
+    ...t,
+    guests: Number(t.guests) || 0,
+    seats,
+    available: t.capacity - seats,
+    over_capacity: seats > t.capacity,
+  };
+};
+
+// Semua meja acara + kursi terpakai → [{ id, name, ..., guests, seats, available, over_capacity }]
+export async function listTables(eventId, conn = db) {
+  const [rows] = await conn.query(`
+    SELECT ${TABLE_COLUMNS}, c.name AS category_name,
+           COUNT(i.id) AS guests, COALESCE(SUM(${SEATS_SQL}), 0) AS seats
+    FROM seating_tables t
+    LEFT JOIN categories c ON c.id = t.category_id
+    LEFT JOIN invitations i ON i.table_id = t.id
+    WHERE t.event_id = ?
+    GROUP BY t.id
+    ORDER BY t.sort_order, t.name, t.id
+  `, [eventId]);
+  return rows.map(withLoad);
+}
+
+export async function getTableLoad(tableId, conn = db) {
+  const [[row]] = await conn.query(`
+    SELECT ${TABLE_COLUMNS}, COUNT(i.id) AS guests, COALESCE(SUM(${SEATS_SQL}), 0) AS seats
+    FROM seating_tables t
+    LEFT JOIN invitations i ON i.table_id = t.id
+    WHERE t.id = ?
+    GROUP BY t.id
+  `, [tableId]);
+  return row ? withLoad(row) : null;
+}
+
+// Meja undangan untuk ditampilkan ke usher → { id, name, area } atau null
+export async function findTable(tableId, conn = db) {
+  if (!tableId) return null;
+  const [[row]] = await conn.query('SELECT id, name, area FROM seating_tables WHERE id = ?', [tableId]);
+  return row ?? null;
+}
+
+// Pesan peringatan untuk meja yang melebihi kapasitas (null bila aman)
+export const capacityWarning = table =>
+  table?.over_capacity
+    ? {
+      table_id: table.id,
+      table_name: table.name,
+      capacity: table.capacity,
+      seats: table.seats,
+      message: `Meja ${table.name} melebihi kapasitas (${table.seats}/${table.capacity} kursi).`,
+    }
+    : null;
+
+// Cek kapasitas meja undangan setelah jumlah tamu berubah (RSVP / check-in).
+// Bila melebihi, dikirim ke dashboard lewat event SSE `seating`. → warning atau null
+export async function checkTableCapacity(eventId, tableId, conn = db) {
+  if (!tableId) return null;
+  const warning = capacityWarning(await getTableLoad(tableId, conn));
+  if (warning) notifyChange(eventId, 'seating', { action: 'over_capacity', ...warning });
+  return warning;
+}
+
+// Pindahkan undangan ke meja (tableId null = lepas dari meja) → { updated, warning }
+export async function assignInvitations(eventId, invitationIds, tableId) {
+  const updated = await withTransaction(async conn => {
+    const [result] = await conn.query(
+      'UPDATE invitations SET table_id = ? WHERE event_id = ? AND id IN (?)',
+      [tableId, eventId, invitationIds]
+    );
+    return result.affectedRows;
+  });
+  return { updated, warning: await checkTableCapacity(eventId, tableId) };
+}
+
+// -----------------------------------------------------------------------------
+// Penempatan otomatis per kategori
+//   - hanya undangan yang belum punya meja (overwrite: true → semua ditempatkan ulang)
+//   - undangan "Tidak Hadir" dilewati
+//   - meja dengan category_id yang sama diisi lebih dulu, lalu meja tanpa kategori
+//   - rombongan terbesar ditempatkan lebih dulu (first-fit decreasing) dan satu
+//     undangan tidak pernah dipecah ke dua meja
+// → { assigned: [{ invitation_id, name, table_id, table_name, seats }], unplaced: [...] }
+// -----------------------------------------------------------------------------
+export async function autoAssign(eventId, { category = null, overwrite = false, dryRun = false } = {}) {
+  return withTransaction(async conn => {
+    const tables = (await listTables(eventId, conn)).map(t => ({ ...t, free: t.capacity }));
+
+    const where = ['i.event_id = ?', "i.rsvp_status <> 'Tidak Hadir'"];
+    const params = [eventId];
+    if (category != null) { where.push('i.category = ?'); params.push(category); }
+
+    const [invitations] = await conn.query(`
+      SELECT i.id, i.name, i.category, i.qty, i.real_qty, i.rsvp_status, i.table_id
+      FROM invitations i
+      WHERE ${where.join(' AND ')}
+      FOR UPDATE
+    `, params);
+
+    // Kursi yang sudah dipakai undangan yang tidak ikut ditempatkan ulang
+    const moving = invitations.filter(inv => overwrite || !inv.table_id);
+    const movingIds = new Set(moving.map(inv => inv.id));
+    const [kept] = await conn.query(`
+      SELECT i.id, i.table_id, ${SEATS_SQL} AS seats
+      FROM invitations i
+      WHERE i.event_id = ? AND i.table_id IS NOT NULL
+    `, [eventId]);
+    for (const row of kept) {
+      if (movingIds.has(row.id)) continue;
+      const table = tables.find(t => t.id === row.table_id);
+      if (table) table.free -= Number(row.seats) || 0;
+    }
+
+    const assigned = [];
+    const unplaced = [];
+    const ordered = moving
+      .map(inv => ({ ...inv, seats: seatsOf(inv) }))
+      .sort((a, b) => b.seats - a.seats || a.id - b.id);
+
+    for (const inv of ordered) {
+      const candidates = [
+        ...tables.filter(t => t.category_id != null && t.category_id === inv.category),
+        ...tables.filter(t => t.category_id == null),
+      ];
+      const table = candidates.find(t => t.free >= inv.seats);
+      if (!table) {
+        unplaced.push({ invitation_id: inv.id, name: inv.name, seats: inv.seats });
+        continue;
+      }
+      table.free -= inv.seats;
+      assigned.push({ invitation_id: inv.id, name: inv.name, table_id: table.id, table_name: table.name, seats: inv.seats });
+    }
+
+    if (!dryRun) {
+      if (overwrite && movingIds.size) {
+        await conn.query('UPDATE invitations SET table_id = NULL WHERE id IN (?)', [[...movingIds]]);
+      }
+      for (const table of tables) {
+        const ids = assigned.filter(a => a.table_id === table.id).map(a => a.invitation_id);
+        if (ids.length) await conn.query('UPDATE invitations SET table_id = ? WHERE id IN (?)', [table.id, ids]);
+      }
+    }
+
+    return { assigned, unplaced };
+  });
+}
@@ -0,0 +1,173 @@
+// services/sessionService.js
+// -----------------------------------------------------------------------------
+// Sesi login: access token JWT berumur pendek (cookie token_user / token_client)
+// + refresh token acak yang dirotasi setiap dipakai (cookie refresh_user /
+// refresh_client). Setiap access token membawa `sid`, dan verifyToken menolak
+// token yang sesinya sudah dicabut.
+//
+// Catatan Skema DB:
+//   user_sessions(id PK AI, user_id INT NOT NULL, refresh_hash CHAR(64) UNIQUE,
+//                 previous_hash CHAR(64) NULL, user_agent VARCHAR(255) NULL,
+//                 ip VARCHAR(45) NULL, created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+//                 last_used_at DATETIME NULL, expires_at DATETIME NOT NULL,
+//                 revoked_at DATETIME NULL, INDEX(user_id), INDEX(previous_hash))
+//   → hanya hash SHA-256 refresh token yang disimpan.
+//
+// Konfigurasi (.env):
+//   ACCESS_TOKEN_TTL_MINUTES     → umur access token (default 15)
+//   REFRESH_TOKEN_TTL_DAYS       → sesi kedaluwarsa bila tidak dipakai selama ini (default 30)
+//   REFRESH_REUSE_GRACE_SECONDS  → refresh token lama yang dipakai lagi dalam jeda ini
+//                                  (mis. dua tab refresh bersamaan) hanya ditolak;
+//                                  lewat dari itu dianggap dicuri & sesi dicabut (default 10)
+// -----------------------------------------------------------------------------
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import dotenv from 'dotenv';
+import db, { withTransaction } from '../config/db.js';
+
+dotenv.config();
+
+export const ACCESS_TOKEN_TTL_MS = (Number(process.env.ACCESS_TOKEN_TTL_MINUTES) || 15) * 60 * 1000;
+export const REFRESH_TOKEN_TTL_MS = (Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000;
+const REUSE_GRACE_SECONDS = Number(process.env.REFRESH_REUSE_GRACE_SECONDS ?? 10);
+
+// Cek sesi di-cache sebentar agar tidak query DB di setiap request;
+// pencabutan dari proses ini langsung menghapus cache.
+const ACTIVE_CACHE_MS = 10 * 1000;
+const activeCache = new Map(); // sid → expiresAt (ms)
+
+const hashToken = token => crypto.createHash('sha256').update(String(token)).digest('hex');
+const newRefreshToken = () => crypto.randomBytes(32).toString('base64url');
+
+const SESSION_COLUMNS = 'id, user_agent, ip, created_at, last_used_at, expires_at';
+
+export const signAccessToken = (user, sessionId) =>
+  jwt.sign(
+    { id: user.id, username: user.username, role: user.role, event_id: user.event_id ?? null, sid: sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: Math.floor(ACCESS_TOKEN_TTL_MS / 1000) }
+  );
+
+// meta: { userAgent, ip } → { sessionId, refreshToken }
+export async function createSession(user, meta = {}) {
+  const refreshToken = newRefreshToken();
+  const [result] = await db.query(
+    `INSERT INTO user_sessions (user_id, refresh_hash, user_agent, ip, last_used_at, expires_at)
+     VALUES (?, ?, ?, ?, NOW(), DATE_ADD(NOW(), INTERVAL ? SECOND))`,
+    [user.id, hashToken(refreshToken), meta.userAgent?.slice(0, 255) ?? null, meta.ip ?? null, REFRESH_TOKEN_TTL_MS / 1000]
+  );
+  return { sessionId: result.insertId, refreshToken };
+}
+
+// Tukar refresh token dengan yang baru.
+// → { status: 'ok', user, sessionId, refreshToken }
+//   { status: 'invalid' }  token tidak dikenal / sesi dicabut / kedaluwarsa / akun nonaktif
+//   { status: 'stale' }    token lama dipakai lagi dalam masa tenggang
+//   { status: 'reused' }   token lama dipakai lagi setelah masa tenggang → sesi dicabut
+export async function rotateSession(refreshToken, meta = {}) {
+  if (!refreshToken) return { status: 'invalid' };
+  const hash = hashToken(refreshToken);
+
+  const outcome = await withTransaction(async conn => {
+    const [rows] = await conn.query(`
+      SELECT s.id, s.refresh_hash, s.revoked_at, s.expires_at <= NOW() AS expired,
+             TIMESTAMPDIFF(SECOND, s.last_used_at, NOW()) AS idle_seconds,
+             u.id AS user_id, u.username, u.role, u.event_id, u.is_active
+      FROM user_sessions s
+      JOIN users u ON u.id = s.user_id
+      WHERE s.refresh_hash = ? OR s.previous_hash = ?
+      LIMIT 1
+      FOR UPDATE
+    `, [hash, hash]);
+
+    const session = rows[0];
+    if (!session || session.revoked_at || Number(session.expired) === 1 || Number(session.is_active) === 0) {
+      return { status: 'invalid' };
+    }
+
+    if (session.refresh_hash !== hash) {
+      if (Number(session.idle_seconds) <= REUSE_GRACE_SECONDS) return { status: 'stale' };
+      await conn.query('UPDATE user_sessions SET revoked_at = NOW() WHERE id = ?', [session.id]);
+      return { status: 'reused', sessionId: session.id };
+    }
+
+    const next = newRefreshToken();
+    await conn.query(
+      `UPDATE user_sessions
+          SET refresh_hash = ?, previous_hash = ?, last_used_at = NOW(),
+              expires_at = DATE_ADD(NOW(), INTERVAL ? SECOND),
+              user_agent = COALESCE(?, user_agent), ip = COALESCE(?, ip)
+        WHERE id = ?`,
+      [hashToken(next), hash, REFRESH_TOKEN_TTL_MS / 1000, meta.userAgent?.slice(0, 255) ?? null, meta.ip ?? null, session.id]
+    );
+
+    const user = { id: session.user_id, username: session.username, role: session.role, event_id: session.event_id };
+    return { status: 'ok', user, sessionId: session.id, refreshToken: next };
+  });
+
+  if (outcome.status === 'reused') activeCache.delete(outcome.sessionId);
+  return outcome;
+}
+
+// Dipakai verifyToken: sesi belum dicabut & belum kedaluwarsa
+export async function isSessionActive(sessionId) {
+  if (!sessionId) return false;
+
+  const cached = activeCache.get(sessionId);
+  if (cached && cached > Date.now()) return true;
+
+  const [rows] = await db.query(
+    'SELECT id FROM user_sessions WHERE id = ? AND revoked_at IS NULL AND expires_at > NOW() LIMIT 1',
+    [sessionId]
+  );
+  if (!rows.length) {
+    activeCache.delete(sessionId);
+    return false;
+  }
+  activeCache.set(sessionId, Date.now() + ACTIVE_CACHE_MS);
+  return true;
+}
+
+export async function listSessions(userId) {
+  const [rows] = await db.query(`
+    SELECT ${SESSION_COLUMNS}
+    FROM user_sessions
+    WHERE user_id = ? AND revoked_at IS NULL AND expires_at > NOW()
+    ORDER BY last_used_at DESC
+  `, [userId]);
+  return rows;
+}
+
+// Cabut satu sesi milik userId → true jika ada yang dicabut
+export async function revokeSession(sessionId, userId) {
+  const [result] = await db.query(
+    'UPDATE user_sessions SET revoked_at = NOW() WHERE id = ? AND user_id = ? AND revoked_at IS NULL',
+    [sessionId, userId]
+  );
+  activeCache.delete(Number(sessionId));
+  return result.affectedRows > 0;
+}
+
+// Logout: cabut sesi pemilik refresh token (bila masih ada)
+export async function revokeByRefreshToken(refreshToken) {
+  if (!refreshToken) return;
+  const [rows] = await db.query('SELECT id FROM user_sessions WHERE refresh_hash = ? LIMIT 1', [hashToken(refreshToken)]);
+  if (!rows.length) return;
+  await db.query('UPDATE user_sessions SET revoked_at = NOW() WHERE id = ? AND revoked_at IS NULL', [rows[0].id]);
+  activeCache.delete(rows[0].id);
+}
+
+// "Logout dari semua perangkat" (opsional kecuali satu sesi) → jumlah sesi dicabut
+// conn: koneksi transaksi bila dicabut bersama perubahan lain (mis. hapus user)
+export async function revokeUserSessions(userId, exceptSessionId = null, conn = db) {
+  const [active] = await conn.query(
+    'SELECT id FROM user_sessions WHERE user_id = ? AND revoked_at IS NULL AND id <> ?',
+    [userId, exceptSessionId ?? 0]
+  );
+  if (!active.length) return 0;
+
+  const ids = active.map(s => s.id);
+  await conn.query('UPDATE user_sessions SET revoked_at = NOW() WHERE id IN (?)', [ids]);
+  ids.forEach(id => activeCache.delete(id));
+  return ids.length;
+}
@@ -0,0 +1,97 @@
+// services/slugService.js
+// -----------------------------------------------------------------------------
+// Slug undangan (dipakai di link tamu & QR lama) yang tidak bisa ditebak.
+//
+// Strategi (SLUG_STRATEGY):
+//   random (default) → kode acak SLUG_RANDOM_LENGTH karakter (default 10),
+//                      mis. "k7xq2m9dfa"
+//   name             → nama tamu + akhiran acak SLUG_SUFFIX_LENGTH (default 6),
+//                      mis. "budi-santoso-x7k2qd"
+// Huruf yang mirip (0/o, 1/l/i) tidak dipakai agar aman diketik ulang.
+//
+// Slug dibuat sekaligus per batch: kandidat dibuat di memori lalu dicek dengan
+// satu query; hanya yang bentrok yang dibuat ulang.
+//
+// Slug lama (mis. 6 digit) yang diganti lewat `npm run migrate:slugs` disimpan
+// di slug_aliases supaya link & QR lama tetap bisa dibuka.
+//
+// Catatan Skema DB:
+//   invitations.slug VARCHAR(100) NOT NULL UNIQUE
+//   slug_aliases(old_slug VARCHAR(100) PK, invitation_id INT NOT NULL,
+//                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP, INDEX(invitation_id))
+// -----------------------------------------------------------------------------
+import crypto from 'crypto';
+import slugify from 'slugify';
+import dotenv from 'dotenv';
+import db from '../config/db.js';
+
+dotenv.config();
+
+const ALPHABET = 'abcdefghjkmnpqrstuvwxyz23456789';
+const STRATEGIES = ['random', 'name'];
+const MAX_ROUNDS = 10;
+
+export const SLUG_STRATEGY = STRATEGIES.includes(process.env.SLUG_STRATEGY) ? process.env.SLUG_STRATEGY : 'random';
+const RANDOM_LENGTH = Math.max(Number(process.env.SLUG_RANDOM_LENGTH) || 10, 8);
+const SUFFIX_LENGTH = Math.max(Number(process.env.SLUG_SUFFIX_LENGTH) || 6, 4);
+const NAME_MAX_LENGTH = 40;
+
+// Slug lama 6 digit (strategi sebelum ini)
+export const isLegacySlug = slug => /^\d{6}$/.test(String(slug ?? ''));
+
+const randomCode = length => Array.from({ length }, () => ALPHABET[crypto.randomInt(ALPHABET.length)]).join('');
+
+const nameBase = name =>
+  slugify(String(name ?? ''), { lower: true, strict: true }).slice(0, NAME_MAX_LENGTH).replace(/-+$/, '') || 'tamu';
+
+const candidateFor = (inv, strategy) =>
+  strategy === 'name' ? `${nameBase(inv?.name)}-${randomCode(SUFFIX_LENGTH)}` : randomCode(RANDOM_LENGTH);
+
+// Slug yang sudah dipakai (undangan atau alias) dari daftar kandidat
+async function findTaken(slugs, conn) {
+  const [rows] = await conn.query(
+    `SELECT slug FROM invitations WHERE slug IN (?)
+     UNION
+     SELECT old_slug AS slug FROM slug_aliases WHERE old_slug IN (?)`,
+    [slugs, slugs]
+  );
+  return new Set(rows.map(r => r.slug));
+}
+
+// invitations: [{ name? }] → slug unik dengan urutan yang sama
+// Pakai conn yang sama dengan INSERT bila di dalam transaksi.
+export async function generateSlugs(invitations, { conn = db, strategy = SLUG_STRATEGY } = {}) {
+  const slugs = new Array(invitations.length);
+  const used = new Set();
+  let pending = invitations.map((_, i) => i);
+
+  for (let round = 0; pending.length && round < MAX_ROUNDS; round++) {
+    const batch = pending.map(i => {
+      let slug;
+      do slug = candidateFor(invitations[i], strategy); while (used.has(slug));
+      used.add(slug);
+      return [i, slug];
+    });
+
+    const taken = await findTaken(batch.map(([, slug]) => slug), conn);
+    pending = [];
+    for (const [i, slug] of batch) {
+      if (taken.has(slug)) pending.push(i);
+      else slugs[i] = slug;
+    }
+  }
+
+  if (pending.length) throw new Error('Gagal membuat slug unik, coba lagi');
+  return slugs;
+}
+
+export const generateSlug = async (inv = {}, options) => (await generateSlugs([inv], options))[0];
+
+// Slug lama → slug aktif undangan tsb (null jika bukan alias)
+export async function resolveSlugAlias(slug, conn = db) {
+  const [rows] = await conn.query(
+    `SELECT i.slug FROM slug_aliases a JOIN invitations i ON i.id = a.invitation_id WHERE a.old_slug = ? LIMIT 1`,
+    [slug]
+  );
+  return rows[0]?.slug ?? null;
+}
@@ -0,0 +1,89 @@
+// services/summaryService.js
+// -----------------------------------------------------------------------------
+// Hitung summary undangan per acara dengan SATU query, simpan di cache memori,
+// dan push ke klien SSE saat ada perubahan (debounce) supaya banyak meja scan
+// + dashboard tidak membanjiri MySQL dengan polling.
+// -----------------------------------------------------------------------------
+import db from '../config/db.js';
+import { publish } from './realtime.js';
+
+const CACHE_TTL_MS = 30 * 1000;   // jaring pengaman jika DB diubah di luar API
+const PUSH_DEBOUNCE_MS = 500;     // gabungkan banyak scan beruntun jadi satu push
+
+const cache = new Map();          // eventId → { payload, at }
+const pendingPush = new Map();    // eventId → timeout
+
+async function computeSummary(eventId) {
+  const [[s]] = await db.query(`
+    SELECT
+      COUNT(*) AS total_undangan,
+      COALESCE(SUM(qty), 0) AS total_tamu,
+      SUM(CASE WHEN checked_in = 1 THEN 1 ELSE 0 END) AS checked_in_undangan,
+      COALESCE(SUM(CASE WHEN checked_in = 1 THEN COALESCE(real_qty, qty) ELSE 0 END), 0) AS checked_in_tamu,
+      SUM(CASE WHEN type = 'digital' THEN 1 ELSE 0 END) AS digital,
+      SUM(CASE WHEN type = 'cetak' THEN 1 ELSE 0 END) AS cetak,
+      SUM(CASE WHEN rsvp_status = 'Hadir' THEN 1 ELSE 0 END) AS hadir,
+      SUM(CASE WHEN rsvp_status = 'Tidak Hadir' THEN 1 ELSE 0 END) AS tidak_hadir,
+      SUM(CASE WHEN rsvp_status = 'Belum Konfirmasi' THEN 1 ELSE 0 END) AS belum_konfirmasi
+    FROM invitations
+    WHERE event_id = ?
+  `, [eventId]);
+
+  const totalUndangan = Number(s.total_undangan) || 0;
+  const totalTamu = Number(s.total_tamu) || 0;
+  const checkedInUndangan = Number(s.checked_in_undangan) || 0;
+  const checkedInTamu = Number(s.checked_in_tamu) || 0;
+
+  return {
+    // --- Baru (digunakan ScanPage, Header) ---
+    totalUndangan,
+    totalTamu,
+    checkedInUndangan,
+    checkedInTamu,
+    belumCheckInUndangan: totalUndangan - checkedInUndangan,
+    belumCheckInTamu: totalTamu - checkedInTamu,
+
+    // --- Breakdown untuk UI ---
+    digital: Number(s.digital) || 0,
+    cetak: Number(s.cetak) || 0,
+    confirmed: {
+      hadir: Number(s.hadir) || 0,
+      tidak_hadir: Number(s.tidak_hadir) || 0,
+      belum_konfirmasi: Number(s.belum_konfirmasi) || 0,
+    },
+
+    // --- Legacy compatibility (komponen lama) ---
+    total: totalUndangan,
+    estimasi_tamu: totalTamu,
+  };
+}
+
+export async function getSummary(eventId, { fresh = false } = {}) {
+  const hit = cache.get(eventId);
+  if (!fresh && hit && Date.now() - hit.at < CACHE_TTL_MS) return hit.payload;
+
+  const payload = await computeSummary(eventId);
+  cache.set(eventId, { payload, at: Date.now() });
+  return payload;
+}
+
+// Dipanggil setelah data undangan berubah: hitung ulang (debounce) lalu push
+export function scheduleSummaryPush(eventId) {
+  cache.delete(eventId);
+  if (pendingPush.has(eventId)) return;
+
+  pendingPush.set(eventId, setTimeout(async () => {
+    pendingPush.delete(eventId);
+    try {
+      publish(eventId, 'summary', await getSummary(eventId, { fresh: true }));
+    } catch (err) {
+      console.error('❌ Gagal menghitung ulang summary:', err);
+    }
+  }, PUSH_DEBOUNCE_MS));
+}
+
+// Shortcut untuk route: kirim event domain + jadwalkan push summary
+export function notifyChange(eventId, type, payload) {
+  publish(eventId, type, payload);
+  scheduleSummaryPush(eventId);
+}
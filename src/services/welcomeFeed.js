@@ -0,0 +1,90 @@
+// services/welcomeFeed.js
+// -----------------------------------------------------------------------------
+// Feed "selamat datang" untuk layar TV di pintu masuk.
+// Dipicu saat check-in pertama berhasil; hanya field publik yang dikirim
+// (nama, kategori, jumlah tamu, jam datang).
+//
+// - Scan ulang / check-in ulang dalam WELCOME_DEDUPE_MINUTES tidak diumumkan lagi.
+// - Kategori di events.welcome_hidden_categories (id, dipisah koma) disembunyikan.
+// - Layar yang tersambung ulang menerima replay N kedatangan terakhir dari DB.
+// - Feed dibuka lewat events.welcome_token (acak), bukan slug acara: slug dibuat
+//   dari nama mempelai sehingga mudah ditebak, sedangkan feed berisi nama tamu.
+//
+// Catatan Skema DB: events.welcome_hidden_categories VARCHAR(255) NULL
+//                   events.welcome_token VARCHAR(64) NULL UNIQUE
+// -----------------------------------------------------------------------------
+import crypto from 'crypto';
+import db from '../config/db.js';
+import { publish } from './realtime.js';
+
+const DEDUPE_MS = Number(process.env.WELCOME_DEDUPE_MINUTES ?? 10) * 60 * 1000;
+export const WELCOME_REPLAY_SIZE = Number(process.env.WELCOME_REPLAY_SIZE ?? 10);
+const MAX_REPLAY = 50;
+
+const lastAnnounced = new Map(); // `${eventId}:${invitationId}` → timestamp
+
+// Token baru untuk link layar penyambutan (token lama langsung tidak berlaku)
+export const generateWelcomeToken = () => crypto.randomBytes(24).toString('base64url');
+
+export async function findEventByWelcomeToken(token) {
+  if (!token) return null;
+  const [rows] = await db.query('SELECT id, name FROM events WHERE welcome_token = ? LIMIT 1', [token]);
+  return rows[0] ?? null;
+}
+
+export const parseHiddenCategories = value =>
+  String(value ?? '').split(',').map(v => Number(v.trim())).filter(Number.isInteger).filter(v => v > 0);
+
+async function hiddenCategoriesFor(eventId) {
+  const [[event]] = await db.query('SELECT welcome_hidden_categories FROM events WHERE id = ?', [eventId]);
+  return parseHiddenCategories(event?.welcome_hidden_categories);
+}
+
+const toPublicArrival = row => ({
+  name: row.name,
+  category: row.category_name ?? null,
+  party_size: Number(row.party_size) || 1,
+  arrived_at: row.checked_in_at,
+});
+
+// inv: row invitations (butuh id, event_id, category)
+export async function announceArrival(inv) {
+  const key = `${inv.event_id}:${inv.id}`;
+  const last = lastAnnounced.get(key);
+  if (last && Date.now() - last < DEDUPE_MS) return;
+
+  const hidden = await hiddenCategoriesFor(inv.event_id);
+  if (inv.category != null && hidden.includes(Number(inv.category))) return;
+
+  const [[row]] = await db.query(
+    `SELECT i.name, c.name AS category_name, COALESCE(i.real_qty, i.qty) AS party_size, i.checked_in_at
+       FROM invitations i
+       LEFT JOIN categories c ON c.id = i.category
+      WHERE i.id = ?`,
+    [inv.id]
+  );
+  if (!row) return;
+
+  lastAnnounced.set(key, Date.now());
+  publish(inv.event_id, 'welcome', toPublicArrival(row));
+}
+
+// Kedatangan terakhir (terlama → terbaru) untuk replay saat layar tersambung ulang
+export async function recentArrivals(eventId, limit = WELCOME_REPLAY_SIZE) {
+  const n = Math.min(MAX_REPLAY, Math.max(0, Number(limit) || 0));
+  if (!n) return [];
+
+  const hidden = await hiddenCategoriesFor(eventId);
+  const [rows] = await db.query(
+    `SELECT i.name, c.name AS category_name, COALESCE(i.real_qty, i.qty) AS party_size, i.checked_in_at
+       FROM invitations i
+       LEFT JOIN categories c ON c.id = i.category
+      WHERE i.event_id = ? AND i.checked_in = 1
+        ${hidden.length ? `AND (i.category IS NULL OR i.category NOT IN (${hidden.map(() => '?').join(',')}))` : ''}
+      ORDER BY i.checked_in_at DESC
+      LIMIT ?`,
+    [eventId, ...hidden, n]
+  );
+
+  return rows.reverse().map(toPublicArrival);
+}
@@ -0,0 +1,112 @@
+// utils/captionTemplate.js
+// -----------------------------------------------------------------------------
+// Placeholder di caption_text, ditulis {{nama}} (spasi di dalam kurung boleh).
+//
+//   {{nama}}     → nama tamu                  {{link}}    → link undangan tamu
+//   {{dari}}     → pengirim (kolom `from`)    {{acara}}   → nama acara
+//   {{jumlah}}   → jumlah tamu (qty)          {{tanggal}} → tanggal acara
+//   {{kategori}} → nama kategori              {{jam}}     → jam acara (HH.mm)
+//   {{tempat}}   → venue acara
+//
+// Alias bahasa Inggris (name, from, qty, category, link, event, event_date,
+// time, venue) juga diterima. Placeholder lain ditolak saat caption disimpan.
+//
+// Bahasa caption (caption.language / invitations.language) diatur lewat
+// CAPTION_LANGUAGES (default "id,en,jv,su"); bahasa pertama jadi default dan
+// cadangan bila kategori belum punya caption di bahasa tamu.
+// -----------------------------------------------------------------------------
+import dotenv from 'dotenv';
+import { buildInviteViewLink } from './links.js';
+
+dotenv.config();
+
+// Hanya kode huruf (mis. "id", "en", "jv") — aman dipakai langsung di SQL
+const configuredLanguages = (process.env.CAPTION_LANGUAGES || 'id,en,jv,su')
+  .split(',').map(s => s.trim().toLowerCase()).filter(s => /^[a-z]{2,8}$/.test(s));
+export const CAPTION_LANGUAGES = configuredLanguages.length ? configuredLanguages : ['id'];
+export const DEFAULT_CAPTION_LANGUAGE = CAPTION_LANGUAGES[0];
+
+// Locale format tanggal per bahasa (bahasa daerah memakai format Indonesia)
+const DATE_LOCALES = { en: 'en-GB' };
+const dateLocale = language => DATE_LOCALES[language] ?? 'id-ID';
+
+// null/'' → null (pakai default); kode tidak dikenal → undefined
+export const normalizeLanguage = v => {
+  if (v == null || String(v).trim() === '') return null;
+  const code = String(v).trim().toLowerCase();
+  return CAPTION_LANGUAGES.includes(code) ? code : undefined;
+};
+
+const PLACEHOLDER_RE = /\{\{\s*([a-zA-Z_]+)\s*\}\}/g;
+
+const ALIASES = {
+  name: 'nama',
+  from: 'dari',
+  qty: 'jumlah',
+  category: 'kategori',
+  event: 'acara',
+  event_date: 'tanggal',
+  time: 'jam',
+  venue: 'tempat',
+};
+
+export const CAPTION_PLACEHOLDERS = ['nama', 'dari', 'jumlah', 'kategori', 'link', 'acara', 'tanggal', 'jam', 'tempat'];
+
+const canonical = key => {
+  const k = key.toLowerCase();
+  return ALIASES[k] ?? k;
+};
+
+const toDate = v => {
+  if (!v) return null;
+  const d = v instanceof Date ? v : new Date(v);
+  return Number.isNaN(d.getTime()) ? null : d;
+};
+
+const formatEventDate = (v, language) =>
+  toDate(v)?.toLocaleDateString(dateLocale(language), { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' }) ?? '';
+
+const formatEventTime = (v, language) =>
+  toDate(v)?.toLocaleTimeString(dateLocale(language), { hour: '2-digit', minute: '2-digit' }) ?? '';
+
+// → daftar placeholder yang tidak dikenal (kosong = valid)
+export function findUnknownPlaceholders(text) {
+  const unknown = new Set();
+  for (const [, key] of String(text ?? '').matchAll(PLACEHOLDER_RE)) {
+    if (!CAPTION_PLACEHOLDERS.includes(canonical(key))) unknown.add(key);
+  }
+  return [...unknown];
+}
+
+export const hasPlaceholder = (text, name) =>
+  [...String(text ?? '').matchAll(PLACEHOLDER_RE)].some(([, key]) => canonical(key) === name);
+
+// inv: row invitations (+ category_name); event: req.event / row events
+// language: bahasa caption (menentukan format tanggal), default bahasa tamu
+export const buildCaptionContext = (inv, event = {}, language = inv.language) => ({
+  nama: inv.name ?? '',
+  dari: inv.from ?? '',
+  jumlah: inv.qty ?? '',
+  kategori: inv.category_name ?? '',
+  link: inv.slug ? buildInviteViewLink(inv.slug) : '',
+  acara: event.name ?? '',
+  tanggal: formatEventDate(event.event_date, language),
+  jam: formatEventTime(event.event_date, language),
+  tempat: event.venue ?? '',
+});
+
+// Placeholder yang tidak dikenal dibiarkan apa adanya (caption lama sebelum validasi)
+export const renderCaption = (text, context) =>
+  String(text ?? '').replace(PLACEHOLDER_RE, (match, key) => {
+    const value = context[canonical(key)];
+    return value == null ? match : String(value);
+  });
+
+// Data contoh untuk preview caption sebelum disimpan
+export const SAMPLE_INVITATION = {
+  name: 'Budi Santoso',
+  from: 'Keluarga Mempelai Pria',
+  qty: 2,
+  category_name: 'Keluarga',
+  slug: '123456',
+};
@@ -0,0 +1,207 @@
+// utils/excelImport.js
+// -----------------------------------------------------------------------------
+// Parse + validasi file Excel/CSV tamu sebelum dimasukkan ke tabel invitations.
+//
+// Header kolom dicocokkan lewat alias (mis. "Nama", "No HP", "Kategori",
+// "Jumlah") dan bisa ditimpa per upload dengan mapping { "<header>": "<field>" }.
+// Kategori boleh berupa id angka atau nama; nama yang belum ada bisa dibuat
+// otomatis bila autoCreateCategories aktif.
+//
+// Setiap baris mendapat status:
+//   valid      → siap dimasukkan
+//   skipped    → baris kosong
+//   duplicate  → nama + no HP sudah ada di acara ini / muncul lebih dulu di file
+//   error      → data tidak valid (reason berisi penjelasan)
+// -----------------------------------------------------------------------------
+import xlsx from 'xlsx';
+import { CAPTION_LANGUAGES, normalizeLanguage } from './captionTemplate.js';
+
+const TYPES = ['digital', 'cetak'];
+export const IMPORT_FIELDS = ['from', 'name', 'category', 'phone', 'qty', 'type', 'language'];
+
+// Alias header (sudah dinormalisasi: huruf kecil, tanpa spasi/tanda baca)
+const HEADER_ALIASES = {
+  from: ['from', 'dari', 'pengirim', 'undangandari', 'tamudari', 'pihak'],
+  name: ['name', 'nama', 'namatamu', 'namalengkap', 'tamu', 'guest'],
+  category: ['category', 'kategori', 'kelompok', 'grup', 'group'],
+  phone: ['phone', 'nohp', 'nomorhp', 'hp', 'telepon', 'telp', 'notelp', 'notelepon', 'wa', 'nowa', 'whatsapp'],
+  qty: ['qty', 'jumlah', 'jumlahtamu', 'jml', 'pax', 'quantity'],
+  type: ['type', 'tipe', 'jenis', 'jenisundangan'],
+  language: ['language', 'bahasa', 'lang'],
+};
+
+const isBlank = v => v === undefined || v === null || String(v).trim() === '';
+const clean = v => (isBlank(v) ? null : String(v).trim());
+const normalizeHeader = h => String(h ?? '').toLowerCase().replace(/[^a-z0-9]/g, '');
+const normalizeName = v => String(v ?? '').trim().toLowerCase();
+
+// Kunci duplikat: nama (case-insensitive) + digit nomor HP
+const duplicateKey = (name, phone) => `${normalizeName(name)}|${String(phone ?? '').replace(/\D/g, '')}`;
+
+const isCsvFile = file =>
+  /\.csv$/i.test(file.originalname ?? '') || ['text/csv', 'application/csv'].includes(file.mimetype);
+
+// mapping boleh dikirim sebagai objek atau string JSON (field multipart)
+export function parseMapping(mapping) {
+  if (isBlank(mapping)) return { mapping: {} };
+
+  const invalidFormat = { error: 'mapping harus berupa JSON { "<header>": "<field>" }.' };
+  let parsed = mapping;
+  if (typeof mapping === 'string') {
+    try {
+      parsed = JSON.parse(mapping);
+    } catch {
+      return invalidFormat;
+    }
+  }
+  // "null", angka, string atau array juga JSON yang sah, tapi bukan mapping
+  if (parsed === null || typeof parsed !== 'object' || Array.isArray(parsed)) return invalidFormat;
+
+  const invalid = Object.values(parsed).filter(f => !IMPORT_FIELDS.includes(f));
+  if (invalid.length) {
+    return { error: `Field mapping tidak dikenal: ${invalid.join(', ')}. Gunakan: ${IMPORT_FIELDS.join(', ')}.` };
+  }
+  return { mapping: parsed };
+}
+
+function resolveColumns(headers, mapping) {
+  const byNormalized = Object.fromEntries(
+    Object.entries(mapping).map(([header, field]) => [normalizeHeader(header), field])
+  );
+
+  const columns = {};
+  const ignored = [];
+  for (const header of headers) {
+    const key = normalizeHeader(header);
+    const field = byNormalized[key] ?? Object.keys(HEADER_ALIASES).find(f => HEADER_ALIASES[f].includes(key));
+    if (field && !Object.values(columns).includes(field)) columns[header] = field;
+    else ignored.push(header);
+  }
+  return { columns, ignored };
+}
+
+function readHeaders(worksheet, mapping) {
+  const [headers = []] = xlsx.utils.sheet_to_json(worksheet, { header: 1, range: 0, blankrows: false });
+  return resolveColumns(headers.filter(h => !isBlank(h)), mapping);
+}
+
+const hasNameColumn = ({ columns }) => Object.values(columns).includes('name');
+
+// file: objek multer ({ buffer, originalname, mimetype })
+// sheet: nama sheet atau nomor urut (mulai 1); default sheet pertama yang punya kolom nama
+export function parseInvitationSheet(file, { sheet, mapping = {} } = {}) {
+  const workbook = xlsx.read(file.buffer, { type: 'buffer', raw: isCsvFile(file) });
+  const sheets = workbook.SheetNames;
+
+  let sheetName;
+  if (!isBlank(sheet)) {
+    sheetName = sheets.includes(String(sheet)) ? String(sheet) : sheets[Number(sheet) - 1];
+    if (!sheetName) return { error: `Sheet "${sheet}" tidak ditemukan. Tersedia: ${sheets.join(', ')}.` };
+  } else {
+    sheetName = sheets.find(name => hasNameColumn(readHeaders(workbook.Sheets[name], mapping))) ?? sheets[0];
+  }
+
+  const worksheet = workbook.Sheets[sheetName];
+  const { columns, ignored } = readHeaders(worksheet, mapping);
+
+  if (!hasNameColumn({ columns })) {
+    return { error: `Kolom nama tamu tidak ditemukan di sheet "${sheetName}". Tambahkan header "Nama" atau kirim mapping.` };
+  }
+
+  const rows = xlsx.utils.sheet_to_json(worksheet, { defval: null, blankrows: true }).map(raw => {
+    const mapped = {};
+    for (const [header, field] of Object.entries(columns)) mapped[field] = raw[header];
+    return {
+      row: raw.__rowNum__ + 1, // nomor baris seperti yang terlihat di Excel
+      raw: mapped,
+      blank: Object.values(raw).every(isBlank),
+    };
+  });
+
+  return { sheet: sheetName, sheets, columns, ignored_columns: ignored, rows };
+}
+
+function validateRow({ from, name, category, phone, qty, type, language }) {
+  const data = {
+    from: clean(from),
+    name: clean(name),
+    category: clean(category),
+    phone: clean(phone),
+    qty: isBlank(qty) ? null : Number(qty),
+    type: clean(type)?.toLowerCase() ?? null,
+    language: normalizeLanguage(language),
+  };
+
+  if (!data.name) return { data, reason: 'Kolom nama wajib diisi.' };
+  if (!TYPES.includes(data.type)) return { data, reason: "Kolom type harus 'digital' atau 'cetak'." };
+  if (data.qty != null && (!Number.isInteger(data.qty) || data.qty < 1)) return { data, reason: 'Kolom jumlah harus angka bulat ≥ 1.' };
+  if (data.language === undefined) return { data, reason: `Kolom bahasa harus salah satu dari: ${CAPTION_LANGUAGES.join(', ')}.` };
+
+  return { data, reason: null };
+}
+
+// rows: hasil parseInvitationSheet().rows; conn: koneksi db (boleh koneksi transaksi)
+// Baris valid mendapat data.category (id) atau data.new_category (nama yang akan dibuat)
+export async function validateImportRows(rows, { conn, eventId, autoCreateCategories = false }) {
+  const [cats] = await conn.query('SELECT id, name FROM categories WHERE event_id = ?', [eventId]);
+  const categoryIds = new Set(cats.map(c => c.id));
+  const categoryByName = new Map(cats.map(c => [normalizeName(c.name), c.id]));
+
+  const [existing] = await conn.query('SELECT name, phone FROM invitations WHERE event_id = ?', [eventId]);
+  const inDb = new Set(existing.map(i => duplicateKey(i.name, i.phone)));
+  const inFile = new Set();
+
+  const report = rows.map(({ row, raw, blank }) => {
+    if (blank) return { row, status: 'skipped', reason: 'Baris kosong.', data: null };
+
+    const { data, reason } = validateRow(raw);
+    if (reason) return { row, status: 'error', reason, data };
+
+    let note = null;
+    if (data.category != null) {
+      if (/^\d+$/.test(data.category) && categoryIds.has(Number(data.category))) {
+        data.category = Number(data.category);
+      } else if (categoryByName.has(normalizeName(data.category))) {
+        data.category = categoryByName.get(normalizeName(data.category));
+      } else if (autoCreateCategories && !/^\d+$/.test(data.category)) {
+        data.new_category = data.category;
+        data.category = null;
+        note = `Kategori "${data.new_category}" akan dibuat.`;
+      } else {
+        return { row, status: 'error', reason: `Kategori "${data.category}" tidak ditemukan pada acara ini.`, data };
+      }
+    }
+
+    const key = duplicateKey(data.name, data.phone);
+    if (inDb.has(key)) return { row, status: 'duplicate', reason: 'Tamu dengan nama & no HP yang sama sudah ada.', data };
+    if (inFile.has(key)) return { row, status: 'duplicate', reason: 'Tamu yang sama muncul lebih dulu di file ini.', data };
+    inFile.add(key);
+
+    return { row, status: 'valid', reason: note, data };
+  });
+
+  return { rows: report, summary: summarizeReport(report) };
+}
+
+// Buat kategori baru (nama unik, case-insensitive) lalu isi data.category baris terkait
+export async function createMissingCategories(report, { conn, eventId }) {
+  const pending = report.filter(r => r.status === 'valid' && r.data.new_category);
+  const created = new Map();
+
+  for (const { data } of pending) {
+    const key = normalizeName(data.new_category);
+    if (!created.has(key)) {
+      const [result] = await conn.query('INSERT INTO categories (event_id, name) VALUES (?, ?)', [eventId, data.new_category]);
+      created.set(key, { id: result.insertId, name: data.new_category });
+    }
+    data.category = created.get(key).id;
+  }
+
+  return [...created.values()];
+}
+
+export function summarizeReport(report) {
+  const summary = { total: report.length, valid: 0, skipped: 0, duplicate: 0, error: 0 };
+  for (const r of report) summary[r.status]++;
+  return summary;
+}
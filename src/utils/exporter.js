@@ -0,0 +1,128 @@
+// utils/exporter.js
+// -----------------------------------------------------------------------------
+// Kirim data tabular sebagai file XLSX, CSV atau PDF.
+//
+// sendReport(res, {
+//   format: 'xlsx' | 'csv' | 'pdf',
+//   filename: 'daftar-tamu',            // tanpa ekstensi
+//   title: 'Daftar Tamu – Acara X',     // judul di PDF
+//   sections: [{ name, columns: [{ key, label, width? }], rows: [...] }],
+// })
+//
+// - XLSX: satu sheet per section
+// - CSV : section ditulis berurutan, dipisah baris kosong + judul section
+// - PDF : landscape A4, satu tabel per section (header diulang tiap halaman)
+// -----------------------------------------------------------------------------
+import xlsx from 'xlsx';
+import PDFDocument from 'pdfkit';
+
+export const EXPORT_FORMATS = ['xlsx', 'csv', 'pdf'];
+
+const pad = n => String(n).padStart(2, '0');
+
+// Date → "YYYY-MM-DD HH:mm" (waktu lokal server)
+export const formatDateTime = v => {
+  if (!v) return '';
+  const d = v instanceof Date ? v : new Date(v);
+  if (Number.isNaN(d.getTime())) return String(v);
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())} ${pad(d.getHours())}:${pad(d.getMinutes())}`;
+};
+
+const toAoa = ({ columns, rows }) => [
+  columns.map(c => c.label),
+  ...rows.map(r => columns.map(c => r[c.key] ?? '')),
+];
+
+function buildXlsx(sections) {
+  const workbook = xlsx.utils.book_new();
+  for (const section of sections) {
+    const sheet = xlsx.utils.aoa_to_sheet(toAoa(section));
+    sheet['!cols'] = section.columns.map(c => ({ wch: c.width ?? Math.max(10, c.label.length + 2) }));
+    // Nama sheet Excel maksimal 31 karakter & tanpa karakter khusus
+    xlsx.utils.book_append_sheet(workbook, sheet, section.name.replace(/[\\/?*[\]:]/g, ' ').slice(0, 31));
+  }
+  return xlsx.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+}
+
+function buildCsv(sections) {
+  const parts = sections.map(section => {
+    const csv = xlsx.utils.sheet_to_csv(xlsx.utils.aoa_to_sheet(toAoa(section)));
+    return sections.length > 1 ? `${section.name}\n${csv}` : csv;
+  });
+  // BOM supaya Excel membaca UTF-8 (nama dengan huruf non-ASCII)
+  return Buffer.from(`﻿${parts.join('\n\n')}`, 'utf8');
+}
+
+function buildPdf({ title, sections }) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', layout: 'landscape', margin: 30 });
+    const chunks = [];
+    doc.on('data', c => chunks.push(c));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const left = doc.page.margins.left;
+    const usable = doc.page.width - left - doc.page.margins.right;
+    const bottom = () => doc.page.height - doc.page.margins.bottom;
+
+    doc.fontSize(14).font('Helvetica-Bold').text(title ?? '', { align: 'left' });
+    doc.fontSize(8).font('Helvetica').text(`Dicetak: ${formatDateTime(new Date())}`);
+
+    for (const section of sections) {
+      const weights = section.columns.map(c => c.width ?? 10);
+      const total = weights.reduce((a, b) => a + b, 0);
+      const widths = weights.map(w => (w / total) * usable);
+
+      const header = section.columns.map(c => c.label);
+      const drawRow = (cells, { bold = false, isHeader = false } = {}) => {
+        doc.font(bold || isHeader ? 'Helvetica-Bold' : 'Helvetica').fontSize(8);
+        const heights = cells.map((cell, i) => doc.heightOfString(String(cell ?? ''), { width: widths[i] - 4 }));
+        const h = Math.max(...heights, 10) + 4;
+
+        if (doc.y + h > bottom()) {
+          doc.addPage();
+          if (!isHeader) drawRow(header, { isHeader: true });
+        }
+
+        const y = doc.y;
+        let x = left;
+        cells.forEach((cell, i) => {
+          doc.text(String(cell ?? ''), x + 2, y + 2, { width: widths[i] - 4 });
+          x += widths[i];
+        });
+        doc.moveTo(left, y + h).lineTo(left + usable, y + h).lineWidth(0.3).stroke('#999999');
+        doc.x = left;
+        doc.y = y + h;
+      };
+
+      doc.moveDown(1);
+      if (doc.y + 40 > bottom()) doc.addPage();
+      doc.font('Helvetica-Bold').fontSize(11).text(section.name, left, doc.y);
+      doc.moveDown(0.3);
+
+      drawRow(header, { isHeader: true });
+      for (const row of section.rows) {
+        drawRow(section.columns.map(c => row[c.key]), { bold: row._bold === true });
+      }
+    }
+
+    doc.end();
+  });
+}
+
+export async function sendReport(res, { format, filename, title, sections }) {
+  if (format === 'xlsx') {
+    res.attachment(`${filename}.xlsx`);
+    return res.type('application/vnd.openxmlformats-officedocument.spreadsheetml.sheet').send(buildXlsx(sections));
+  }
+  if (format === 'csv') {
+    res.attachment(`${filename}.csv`);
+    return res.type('text/csv; charset=utf-8').send(buildCsv(sections));
+  }
+  if (format === 'pdf') {
+    const pdf = await buildPdf({ title, sections });
+    res.attachment(`${filename}.pdf`);
+    return res.type('application/pdf').send(pdf);
+  }
+  throw new Error(`Format export tidak dikenal: ${format}`);
+}
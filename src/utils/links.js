@@ -0,0 +1,19 @@
+// utils/links.js
+// -----------------------------------------------------------------------------
+// Link ke frontend: undangan tamu (route undangan, pengiriman WA, caption) dan
+// link setup akun petugas.
+// -----------------------------------------------------------------------------
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const BASE_LINK = process.env.INVITATION_LINK_BASE ?? '';
+const INVITE_PATH = process.env.INVITATION_INVITE_PATH ?? '/invite';        // Link yang dikirim ke tamu
+const CONFIRM_PATH = process.env.INVITATION_CONFIRM_PATH ?? '/confirm';     // Link konfirmasi internal
+
+export const buildInvitationLink = slug => `${BASE_LINK}${CONFIRM_PATH}/${slug}`; // internal confirm link
+export const buildInviteViewLink = slug => `${BASE_LINK}${INVITE_PATH}/${slug}`;  // untuk kirim WA
+
+// Link sekali pakai untuk membuat akun (undangan operator / petugas)
+const SETUP_PATH = process.env.USER_SETUP_PATH ?? '/setup';
+export const buildSetupLink = token => `${BASE_LINK}${SETUP_PATH}/${token}`;
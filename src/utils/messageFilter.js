@@ -0,0 +1,64 @@
+// utils/messageFilter.js
+// -----------------------------------------------------------------------------
+// Filter kata kasar (Indonesia/Inggris) untuk buku tamu. Pesan yang cocok tidak
+// ditolak, tapi ditahan (status `pending`) sampai dimoderasi tuan rumah.
+//
+// Konfigurasi (.env):
+//   MESSAGE_FILTER_WORDS    → kata tambahan, dipisah koma
+//   MESSAGE_FILTER_ALLOW    → kata yang dikecualikan dari daftar bawaan
+//   MESSAGE_FILTER_DEFAULTS → "off" untuk mematikan daftar bawaan
+//   MESSAGE_HOLD_LINKS      → "off" agar pesan berisi link tidak ditahan
+//
+// Pencocokan per kata, kebal huruf besar, angka pengganti huruf (4nj1ng) dan
+// huruf berulang (anjiiing).
+// -----------------------------------------------------------------------------
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const DEFAULT_WORDS = [
+  // Indonesia / daerah
+  'anjing', 'anjir', 'anjay', 'asu', 'babi', 'bajingan', 'bangsat', 'bego', 'brengsek', 'goblok', 'goblog',
+  'jancok', 'jancuk', 'kampret', 'keparat', 'kontol', 'lonte', 'memek', 'ngentot', 'pelacur', 'pepek',
+  'perek', 'sialan', 'taik', 'tolol', 'bacot', 'jembut', 'kimak',
+  // Inggris
+  'asshole', 'bastard', 'bitch', 'bullshit', 'cunt', 'dick', 'fuck', 'fucker', 'fucking', 'motherfucker',
+  'shit', 'slut', 'whore',
+];
+
+const LEET = { 0: 'o', 1: 'i', 3: 'e', 4: 'a', 5: 's', 7: 't', 8: 'b', '@': 'a', $: 's', '!': 'i' };
+
+const listFromEnv = v => String(v ?? '').split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
+
+const squeeze = w => w.replace(/(.)\1+/g, '$1');
+
+const normalizeWord = w =>
+  w.toLowerCase().replace(/[0-9@$!]/g, c => LEET[c] ?? c).replace(/[^a-z]/g, '');
+
+const allowed = new Set(listFromEnv(process.env.MESSAGE_FILTER_ALLOW));
+const blocked = new Set(
+  [...(process.env.MESSAGE_FILTER_DEFAULTS === 'off' ? [] : DEFAULT_WORDS), ...listFromEnv(process.env.MESSAGE_FILTER_WORDS)]
+    .filter(w => !allowed.has(w))
+    .flatMap(w => [w, squeeze(w)])
+);
+
+const HOLD_LINKS = process.env.MESSAGE_HOLD_LINKS !== 'off';
+const LINK_RE = /(https?:\/\/|www\.)\S+|\b[a-z0-9-]+\.(com|net|org|id|co|xyz|info|link|ly)\b/i;
+
+// → { flagged: boolean, words: [...], reason: string|null }
+export function checkMessage(text) {
+  const tokens = String(text ?? '').split(/[\s.,;:?"'()[\]{}<>/\\|*_~-]+/).filter(Boolean);
+  const words = new Set();
+
+  for (const token of tokens) {
+    const word = normalizeWord(token);
+    if (!word) continue;
+    if (blocked.has(word) || blocked.has(squeeze(word))) words.add(word);
+  }
+
+  const reasons = [];
+  if (words.size) reasons.push(`Kata terfilter: ${[...words].join(', ')}`);
+  if (HOLD_LINKS && LINK_RE.test(String(text ?? ''))) reasons.push('Berisi link');
+
+  return { flagged: reasons.length > 0, words: [...words], reason: reasons.join('; ') || null };
+}
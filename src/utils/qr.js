@@ -0,0 +1,41 @@
+// utils/qr.js
+// -----------------------------------------------------------------------------
+// Render QR code secara lokal (tanpa layanan pihak ketiga seperti
+// api.qrserver.com) supaya kartu cetak & scanner tetap jalan walau internet
+// venue putus.
+// -----------------------------------------------------------------------------
+import QRCode from 'qrcode';
+import dotenv from 'dotenv';
+import { signQrToken } from './qrToken.js';
+
+dotenv.config();
+
+const QR_PUBLIC_BASE = process.env.QR_PUBLIC_BASE ?? '';
+
+const DEFAULT_SIZE = 300;
+const DEFAULT_MARGIN = 2;
+
+const clamp = (v, min, max, fallback) => {
+  const n = Number(v);
+  if (!Number.isFinite(n)) return fallback;
+  return Math.min(max, Math.max(min, Math.round(n)));
+};
+
+// URL gambar QR yang disimpan di invitations.qrcode (endpoint publik per slug,
+// bisa dipakai di <img> halaman undangan tanpa login)
+export const buildQrUrl = slug => `${QR_PUBLIC_BASE}/api/public/invitations/${slug}/qr.png`;
+
+// Isi QR: token bertanda tangan (butuh inv.id, inv.event_id, inv.qr_version)
+export const buildQrPayload = inv => signQrToken(inv);
+
+// ?size=&margin= → opsi render yang aman (dibatasi agar tidak membebani server)
+export const parseQrOptions = (query = {}) => ({
+  width: clamp(query.size, 64, 2048, DEFAULT_SIZE),
+  margin: clamp(query.margin, 0, 16, DEFAULT_MARGIN),
+});
+
+export const renderQrPng = (data, { width, margin } = parseQrOptions()) =>
+  QRCode.toBuffer(data, { type: 'png', width, margin, errorCorrectionLevel: 'M' });
+
+export const renderQrSvg = (data, { width, margin } = parseQrOptions()) =>
+  QRCode.toString(data, { type: 'svg', width, margin, errorCorrectionLevel: 'M' });
@@ -0,0 +1,64 @@
+// utils/qrToken.js
+// -----------------------------------------------------------------------------
+// Payload QR bertanda tangan (HMAC-SHA256) untuk check-in.
+//
+// Format (ringkas supaya QR tetap mudah dipindai):
+//   RR1.<invitation_id>.<event_id>.<qr_version>.<signature>
+//   - angka ditulis base36
+//   - signature = base64url(HMAC(QR_SECRET, bagian sebelum signature)), 22 char
+//
+// Pencabutan: invitations.qr_version dinaikkan → token versi lama ditolak.
+//   Catatan Skema DB: invitations.qr_version INT NOT NULL DEFAULT 1
+//
+// QR lama yang hanya berisi slug diatur oleh QR_LEGACY_MODE:
+//   allow          → diterima seperti biasa
+//   warn (default) → diterima, tapi ditandai legacy_qr & dicatat di log
+//   deny           → ditolak (pakai setelah semua undangan dikirim ulang
+//                    dengan QR baru, lihat scripts/reissue-slugs.js)
+// -----------------------------------------------------------------------------
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const PREFIX = 'RR1';
+const SIG_LENGTH = 22;
+const LEGACY_MODES = ['allow', 'warn', 'deny'];
+
+export const QR_LEGACY_MODE = LEGACY_MODES.includes(process.env.QR_LEGACY_MODE)
+  ? process.env.QR_LEGACY_MODE
+  : 'warn';
+
+const secret = () => {
+  const key = process.env.QR_SECRET || process.env.JWT_SECRET;
+  if (!key) throw new Error('QR_SECRET (atau JWT_SECRET) belum diatur');
+  return key;
+};
+
+const sign = body =>
+  crypto.createHmac('sha256', secret()).update(body).digest('base64url').slice(0, SIG_LENGTH);
+
+export const isSignedQrCode = code => typeof code === 'string' && code.startsWith(`${PREFIX}.`);
+
+export const signQrToken = ({ id, event_id, qr_version }) => {
+  const body = [PREFIX, ...[id, event_id, qr_version ?? 1].map(v => Number(v).toString(36))].join('.');
+  return `${body}.${sign(body)}`;
+};
+
+// → { id, eventId, version } jika valid, atau null jika format/tanda tangan salah
+export const verifyQrToken = code => {
+  if (!isSignedQrCode(code)) return null;
+
+  const parts = code.split('.');
+  if (parts.length !== 5) return null;
+
+  const body = parts.slice(0, 4).join('.');
+  const expected = Buffer.from(sign(body));
+  const given = Buffer.from(parts[4]);
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+
+  const [id, eventId, version] = parts.slice(1, 4).map(v => parseInt(v, 36));
+  if (![id, eventId, version].every(Number.isInteger)) return null;
+
+  return { id, eventId, version };
+};
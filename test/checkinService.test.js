@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkinQty, parseCheckinQty, restoredRealQty } from '../src/services/checkinService.js';
+
+test('parseCheckinQty: kosong → null, bilangan bulat ≥ 0 diterima', () => {
+  for (const value of [undefined, null, '']) assert.deepEqual(parseCheckinQty(value), { qty: null });
+  assert.deepEqual(parseCheckinQty(0), { qty: 0 });
+  assert.deepEqual(parseCheckinQty(3), { qty: 3 });
+  assert.deepEqual(parseCheckinQty('4'), { qty: 4 });
+});
+
+test('parseCheckinQty: selain bilangan bulat ≥ 0 ditolak', () => {
+  for (const value of [-1, 1.5, '2.5', 'abc', ' ', NaN, Infinity, [], [2], {}, true]) {
+    assert.ok(parseCheckinQty(value).error, `${JSON.stringify(value)} harus ditolak`);
+  }
+});
+
+test('checkinQty: input petugas → real_qty → qty undangan', () => {
+  assert.equal(checkinQty({ qty: 2, real_qty: 3 }, 5), 5);
+  assert.equal(checkinQty({ qty: 2, real_qty: 3 }, 0), 0);
+  assert.equal(checkinQty({ qty: 2, real_qty: 3 }), 3);
+  assert.equal(checkinQty({ qty: 2, real_qty: 0 }), 0);
+  assert.equal(checkinQty({ qty: 2, real_qty: null }), 2);
+  assert.equal(checkinQty({ qty: 2, real_qty: null }, null), 2);
+});
+
+test('restoredRealQty: undo mengembalikan real_qty sebelum check-in pertama', () => {
+  const inv = { qty: 2, real_qty: 4 };
+  assert.equal(restoredRealQty(inv, { prev_real_qty: null }), null);
+  assert.equal(restoredRealQty(inv, { prev_real_qty: 3 }), 3);
+  assert.equal(restoredRealQty(inv, undefined), 4);
+});
+
+test('check-in lalu undo kembali ke angka semula', () => {
+  const inv = { qty: 2, real_qty: 1 };
+  const qty = checkinQty(inv, parseCheckinQty('3').qty);
+  const firstScan = { prev_real_qty: inv.real_qty, checked_in_qty: qty };
+  assert.equal(qty, 3);
+  assert.equal(restoredRealQty({ ...inv, real_qty: qty }, firstScan), 1);
+});
@@ -0,0 +1,8 @@
+// Hook loader: import src/config/db.js diarahkan ke fakeDb.js
+const FAKE_DB_URL = new URL('./fakeDb.js', import.meta.url).href;
+
+export async function resolve(specifier, context, nextResolve) {
+  const result = await nextResolve(specifier, context);
+  if (result.url.endsWith('/src/config/db.js')) return { ...result, url: FAKE_DB_URL, shortCircuit: true };
+  return result;
+}
@@ -0,0 +1,47 @@
+// test/helpers/fakeDb.js
+// -----------------------------------------------------------------------------
+// Pengganti src/config/db.js saat `npm test` (lihat register.js): tidak ada
+// koneksi MySQL, setiap query dijawab handler palsu dari test.
+//
+//   const calls = useFakeDb((sql, params) => [rows]);
+//   → calls: [{ sql, params }] semua query yang dijalankan (termasuk di dalam
+//     withTransaction), sql dengan spasi dirapikan
+// -----------------------------------------------------------------------------
+let handler = () => [[]];
+let calls = [];
+
+const db = {
+  async query(sql, params) {
+    calls.push({ sql: sql.replace(/\s+/g, ' ').trim(), params });
+    return (await handler(sql, params)) ?? [[]];
+  },
+  async getConnection() {
+    return db;
+  },
+  async beginTransaction() {},
+  async commit() {},
+  async rollback() {},
+  release() {},
+};
+
+export const withTransaction = async (fn) => {
+  await db.beginTransaction();
+  try {
+    const result = await fn(db);
+    await db.commit();
+    return result;
+  } catch (err) {
+    await db.rollback();
+    throw err;
+  }
+};
+
+export const pingDatabase = async () => ({ ok: true, latency_ms: 0 });
+
+export function useFakeDb(fn) {
+  handler = fn;
+  calls = [];
+  return calls;
+}
+
+export default db;
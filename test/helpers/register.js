@@ -0,0 +1,4 @@
+// node --import ./test/helpers/register.js → test tidak butuh server MySQL
+import { register } from 'node:module';
+
+register('./dbLoader.js', import.meta.url);
@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { useFakeDb } from './helpers/fakeDb.js';
+import { syncOfflineScans } from '../src/services/checkinService.js';
+
+const event = { id: 7 };
+const user = { id: 3, username: 'petugas' };
+// jam 09.00 hari ini sudah lewat batas layar penyambutan → tidak ada feed welcome
+const scans = [
+  { scan_id: 's1', code: 'budi-x7k2qd', scanned_at: '2026-01-10T09:00:00Z' },
+  { scan_id: 's2', code: 'budi-x7k2qd', scanned_at: '2026-01-10T09:05:00Z' },
+];
+
+// DB palsu: satu undangan + tabel checkins dengan UNIQUE (device_id, scan_id)
+function fakeCheckinDb({ duplicateOnInsert = false } = {}) {
+  const inv = { id: 1, event_id: 7, slug: 'budi-x7k2qd', name: 'Budi', qty: 2, real_qty: null, checked_in: 0, checked_in_at: null };
+  const logged = new Set();
+
+  const calls = useFakeDb((sql, params) => {
+    if (sql.includes('FROM checkins WHERE device_id = ? AND scan_id = ?')) {
+      return [logged.has(params.join('|')) ? [{ id: 1 }] : []];
+    }
+    if (sql.includes('INSERT INTO checkins')) {
+      if (duplicateOnInsert) throw Object.assign(new Error('Duplicate entry'), { code: 'ER_DUP_ENTRY', errno: 1062 });
+      const deviceAt = params.indexOf('tablet-1');
+      logged.add(`${params[deviceAt]}|${params[deviceAt + 1]}`);
+      return [{}];
+    }
+    if (sql.includes('FROM invitations WHERE slug = ?')) return [params[0] === inv.slug ? [{ ...inv }] : []];
+    if (sql.includes('FOR UPDATE')) return [[{ ...inv }]];
+    if (sql.includes("action = 'undo'")) return [[{ at: null }]];
+    if (sql.includes('UPDATE invitations SET checked_in = 1')) {
+      Object.assign(inv, { checked_in: 1, checked_in_at: params[0], real_qty: params[1] ?? inv.real_qty ?? inv.qty });
+      return [{}];
+    }
+    return [[]];
+  });
+  return { inv, calls };
+}
+
+const checkinUpdates = calls => calls.filter(c => c.sql.startsWith('UPDATE invitations SET checked_in = 1'));
+
+test('batch offline yang sama dikirim ulang → duplicate, tanpa check-in ganda', async () => {
+  const { inv, calls } = fakeCheckinDb();
+
+  const first = await syncOfflineScans(event, 'tablet-1', scans, user);
+  assert.deepEqual(first.results.map(r => r.status), ['checked_in', 'repeat']);
+  assert.equal(inv.real_qty, 2);
+  assert.equal(checkinUpdates(calls).length, 1);
+
+  const inserts = calls.filter(c => c.sql.startsWith('INSERT INTO checkins')).length;
+  const retry = await syncOfflineScans(event, 'tablet-1', scans, user);
+  assert.deepEqual(retry.results.map(r => r.status), ['duplicate', 'duplicate']);
+  assert.equal(retry.summary.duplicate, 2);
+  assert.equal(retry.summary.checked_in, 0);
+  assert.equal(calls.filter(c => c.sql.startsWith('INSERT INTO checkins')).length, inserts);
+  assert.equal(checkinUpdates(calls).length, 1);
+});
+
+test('scan_id sama dari perangkat lain bukan duplikat', async () => {
+  fakeCheckinDb();
+  await syncOfflineScans(event, 'tablet-1', scans.slice(0, 1), user);
+  const other = await syncOfflineScans(event, 'tablet-2', scans.slice(0, 1), user);
+  assert.equal(other.results[0].status, 'repeat');
+});
+
+test('bentrok UNIQUE (device_id, scan_id) saat insert → duplicate', async () => {
+  const { calls } = fakeCheckinDb({ duplicateOnInsert: true });
+  const { results } = await syncOfflineScans(event, 'tablet-1', scans.slice(0, 1), user);
+  assert.equal(results[0].status, 'duplicate');
+  assert.equal(checkinUpdates(calls).length, 0);
+});
@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.QR_SECRET = 'test-secret';
+const { isSignedQrCode, signQrToken, verifyQrToken } = await import('../src/utils/qrToken.js');
+
+const inv = { id: 1234, event_id: 7, qr_version: 3 };
+
+test('signQrToken → RR1.<id>.<event>.<versi>.<signature> base36', () => {
+  const token = signQrToken(inv);
+  const [prefix, id, eventId, version, signature] = token.split('.');
+  assert.equal(prefix, 'RR1');
+  assert.equal(id, (1234).toString(36));
+  assert.equal(eventId, '7');
+  assert.equal(version, '3');
+  assert.equal(signature.length, 22);
+  assert.ok(isSignedQrCode(token));
+});
+
+test('verifyQrToken membaca kembali token yang valid', () => {
+  assert.deepEqual(verifyQrToken(signQrToken(inv)), { id: 1234, eventId: 7, version: 3 });
+  assert.deepEqual(verifyQrToken(signQrToken({ id: 5, event_id: 1 })), { id: 5, eventId: 1, version: 1 });
+});
+
+test('verifyQrToken menolak token yang diubah', () => {
+  const token = signQrToken(inv);
+  const parts = token.split('.');
+
+  // id / acara / versi diganti, tanda tangan lama dipakai ulang
+  for (const i of [1, 2, 3]) {
+    const forged = [...parts];
+    forged[i] = (parseInt(forged[i], 36) + 1).toString(36);
+    assert.equal(verifyQrToken(forged.join('.')), null, `bagian ${i} diubah`);
+  }
+
+  // satu karakter tanda tangan diubah
+  const sig = parts[4];
+  const flipped = `${sig.slice(0, -1)}${sig.at(-1) === 'A' ? 'B' : 'A'}`;
+  assert.equal(verifyQrToken([...parts.slice(0, 4), flipped].join('.')), null);
+
+  assert.equal(verifyQrToken(`${token}.x`), null);
+  assert.equal(verifyQrToken(parts.slice(0, 4).join('.')), null);
+  assert.equal(verifyQrToken(`${parts.slice(0, 4).join('.')}.`), null);
+});
+
+test('token yang ditandatangani secret lain ditolak', () => {
+  const token = signQrToken(inv);
+  process.env.QR_SECRET = 'secret-lain';
+  try {
+    assert.equal(verifyQrToken(token), null);
+  } finally {
+    process.env.QR_SECRET = 'test-secret';
+  }
+});
+
+test('slug lama / input aneh bukan token bertanda tangan', () => {
+  for (const code of ['123456', 'budi-x7k2qd', '', null, undefined, 42]) {
+    assert.equal(isSignedQrCode(code), false);
+    assert.equal(verifyQrToken(code), null);
+  }
+});
@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { useFakeDb } from './helpers/fakeDb.js';
+import { generateSlugs, isLegacySlug, resolveSlugAlias } from '../src/services/slugService.js';
+
+const SAFE_ALPHABET = /^[abcdefghjkmnpqrstuvwxyz23456789]+$/;
+
+test('slug acak: 10 karakter tanpa huruf yang mirip, unik dalam satu batch', async () => {
+  useFakeDb(() => [[]]);
+  const slugs = await generateSlugs(Array.from({ length: 200 }, () => ({})), { strategy: 'random' });
+
+  assert.equal(slugs.length, 200);
+  assert.equal(new Set(slugs).size, 200);
+  for (const slug of slugs) {
+    assert.equal(slug.length, 10);
+    assert.match(slug, SAFE_ALPHABET);
+    assert.equal(isLegacySlug(slug), false);
+  }
+});
+
+test('slug nama: nama tamu + akhiran acak', async () => {
+  useFakeDb(() => [[]]);
+  const [budi, kosong] = await generateSlugs([{ name: 'Budi Santoso, S.T.' }, { name: '' }], { strategy: 'name' });
+
+  assert.match(budi, /^budi-santoso-st-[a-z2-9]{6}$/);
+  assert.match(kosong, /^tamu-[a-z2-9]{6}$/);
+});
+
+test('slug yang sudah dipakai (undangan / alias) dibuat ulang, urutan tetap', async () => {
+  let round = 0;
+  const calls = useFakeDb((sql, [candidates]) => {
+    round++;
+    // ronde pertama: kandidat kedua bentrok
+    return [round === 1 ? [{ slug: candidates[1] }] : []];
+  });
+
+  const slugs = await generateSlugs([{}, {}, {}], { strategy: 'random' });
+  assert.equal(calls.length, 2);
+  assert.match(calls[0].sql, /FROM invitations .* UNION .* FROM slug_aliases/);
+  assert.deepEqual(calls[1].params[0], [slugs[1]]);
+  assert.equal(slugs[0], calls[0].params[0][0]);
+  assert.equal(slugs[2], calls[0].params[0][2]);
+  assert.notEqual(slugs[1], calls[0].params[0][1]);
+});
+
+test('gagal setelah terus bentrok', async () => {
+  useFakeDb((sql, [candidates]) => [candidates.map(slug => ({ slug }))]);
+  await assert.rejects(generateSlugs([{}], { strategy: 'random' }), /Gagal membuat slug unik/);
+});
+
+test('isLegacySlug hanya untuk 6 digit', () => {
+  assert.equal(isLegacySlug('123456'), true);
+  assert.equal(isLegacySlug(123456), true);
+  for (const slug of ['12345', '1234567', 'k7xq2m9dfa', '', null]) assert.equal(isLegacySlug(slug), false);
+});
+
+test('resolveSlugAlias: slug lama → slug aktif, selain itu null', async () => {
+  const aliases = { 123456: 'k7xq2m9dfa' };
+  useFakeDb((sql, [slug]) => [aliases[slug] ? [{ slug: aliases[slug] }] : []]);
+
+  assert.equal(await resolveSlugAlias('123456'), 'k7xq2m9dfa');
+  assert.equal(await resolveSlugAlias('654321'), null);
+});